@@ -4,7 +4,44 @@ const socketIo = require("socket.io");
 const cors = require("cors");
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const multer = require("multer");
 const { v4: uuidv4 } = require("uuid");
+const { createStore } = require("./lib/storage");
+const { runMigrations } = require("./lib/migrations");
+const { createMailer } = require("./lib/mailer");
+const {
+  validate,
+  validateRequest,
+  validationErrorBody,
+} = require("./lib/validation");
+const { schemas, DEFAULT_PRIVACY, WEBHOOK_EVENTS } = require("./lib/schemas");
+const { SearchIndex, buildSnippet } = require("./lib/search-index");
+const { paginateMessages } = require("./lib/pagination");
+const { createFileStorage } = require("./lib/file-storage");
+const {
+  getAttachmentKind,
+  decodeFileName,
+  processImage,
+} = require("./lib/media");
+const {
+  NotificationQueue,
+  LogTransport,
+  WebhookTransport,
+  WebPushTransport,
+} = require("./lib/notifications");
+const { parseEntities } = require("./lib/entities");
+const { createLinkPreviewFetcher } = require("./lib/link-preview");
+const { assertPublicUrl } = require("./lib/public-url");
+const { Scheduler } = require("./lib/scheduler");
+const { WebhookQueue } = require("./lib/webhooks");
+const { createAuditLog } = require("./lib/audit-log");
+const {
+  RateLimiter,
+  LoginThrottle,
+  rateLimit,
+  sendRateLimited,
+} = require("./lib/rate-limit");
 
 const app = express();
 const server = http.createServer(app);
@@ -18,99 +55,869 @@ const io = socketIo(server, {
   },
 });
 
+// За обратным прокси req.ip берется из X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", process.env.TRUST_PROXY);
+}
+
 app.use(cors());
 app.use(express.json());
 
-// JWT секрет (в продакшене должен быть в переменных окружения)
-const JWT_SECRET = process.env.JWT_SECRET || "acto_secret_key_2024";
+// JWT секрет (в продакшене должен быть в переменных окружения).
+// Без переменной окружения секрет генерируется один раз и хранится в meta
+let JWT_SECRET = process.env.JWT_SECRET;
+
+// Время жизни токенов
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+// Адрес клиента для ссылок в письмах
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+
+// Почта (MAIL_TRANSPORT=file — письма пишутся в MAIL_FILE)
+const mailer = createMailer({
+  transport: process.env.MAIL_TRANSPORT || "console",
+  file: process.env.MAIL_FILE,
+  from: process.env.MAIL_FROM,
+});
+
+// === ОГРАНИЧЕНИЕ ЧАСТОТЫ ЗАПРОСОВ ===
+
+const envNumber = (name, fallback) => Number(process.env[name] || fallback);
+
+// Маршруты аутентификации — по IP
+const authLimiter = new RateLimiter({
+  windowMs: envNumber("RATE_LIMIT_AUTH_WINDOW_SECONDS", 15 * 60) * 1000,
+  max: envNumber("RATE_LIMIT_AUTH_MAX", 30),
+});
+const authRateLimit = rateLimit(authLimiter, (req) => `ip:${req.ip}`);
+
+// Неудачные входы — по паре IP + имя пользователя, блокировка растет вдвое
+const loginThrottle = new LoginThrottle({
+  maxAttempts: envNumber("LOGIN_MAX_ATTEMPTS", 5),
+  baseLockoutMs: envNumber("LOGIN_LOCKOUT_SECONDS", 60) * 1000,
+  maxLockoutMs: envNumber("LOGIN_MAX_LOCKOUT_SECONDS", 60 * 60) * 1000,
+});
+
+// Отправка сообщений — по пользователю в каждом чате (REST и Socket.IO)
+const messageLimiter = new RateLimiter({
+  windowMs: envNumber("RATE_LIMIT_MESSAGES_WINDOW_SECONDS", 10) * 1000,
+  max: envNumber("RATE_LIMIT_MESSAGES_MAX", 20),
+});
+
+// Событие typing — по пользователю
+const typingLimiter = new RateLimiter({
+  windowMs: envNumber("RATE_LIMIT_TYPING_WINDOW_SECONDS", 10) * 1000,
+  max: envNumber("RATE_LIMIT_TYPING_MAX", 20),
+});
+
+const consumeMessageLimit = (userId, chatId, count = 1) =>
+  messageLimiter.consume(`${userId}:${chatId}`, count);
 
-// Хранилище данных в памяти
-const users = new Map();
-const chats = new Map();
-const messages = new Map();
+// Тело ответа при непредвиденной ошибке
+const SERVER_ERROR = {
+  success: false,
+  code: "INTERNAL_ERROR",
+  message: "Ошибка сервера",
+};
+
+// Постоянное хранилище (STORAGE_DRIVER=memory — только в памяти)
+const store = createStore({
+  driver: process.env.STORAGE_DRIVER || "file",
+  file: process.env.STORAGE_FILE,
+});
+const users = store.collection("users");
+const chats = store.collection("chats");
+const messages = store.collection("messages"); // chatId -> [message]
+
+// Индекс поиска по сообщениям строится при запуске и обновляется
+// вместе с историей чатов (appendMessage / saveMessage)
+const searchIndex = new SearchIndex();
+
+// Окно редактирования сообщений в минутах (0 — без ограничения)
+const MESSAGE_EDIT_WINDOW_MINUTES = Number(
+  process.env.MESSAGE_EDIT_WINDOW_MINUTES ?? 48 * 60
+);
+
+// Сессии входа (по одной на устройство): id -> { userId, userAgent, ... }
+const sessions = store.collection("sessions");
+
+// Состояние подключений живёт только в памяти.
+// Каждый сокет входит в комнаты user:<id> и session:<id>, а открытый чат —
+// в комнату с id чата (используется для typing)
 const onlineUsers = new Set();
-const userSockets = new Map(); // userId -> socketId
+const connectionCounts = new Map(); // userId -> число активных сокетов
+
+const userRoom = (userId) => `user:${userId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// Отозванные access токены: jti -> { expiresAt }
+const revokedTokens = store.collection("revokedTokens");
+
+// Одноразовые токены из писем: sha256(token) -> { type, userId, expiresAt }
+const emailTokens = store.collection("emailTokens");
+
+// === ЖУРНАЛ АУДИТА ===
+
+// Журнал событий безопасности и администрирования: только дописывается
+// и хранится отдельно от основного хранилища (AUDIT_LOG_DRIVER, AUDIT_LOG_FILE)
+const auditLog = createAuditLog({
+  driver: process.env.AUDIT_LOG_DRIVER || process.env.STORAGE_DRIVER || "file",
+  file: process.env.AUDIT_LOG_FILE,
+});
+
+// Запись события: кто (actor, по умолчанию текущий пользователь), что
+// (action вида "категория.действие"), над чем, откуда (IP и user agent)
+const audit = (
+  req,
+  action,
+  { actor = req.user, targetType = null, targetId = null, details = {} } = {}
+) => {
+  try {
+    auditLog.append({
+      action,
+      actorId: actor ? actor.id : null,
+      actorUsername: actor ? actor.username : null,
+      targetType,
+      targetId,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"] || "",
+      details,
+    });
+  } catch (error) {
+    // Сбой записи в журнал не должен ломать сам запрос
+    console.error(`Audit log error (${action}):`, error);
+  }
+};
+
+// === ТОКЕНЫ И СЕССИИ ===
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Короткоживущий access токен, привязанный к сессии
+const issueAccessToken = (session) =>
+  jwt.sign({ userId: session.userId, sid: session.id }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+    jwtid: uuidv4(),
+  });
+
+// Refresh токен имеет вид <sessionId>.<secret>; в сессии хранится только хеш
+const rotateRefreshToken = (session) => {
+  const refreshToken = `${session.id}.${crypto
+    .randomBytes(32)
+    .toString("hex")}`;
+
+  session.refreshTokenHash = hashToken(refreshToken);
+  session.refreshExpiresAt = new Date(
+    Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+  ).toISOString();
+  session.lastActiveAt = new Date().toISOString();
+  sessions.set(session.id, session);
+
+  return refreshToken;
+};
+
+// Пара токенов для ответа клиенту
+const issueTokens = (session) => {
+  const refreshToken = rotateRefreshToken(session);
+  const token = issueAccessToken(session);
+
+  return {
+    token,
+    refreshToken,
+    expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString(),
+  };
+};
+
+// Создание сессии и токенов для нового входа
+const createSession = (userId, req) => {
+  const session = {
+    id: uuidv4(),
+    userId,
+    userAgent: req.headers["user-agent"] || "",
+    ip: req.ip,
+    createdAt: new Date().toISOString(),
+    lastActiveAt: new Date().toISOString(),
+  };
+
+  return { session, ...issueTokens(session) };
+};
+
+// Сессия без секретных полей для ответа клиенту
+const toPublicSession = (session) => {
+  const { refreshTokenHash: _, ...publicSession } = session;
+  return publicSession;
+};
+
+// Проверка токена: пользователь должен существовать, сессия — быть активной,
+// а сам токен — отсутствовать в списке отозванных
+const verifyToken = (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+
+  if (decoded.jti && revokedTokens.has(decoded.jti)) {
+    return { error: "Токен отозван", code: "TOKEN_REVOKED" };
+  }
+
+  const user = users.get(decoded.userId);
+  if (!user) {
+    return { error: "Пользователь не найден", code: "USER_NOT_FOUND" };
+  }
+
+  const session = sessions.get(decoded.sid);
+  if (!session || session.userId !== user.id) {
+    return { error: "Сессия завершена", code: "SESSION_REVOKED" };
+  }
+
+  return { user, session, decoded };
+};
+
+// Ограничение аккаунта модератором: бессрочная блокировка или временная
+// приостановка. Возвращает { status, code, message } или null
+const getAccountRestriction = (user) => {
+  if (user.bannedAt) {
+    return {
+      status: 403,
+      code: "ACCOUNT_BANNED",
+      message: "Аккаунт заблокирован",
+    };
+  }
+  if (
+    user.suspendedUntil &&
+    new Date(user.suspendedUntil).getTime() > Date.now()
+  ) {
+    return {
+      status: 403,
+      code: "ACCOUNT_SUSPENDED",
+      message: "Аккаунт временно приостановлен",
+      suspendedUntil: user.suspendedUntil,
+    };
+  }
+  return null;
+};
+
+// Добавление access токена в список отозванных до истечения его срока
+const revokeAccessToken = (decoded) => {
+  if (!decoded?.jti) return;
+  revokedTokens.set(decoded.jti, {
+    userId: decoded.userId,
+    expiresAt: new Date(decoded.exp * 1000).toISOString(),
+  });
+};
+
+// Завершение сессии с отключением всех её сокетов
+const revokeSession = (session) => {
+  sessions.delete(session.id);
+  pushSubscriptions
+    .filter((subscription) => subscription.sessionId === session.id)
+    .forEach((subscription) => pushSubscriptions.delete(subscription.id));
+  io.in(sessionRoom(session.id)).disconnectSockets(true);
+};
+
+// Завершение всех сессий пользователя (кроме exceptSessionId)
+const revokeAllSessions = (userId, exceptSessionId = null) => {
+  sessions
+    .filter((s) => s.userId === userId && s.id !== exceptSessionId)
+    .forEach((s) => revokeSession(s));
+};
+
+// === ТОКЕНЫ ИЗ ПИСЕМ ===
+
+const EMAIL_TOKEN_TTL_MINUTES = {
+  "password-reset": 60,
+  "email-verification": 24 * 60,
+};
+
+// Создает токен нужного типа; предыдущие токены того же типа аннулируются
+const createEmailToken = (userId, type) => {
+  Array.from(emailTokens.entries())
+    .filter(([, entry]) => entry.userId === userId && entry.type === type)
+    .forEach(([hash]) => emailTokens.delete(hash));
+
+  const token = crypto.randomBytes(32).toString("hex");
+  emailTokens.set(hashToken(token), {
+    type,
+    userId,
+    expiresAt: new Date(
+      Date.now() + EMAIL_TOKEN_TTL_MINUTES[type] * 60 * 1000
+    ).toISOString(),
+  });
+
+  return token;
+};
+
+// Проверяет и погашает токен; возвращает пользователя или null
+const consumeEmailToken = (token, type) => {
+  if (!token || typeof token !== "string") return null;
+
+  const hash = hashToken(token);
+  const entry = emailTokens.get(hash);
+  if (!entry || entry.type !== type) return null;
+
+  emailTokens.delete(hash);
+  if (new Date(entry.expiresAt).getTime() < Date.now()) return null;
+
+  return users.get(entry.userId) || null;
+};
+
+const sendVerificationEmail = (user) => {
+  const token = createEmailToken(user.id, "email-verification");
+  return mailer.send({
+    to: user.email,
+    subject: "Подтверждение email в ACTO uim",
+    text: [
+      `Здравствуйте, ${user.displayName}!`,
+      "",
+      "Чтобы подтвердить email, перейдите по ссылке:",
+      `${APP_URL}/verify-email?token=${token}`,
+      "",
+      "Ссылка действительна 24 часа.",
+    ].join("\n"),
+  });
+};
+
+const sendPasswordResetEmail = (user) => {
+  const token = createEmailToken(user.id, "password-reset");
+  return mailer.send({
+    to: user.email,
+    subject: "Сброс пароля в ACTO uim",
+    text: [
+      `Здравствуйте, ${user.displayName}!`,
+      "",
+      "Для сброса пароля перейдите по ссылке:",
+      `${APP_URL}/reset-password?token=${token}`,
+      "",
+      "Ссылка действительна 1 час. Если вы не запрашивали сброс, проигнорируйте письмо.",
+    ].join("\n"),
+  });
+};
+
+// Очистка просроченных сессий и записей об отозванных токенах
+// (просроченный токен и так не пройдет jwt.verify)
+const pruneExpiredTokens = () => {
+  const now = Date.now();
+
+  Array.from(emailTokens.entries())
+    .filter(([, entry]) => new Date(entry.expiresAt).getTime() < now)
+    .forEach(([hash]) => emailTokens.delete(hash));
+
+  Array.from(revokedTokens.entries())
+    .filter(([, entry]) => new Date(entry.expiresAt).getTime() < now)
+    .forEach(([jti]) => revokedTokens.delete(jti));
+
+  sessions
+    .filter((session) => new Date(session.refreshExpiresAt).getTime() < now)
+    .forEach((session) => revokeSession(session));
+};
 
 // Middleware для проверки JWT токена
 const authMiddleware = (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      return res
-        .status(401)
-        .json({ success: false, message: "Токен не предоставлен" });
+      return res.status(401).json({
+        success: false,
+        code: "TOKEN_MISSING",
+        message: "Токен не предоставлен",
+      });
     }
 
     const token = authHeader.substring(7);
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const { user, session, decoded, error, code } = verifyToken(token);
 
-    const user = users.get(decoded.userId);
-    if (!user) {
-      return res
-        .status(401)
-        .json({ success: false, message: "Пользователь не найден" });
+    if (error) {
+      return res.status(401).json({ success: false, code, message: error });
+    }
+
+    const restriction = getAccountRestriction(user);
+    if (restriction) {
+      const { status, ...body } = restriction;
+      return res.status(status).json({ success: false, ...body });
+    }
+
+    // Время активности обновляем не чаще раза в минуту
+    if (
+      session &&
+      Date.now() - new Date(session.lastActiveAt).getTime() > 60 * 1000
+    ) {
+      session.lastActiveAt = new Date().toISOString();
+      sessions.set(session.id, session);
     }
 
     req.user = user;
+    req.session = session;
+    req.tokenPayload = decoded;
     next();
   } catch (error) {
-    return res
-      .status(401)
-      .json({ success: false, message: "Недействительный токен" });
+    return res.status(401).json({
+      success: false,
+      code: "INVALID_TOKEN",
+      message: "Недействительный токен",
+    });
   }
 };
 
-// Создание демо пользователей при запуске
-const createDemoUsers = async () => {
-  const demoUsers = [
-    {
-      id: "demo_alice",
-      username: "alice",
-      email: "alice@acto.uim",
-      displayName: "Alice Johnson",
-      avatar: "👩",
-      status: "Привет! Я Alice 👋",
-      bio: "Люблю программирование и дизайн",
-      password: await bcrypt.hash("123456", 10),
-      isOnline: false,
-      lastSeen: new Date().toISOString(),
-      createdAt: new Date().toISOString(),
-    },
-    {
-      id: "demo_bob",
-      username: "bob",
-      email: "bob@acto.uim",
-      displayName: "Bob Smith",
-      avatar: "👨",
-      status: "Разработчик и геймер 🎮",
-      bio: "Full-stack разработчик",
-      password: await bcrypt.hash("123456", 10),
-      isOnline: false,
-      lastSeen: new Date().toISOString(),
-      createdAt: new Date().toISOString(),
-    },
-    {
-      id: "demo_charlie",
-      username: "charlie",
-      email: "charlie@acto.uim",
-      displayName: "Charlie Brown",
-      avatar: "🧑",
-      status: "Люблю музыку и искусство 🎨",
-      bio: "Музыкант и художник",
-      password: await bcrypt.hash("123456", 10),
-      isOnline: false,
-      lastSeen: new Date().toISOString(),
-      createdAt: new Date().toISOString(),
-    },
-  ];
+// Добавление сообщения в историю чата
+const appendMessage = (chatId, message) => {
+  const chatMessages = messages.get(chatId) || [];
+  chatMessages.push(message);
+  messages.set(chatId, chatMessages);
+  searchIndex.add(message);
+  return message;
+};
 
-  demoUsers.forEach((user) => {
-    users.set(user.id, user);
+// Поиск сообщения в истории чата
+const findMessage = (chatId, messageId) =>
+  (messages.get(chatId) || []).find((m) => m.id === messageId);
+
+// Сохранение изменений в уже добавленном сообщении
+const saveMessage = (message) => {
+  messages.set(message.chatId, messages.get(message.chatId) || []);
+  searchIndex.update(message);
+  return message;
+};
+
+// === ПАГИНАЦИЯ СООБЩЕНИЙ ===
+
+// Размер страницы по умолчанию; сама пагинация — в lib/pagination
+const MESSAGE_PAGE_SIZE = 50;
+
+// Группы и каналы управляются одинаково: владелец, администраторы, участники.
+// В канале публикуют только администраторы, остальные — подписчики
+const isGroupChat = (chat) => chat.type === "group" || chat.type === "channel";
+
+// Системное сообщение (создание группы, изменения состава и т.п.)
+const createSystemMessage = (chatId, content) => ({
+  id: uuidv4(),
+  chatId,
+  senderId: "system",
+  senderUsername: "system",
+  senderDisplayName: "Система",
+  content,
+  type: "system",
+  timestamp: new Date().toISOString(),
+});
+
+// === ЖУРНАЛ ИЗМЕНЕНИЙ ДЛЯ СИНХРОНИЗАЦИИ ===
+
+// События, которые клиент должен получить после переподключения.
+// Каждое записывается в журнал с монотонным номером seq, который и служит
+// курсором синхронизации (присутствие и typing не журналируются)
+const SYNC_EVENTS = new Set([
+  "new-message",
+  "message-edited",
+  "message-deleted",
+  "messages-read",
+  "read-updated",
+  "chat-created",
+  "chat-updated",
+  "chat-removed",
+  "reaction-updated",
+  "join-request",
+  "chat-settings-updated",
+  "pins-updated",
+  "message-link-preview",
+  "scheduled-message-sent",
+  "scheduled-message-failed",
+]);
+const SYNC_RETENTION_DAYS = envNumber("SYNC_RETENTION_DAYS", 30);
+const SYNC_PAGE_SIZE = 500;
+
+const changes = store.collection("changes"); // seq -> { seq, event, ... }
+const meta = store.collection("meta");
+
+const recordChange = (userIds, event, payload) => {
+  const seq = (meta.get("changeSeq") || 0) + 1;
+  meta.set("changeSeq", seq);
+
+  changes.set(seq, {
+    seq,
+    event,
+    chatId: payload.chatId || payload.id || null,
+    audience: userIds,
+    payload,
+    createdAt: new Date().toISOString(),
+  });
+
+  return seq;
+};
+
+// Изменения для пользователя после курсора since.
+// resetRequired — часть журнала уже удалена, нужна полная загрузка
+const getChangesSince = (userId, since, limit = SYNC_PAGE_SIZE) => {
+  const cursor = meta.get("changeSeq") || 0;
+  let oldestSeq = cursor + 1;
+  for (const seq of changes.keys()) {
+    if (seq < oldestSeq) oldestSeq = seq;
+  }
+  // Курсор старше журнала или из другой базы
+  const resetRequired = since < oldestSeq - 1 || since > cursor;
+
+  const userChanges = changes
+    .filter((change) => change.seq > since && change.audience.includes(userId))
+    .sort((a, b) => a.seq - b.seq);
+  const page = userChanges.slice(0, limit);
+
+  return {
+    changes: page.map(({ audience: _, ...change }) => change),
+    cursor: userChanges.length > limit ? page[page.length - 1].seq : cursor,
+    hasMore: userChanges.length > limit,
+    resetRequired,
+  };
+};
+
+const pruneChanges = () => {
+  const threshold = Date.now() - SYNC_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  changes
+    .filter((change) => new Date(change.createdAt).getTime() < threshold)
+    .forEach((change) => changes.delete(change.seq));
+};
+
+// Отправка события пользователям; журналируемые события получают seq,
+// который передается вторым аргументом: emit(event, payload, { seq })
+const emitToUsers = (userIds, event, payload) => {
+  if (userIds.length === 0) return;
+
+  if (SYNC_EVENTS.has(event)) {
+    const seq = recordChange(userIds, event, payload);
+    userIds.forEach((userId) => {
+      io.to(userRoom(userId)).emit(event, payload, { seq });
+    });
+  } else {
+    userIds.forEach((userId) => {
+      io.to(userRoom(userId)).emit(event, payload);
+    });
+  }
+};
+
+// Отправка события пользователю, если он подключен
+const emitToUser = (userId, event, payload) => {
+  emitToUsers([userId], event, payload);
+};
+
+// Отправка события всем подключенным участникам чата (кроме exceptUserId)
+// и в исходящие вебхуки чата
+const emitToParticipants = (chat, event, payload, exceptUserId = null) => {
+  emitToUsers(
+    chat.participants.filter((participantId) => participantId !== exceptUserId),
+    event,
+    payload
+  );
+  dispatchChatWebhooks(chat, event, payload);
+};
+
+// === СТАТУСЫ ДОСТАВКИ И ПРОЧТЕНИЯ ===
+
+// Курсоры участников: `${chatId}:${userId}` -> последнее доставленное/прочитанное
+const readState = store.collection("readState");
+
+const getReadState = (chatId, userId) =>
+  readState.get(`${chatId}:${userId}`) || {
+    chatId,
+    userId,
+    lastReadMessageId: null,
+    lastReadAt: null,
+    lastDeliveredMessageId: null,
+    lastDeliveredAt: null,
+  };
+
+// Позиция сообщения в истории чата (-1, если не найдено)
+const getMessageIndex = (chatId, messageId) => {
+  if (!messageId) return -1;
+  const chatMessages = messages.get(chatId) || [];
+  return chatMessages.findIndex((m) => m.id === messageId);
+};
+
+// Сдвигает курсор участника вперед; возвращает true, если он изменился
+const advanceCursor = (chatId, userId, messageId, kind) => {
+  const state = getReadState(chatId, userId);
+  const idKey =
+    kind === "read" ? "lastReadMessageId" : "lastDeliveredMessageId";
+  const atKey = kind === "read" ? "lastReadAt" : "lastDeliveredAt";
+
+  const newIndex = getMessageIndex(chatId, messageId);
+  if (newIndex === -1 || newIndex <= getMessageIndex(chatId, state[idKey])) {
+    return false;
+  }
+
+  state[idKey] = messageId;
+  state[atKey] = new Date().toISOString();
+
+  // Прочитанное сообщение всегда считается доставленным
+  if (
+    kind === "read" &&
+    newIndex > getMessageIndex(chatId, state.lastDeliveredMessageId)
+  ) {
+    state.lastDeliveredMessageId = messageId;
+    state.lastDeliveredAt = state.lastReadAt;
+  }
+
+  readState.set(`${chatId}:${userId}`, state);
+  return true;
+};
+
+const markDelivered = (chatId, userId, messageId) =>
+  advanceCursor(chatId, userId, messageId, "delivered");
+
+const markRead = (chatId, userId, messageId) =>
+  advanceCursor(chatId, userId, messageId, "read");
+
+// Количество чужих сообщений после курсора прочтения
+const getUnreadCount = (chatId, userId) => {
+  const chatMessages = messages.get(chatId) || [];
+  const { lastReadMessageId } = getReadState(chatId, userId);
+  const lastReadIndex = getMessageIndex(chatId, lastReadMessageId);
+
+  return chatMessages
+    .slice(lastReadIndex + 1)
+    .filter((m) => m.senderId !== userId && m.type !== "system" && !m.deleted)
+    .length;
+};
+
+// Добавляет к сообщениям статус: sent -> delivered -> read (для собеседников)
+const withMessageStatus = (chat, chatMessages) => {
+  const cursors = chat.participants.map((participantId) => {
+    const state = getReadState(chat.id, participantId);
+    return {
+      userId: participantId,
+      readIndex: getMessageIndex(chat.id, state.lastReadMessageId),
+      deliveredIndex: getMessageIndex(chat.id, state.lastDeliveredMessageId),
+    };
   });
 
-  console.log("✅ Demo users created");
+  const positions = new Map(
+    (messages.get(chat.id) || []).map((m, index) => [m.id, index])
+  );
+
+  return chatMessages.map((message) => {
+    const index = positions.get(message.id);
+    const recipients = cursors.filter((c) => c.userId !== message.senderId);
+    const readBy = recipients
+      .filter((c) => c.readIndex >= index)
+      .map((c) => c.userId);
+
+    let status = "sent";
+    if (recipients.length > 0 && readBy.length === recipients.length) {
+      status = "read";
+    } else if (
+      recipients.length > 0 &&
+      recipients.every((c) => c.deliveredIndex >= index)
+    ) {
+      status = "delivered";
+    }
+
+    return { ...message, status, readBy };
+  });
+};
+
+// Отмечает сообщения прочитанными (по умолчанию — до последнего) и
+// уведомляет остальных участников событием messages-read
+const readMessages = (chat, userId, messageId) => {
+  const chatMessages = messages.get(chat.id) || [];
+  const targetId =
+    messageId || chatMessages[chatMessages.length - 1]?.id || null;
+
+  if (targetId && getMessageIndex(chat.id, targetId) === -1) {
+    return null;
+  }
+
+  const changed = targetId ? markRead(chat.id, userId, targetId) : false;
+  const state = getReadState(chat.id, userId);
+
+  const result = {
+    chatId: chat.id,
+    lastReadMessageId: state.lastReadMessageId,
+    lastReadAt: state.lastReadAt,
+    unreadCount: getUnreadCount(chat.id, userId),
+  };
+
+  if (changed) {
+    emitToParticipants(
+      chat,
+      "messages-read",
+      {
+        chatId: chat.id,
+        userId,
+        messageId: state.lastReadMessageId,
+        readAt: state.lastReadAt,
+      },
+      userId
+    );
+    // Остальные устройства пользователя обновляют счетчик непрочитанных
+    emitToUser(userId, "read-updated", result);
+  }
+
+  return result;
 };
 
+// === КОНТАКТЫ, БЛОКИРОВКИ И ПРИВАТНОСТЬ ===
+
+const contacts = store.collection("contacts"); // userId -> [contactId]
+const blocks = store.collection("blocks"); // userId -> [blockedUserId]
+
+const getPrivacy = (user) => ({ ...DEFAULT_PRIVACY, ...user.privacy });
+
+const getContactList = (userId) => contacts.get(userId) || [];
+const hasContact = (ownerId, otherId) =>
+  getContactList(ownerId).includes(otherId);
+
+const getBlockList = (userId) => blocks.get(userId) || [];
+const hasBlocked = (userId, otherId) => getBlockList(userId).includes(otherId);
+const isBlockedBetween = (userId, otherId) =>
+  hasBlocked(userId, otherId) || hasBlocked(otherId, userId);
+
+// Настройка видимости: everyone | contacts | nobody
+const isAllowedBy = (setting, owner, viewerId) =>
+  setting === "everyone" ||
+  (setting === "contacts" && hasContact(owner.id, viewerId));
+
+const canSeePresence = (viewerId, user) =>
+  viewerId === user.id ||
+  (!isBlockedBetween(viewerId, user.id) &&
+    isAllowedBy(getPrivacy(user).lastSeen, user, viewerId));
+
+// Онлайн-статус и время последнего визита с учетом настроек приватности
+const getPresence = (viewerId, user) =>
+  canSeePresence(viewerId, user)
+    ? { isOnline: onlineUsers.has(user.id), lastSeen: user.lastSeen }
+    : { isOnline: false, lastSeen: null };
+
+// Скрытые из поиска пользователи находятся только своими контактами
+const isSearchableBy = (user, viewerId) =>
+  !isBlockedBetween(viewerId, user.id) &&
+  (getPrivacy(user).searchable || hasContact(user.id, viewerId));
+
+// Причина, по которой sender не может писать recipient в личный чат,
+// или null. Заблокировавший отправителя получатель не раскрывает блокировку
+const getMessagingRestriction = (senderId, recipient) => {
+  if (hasBlocked(senderId, recipient.id)) {
+    return {
+      status: 403,
+      code: "USER_BLOCKED",
+      message: "Вы заблокировали этого пользователя",
+    };
+  }
+  if (
+    hasBlocked(recipient.id, senderId) ||
+    !isAllowedBy(getPrivacy(recipient).messages, recipient, senderId)
+  ) {
+    return {
+      status: 403,
+      code: "PRIVACY_RESTRICTED",
+      message: "Пользователь ограничил круг лиц, которые могут ему писать",
+    };
+  }
+  return null;
+};
+
+const toPublicUser = (user, viewerId) => ({
+  id: user.id,
+  username: user.username,
+  displayName: user.displayName,
+  avatar: user.avatar,
+  status: user.status,
+  isBot: Boolean(user.isBot),
+  ...getPresence(viewerId, user),
+});
+
+// === ПРИСУТСТВИЕ ===
+
+// Пользователи, с которыми есть хотя бы один общий чат
+const getContactIds = (userId) => {
+  const contactIds = new Set();
+  chats
+    .filter((chat) => chat.participants.includes(userId))
+    .forEach((chat) => {
+      chat.participants.forEach((participantId) => {
+        if (participantId !== userId) contactIds.add(participantId);
+      });
+    });
+  return contactIds;
+};
+
+// Онлайн-пользователи, видимые данному пользователю
+const getVisibleOnlineUsers = (userId) => {
+  const contactIds = getContactIds(userId);
+  return Array.from(onlineUsers).filter(
+    (onlineId) =>
+      onlineId === userId ||
+      (contactIds.has(onlineId) && canSeePresence(userId, users.get(onlineId)))
+  );
+};
+
+// Рассылает users-online только тем, у кого есть общий чат с пользователем
+const broadcastPresence = (userId) => {
+  [userId, ...getContactIds(userId)]
+    .filter((recipientId) => onlineUsers.has(recipientId))
+    .forEach((recipientId) => {
+      emitToUser(
+        recipientId,
+        "users-online",
+        getVisibleOnlineUsers(recipientId)
+      );
+    });
+};
+
+// === ПЕРСОНАЛЬНЫЕ НАСТРОЙКИ ЧАТОВ ===
+
+// `${chatId}:${userId}` -> { muted, mutedUntil, archived, pinnedAt,
+//                            notificationLevel }
+const chatSettings = store.collection("chatSettings");
+
+const DEFAULT_CHAT_SETTINGS = {
+  muted: false,
+  mutedUntil: null,
+  archived: false,
+  pinnedAt: null,
+  notificationLevel: "all",
+};
+
+const getChatSettings = (chatId, userId) => ({
+  ...DEFAULT_CHAT_SETTINGS,
+  ...chatSettings.get(`${chatId}:${userId}`),
+});
+
+// Заглушен ли чат сейчас (mutedUntil = null — бессрочно)
+const isChatMuted = (settings) =>
+  settings.muted &&
+  (!settings.mutedUntil ||
+    new Date(settings.mutedUntil).getTime() > Date.now());
+
+const toPublicChatSettings = (settings) => ({
+  muted: isChatMuted(settings),
+  mutedUntil: isChatMuted(settings) ? settings.mutedUntil : null,
+  archived: settings.archived,
+  pinned: Boolean(settings.pinnedAt),
+  pinnedAt: settings.pinnedAt,
+  notificationLevel: settings.notificationLevel,
+});
+
+// Чат глазами пользователя: в личном чате название, аватар и статус
+// берутся у собеседника, сохраненный объект чата не изменяется
+const toChatView = (chat, userId) => {
+  const view = {
+    ...chat,
+    settings: toPublicChatSettings(getChatSettings(chat.id, userId)),
+  };
+
+  if (chat.type === "private") {
+    const otherUser = users.get(chat.participants.find((p) => p !== userId));
+    if (otherUser) {
+      const { isOnline, lastSeen } = getPresence(userId, otherUser);
+      view.name = otherUser.displayName;
+      view.avatar = otherUser.avatar;
+      view.isOnline = isOnline;
+      view.lastSeen = lastSeen;
+    }
+  }
+
+  return view;
+};
+
+// Поиск пользователя по username без учета регистра
+const findUserByUsername = (username) =>
+  users.find((u) => u.username.toLowerCase() === username.toLowerCase());
+
 // Базовые маршруты
 app.get("/", (req, res) => {
   res.json({
@@ -123,17 +930,123 @@ app.get("/", (req, res) => {
       auth: {
         login: "POST /auth/login",
         register: "POST /auth/register",
+        refresh: "POST /auth/refresh",
+        logout: "POST /auth/logout",
+        changePassword: "POST /auth/password",
+        forgotPassword: "POST /auth/forgot",
+        resetPassword: "POST /auth/reset",
+        verifyEmail: "POST /auth/verify-email",
+        requestVerification: "POST /auth/verify-email/request",
         profile: "GET /auth/profile",
         updateProfile: "PUT /auth/profile",
+        privacy: "GET /auth/privacy",
+        updatePrivacy: "PUT /auth/privacy",
+        sessions: "GET /auth/sessions",
+        revokeSession: "DELETE /auth/sessions/:sessionId",
       },
       chats: {
-        getChats: "GET /chats",
+        getChats: "GET /chats?archived=",
         createChat: "POST /chats",
-        getMessages: "GET /messages/:chatId",
+        markRead: "POST /chats/:chatId/read",
+        updateSettings: "PUT /chats/:chatId/settings",
+        getPins: "GET /chats/:chatId/pins",
+        pinMessage: "POST /chats/:chatId/pins",
+        unpinMessage: "DELETE /chats/:chatId/pins/:messageId",
+        setMessageTtl: "PUT /chats/:chatId/message-ttl",
+        updateGroup: "PATCH /chats/:chatId",
+        getMembers: "GET /chats/:chatId/members",
+        addMembers: "POST /chats/:chatId/members",
+        removeMember: "DELETE /chats/:chatId/members/:memberId",
+        promoteAdmin: "POST /chats/:chatId/admins/:memberId",
+        demoteAdmin: "DELETE /chats/:chatId/admins/:memberId",
+        transferOwnership: "POST /chats/:chatId/owner",
+        leaveGroup: "POST /chats/:chatId/leave",
+        discover: "GET /chats/discover?q=",
+        joinPublic: "POST /chats/:chatId/join",
+        createInvite: "POST /chats/:chatId/invites",
+        getInvites: "GET /chats/:chatId/invites",
+        revokeInvite: "DELETE /chats/:chatId/invites/:token",
+        previewInvite: "GET /invites/:token",
+        joinByInvite: "POST /invites/:token/join",
+        joinRequests: "GET /chats/:chatId/join-requests",
+        approveJoinRequest: "POST /chats/:chatId/join-requests/:userId/approve",
+        rejectJoinRequest: "DELETE /chats/:chatId/join-requests/:userId",
+        getMessages: "GET /messages/:chatId?before=&after=&around=",
+        searchMessages: "GET /messages/search?q=",
+        uploadAttachment: "POST /attachments",
+        downloadAttachment: "GET /attachments/:attachmentId",
+        attachmentThumbnail: "GET /attachments/:attachmentId/thumbnail",
         sendMessage: "POST /messages/:chatId",
+        editMessage: "PATCH /messages/:chatId/:messageId",
+        deleteMessage: "DELETE /messages/:chatId/:messageId",
+        forwardMessages: "POST /messages/:chatId/forward",
+        scheduleMessage: "POST /messages/:chatId/scheduled",
+        getScheduled: "GET /messages/:chatId/scheduled",
+        cancelScheduled: "DELETE /messages/:chatId/scheduled/:scheduledId",
+        addReaction: "POST /messages/:chatId/:messageId/reactions",
+        removeReaction: "DELETE /messages/:chatId/:messageId/reactions/:emoji",
+      },
+      mentions: {
+        inbox: "GET /mentions",
+      },
+      bots: {
+        create: "POST /bots",
+        list: "GET /bots",
+        update: "PATCH /bots/:botId",
+        regenerateToken: "POST /bots/:botId/token",
+        remove: "DELETE /bots/:botId",
+        chatCommands: "GET /chats/:chatId/commands",
+      },
+      botApi: {
+        me: "GET /bot/me",
+        chats: "GET /bot/chats",
+        sendMessage: "POST /bot/chats/:chatId/messages",
+        commands: "GET /bot/commands",
+        setCommands: "PUT /bot/commands",
+        setWebhook: "PUT /bot/webhook",
+        deleteWebhook: "DELETE /bot/webhook",
+      },
+      moderation: {
+        report: "POST /reports",
+        users: "GET /admin/users?q=&role=&status=",
+        user: "GET /admin/users/:userId",
+        suspendUser: "POST /admin/users/:userId/suspend",
+        unsuspendUser: "DELETE /admin/users/:userId/suspend",
+        banUser: "POST /admin/users/:userId/ban",
+        unbanUser: "DELETE /admin/users/:userId/ban",
+        setRole: "PUT /admin/users/:userId/role",
+        deleteUser: "DELETE /admin/users/:userId",
+        chats: "GET /admin/chats?q=&type=&status=",
+        suspendChat: "POST /admin/chats/:chatId/suspend",
+        unsuspendChat: "DELETE /admin/chats/:chatId/suspend",
+        deleteChat: "DELETE /admin/chats/:chatId",
+        reports: "GET /admin/reports?status=",
+        resolveReport: "POST /admin/reports/:reportId/resolve",
+        audit:
+          "GET /audit?action=&actorId=&targetId=&ip=&from=&to=&before=&format=json|jsonl",
+      },
+      webhooks: {
+        create: "POST /chats/:chatId/webhooks",
+        list: "GET /chats/:chatId/webhooks",
+        remove: "DELETE /chats/:chatId/webhooks/:webhookId",
+      },
+      notifications: {
+        vapidPublicKey: "GET /notifications/vapid-public-key",
+        subscribe: "POST /notifications/subscribe",
+        subscriptions: "GET /notifications/subscriptions",
+        unsubscribe: "DELETE /notifications/subscriptions/:subscriptionId",
       },
       users: {
         search: "GET /users/search",
+        contacts: "GET /contacts",
+        addContact: "POST /contacts",
+        removeContact: "DELETE /contacts/:userId",
+        blocks: "GET /blocks",
+        block: "POST /blocks",
+        unblock: "DELETE /blocks/:userId",
+      },
+      sync: {
+        changes: "GET /sync?since=",
       },
     },
   });
@@ -152,19 +1065,13 @@ app.get("/health", (req, res) => {
 // === МАРШРУТЫ АУТЕНТИФИКАЦИИ ===
 
 // Регистрация
-app.post("/auth/register", async (req, res) => {
+app.post("/auth/register", authRateLimit, async (req, res) => {
   try {
+    if (!validateRequest(req, res, schemas.register)) return;
     const { username, email, password, displayName } = req.body;
 
-    if (!username || !email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: "Заполните все обязательные поля",
-      });
-    }
-
     // Проверка на существование пользователя
-    const existingUser = Array.from(users.values()).find(
+    const existingUser = users.find(
       (u) =>
         u.username.toLowerCase() === username.toLowerCase() ||
         u.email.toLowerCase() === email.toLowerCase()
@@ -173,6 +1080,7 @@ app.post("/auth/register", async (req, res) => {
     if (existingUser) {
       return res.status(400).json({
         success: false,
+        code: "USER_ALREADY_EXISTS",
         message: "Пользователь с таким именем или email уже существует",
       });
     }
@@ -190,15 +1098,27 @@ app.post("/auth/register", async (req, res) => {
       status: "",
       bio: "",
       password: hashedPassword,
+      role: "user",
+      emailVerified: false,
+      privacy: { ...DEFAULT_PRIVACY },
       isOnline: false,
       lastSeen: new Date().toISOString(),
       createdAt: new Date().toISOString(),
     };
 
     users.set(userId, newUser);
+    audit(req, "auth.register", {
+      actor: newUser,
+      targetType: "user",
+      targetId: userId,
+    });
+
+    sendVerificationEmail(newUser).catch((error) => {
+      console.error("Verification email error:", error);
+    });
 
-    // Создание JWT токена
-    const token = jwt.sign({ userId }, JWT_SECRET, { expiresIn: "7d" });
+    // Создание сессии и JWT токенов
+    const { token, refreshToken, expiresAt } = createSession(userId, req);
 
     // Возвращаем пользователя без пароля
     const { password: _, ...userWithoutPassword } = newUser;
@@ -207,6 +1127,8 @@ app.post("/auth/register", async (req, res) => {
       success: true,
       message: "Пользователь успешно зарегистрирован",
       token,
+      refreshToken,
+      expiresAt,
       user: userWithoutPassword,
     });
 
@@ -215,30 +1137,44 @@ app.post("/auth/register", async (req, res) => {
     );
   } catch (error) {
     console.error("Registration error:", error);
-    res.status(500).json({ success: false, message: "Ошибка сервера" });
+    res.status(500).json(SERVER_ERROR);
   }
 });
 
 // Вход
-app.post("/auth/login", async (req, res) => {
+app.post("/auth/login", authRateLimit, async (req, res) => {
   try {
+    if (!validateRequest(req, res, schemas.login)) return;
     const { username, password } = req.body;
 
-    if (!username || !password) {
-      return res.status(400).json({
-        success: false,
-        message: "Введите имя пользователя и пароль",
+    const throttleKey = `${req.ip}:${username.toLowerCase()}`;
+    const lockedFor = loginThrottle.check(throttleKey);
+    if (lockedFor > 0) {
+      audit(req, "auth.login_failed", {
+        details: { username, reason: "throttled" },
       });
+      return sendRateLimited(
+        res,
+        lockedFor,
+        "TOO_MANY_LOGIN_ATTEMPTS",
+        "Слишком много неудачных попыток входа, попробуйте позже"
+      );
     }
 
     // Поиск пользователя
-    const user = Array.from(users.values()).find(
-      (u) => u.username.toLowerCase() === username.toLowerCase()
-    );
+    const user = findUserByUsername(username);
 
-    if (!user) {
+    // У ботов нет пароля: они работают только через токен бота
+    if (!user || user.isBot) {
+      loginThrottle.fail(throttleKey);
+      audit(req, "auth.login_failed", {
+        targetType: user ? "user" : null,
+        targetId: user ? user.id : null,
+        details: { username, reason: user ? "bot_account" : "unknown_user" },
+      });
       return res.status(401).json({
         success: false,
+        code: "INVALID_CREDENTIALS",
         message: "Неверное имя пользователя или пароль",
       });
     }
@@ -246,19 +1182,43 @@ app.post("/auth/login", async (req, res) => {
     // Проверка пароля
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
+      loginThrottle.fail(throttleKey);
+      audit(req, "auth.login_failed", {
+        targetType: "user",
+        targetId: user.id,
+        details: { username, reason: "invalid_password" },
+      });
       return res.status(401).json({
         success: false,
+        code: "INVALID_CREDENTIALS",
         message: "Неверное имя пользователя или пароль",
       });
     }
 
+    loginThrottle.succeed(throttleKey);
+
+    const restriction = getAccountRestriction(user);
+    if (restriction) {
+      audit(req, "auth.login_failed", {
+        targetType: "user",
+        targetId: user.id,
+        details: { username, reason: restriction.code.toLowerCase() },
+      });
+      const { status, ...body } = restriction;
+      return res.status(status).json({ success: false, ...body });
+    }
+
     // Обновление статуса пользователя
     user.isOnline = true;
     user.lastSeen = new Date().toISOString();
+    users.set(user.id, user);
 
-    // Создание JWT токена
-    const token = jwt.sign({ userId: user.id }, JWT_SECRET, {
-      expiresIn: "7d",
+    // Создание сессии и JWT токенов
+    const { token, refreshToken, expiresAt } = createSession(user.id, req);
+    audit(req, "auth.login", {
+      actor: user,
+      targetType: "user",
+      targetId: user.id,
     });
 
     // Возвращаем пользователя без пароля
@@ -268,13 +1228,260 @@ app.post("/auth/login", async (req, res) => {
       success: true,
       message: "Успешный вход",
       token,
+      refreshToken,
+      expiresAt,
       user: userWithoutPassword,
     });
 
     console.log(`🔑 User logged in: ${user.displayName} (@${user.username})`);
   } catch (error) {
     console.error("Login error:", error);
-    res.status(500).json({ success: false, message: "Ошибка сервера" });
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Обновление токенов (refresh токен одноразовый и заменяется новым)
+app.post("/auth/refresh", authRateLimit, (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.refresh)) return;
+    const { refreshToken } = req.body;
+
+    const [sessionId] = refreshToken.split(".");
+    const session = sessions.get(sessionId);
+
+    if (!session || !users.has(session.userId)) {
+      return res.status(401).json({
+        success: false,
+        code: "SESSION_REVOKED",
+        message: "Сессия завершена",
+      });
+    }
+
+    // Повторное использование старого токена означает утечку — завершаем сессию
+    if (session.refreshTokenHash !== hashToken(refreshToken)) {
+      revokeSession(session);
+      audit(req, "auth.refresh_token_reused", {
+        actor: users.get(session.userId),
+        targetType: "session",
+        targetId: session.id,
+      });
+      console.warn(`🚨 Refresh token reuse detected, session ${session.id}`);
+      return res.status(401).json({
+        success: false,
+        code: "INVALID_REFRESH_TOKEN",
+        message: "Недействительный refresh токен",
+      });
+    }
+
+    if (new Date(session.refreshExpiresAt).getTime() < Date.now()) {
+      revokeSession(session);
+      return res.status(401).json({
+        success: false,
+        code: "SESSION_EXPIRED",
+        message: "Срок действия сессии истек",
+      });
+    }
+
+    res.json({
+      success: true,
+      ...issueTokens(session),
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Смена пароля (остальные сессии завершаются)
+app.post("/auth/password", authMiddleware, async (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.changePassword)) return;
+    const { currentPassword, newPassword } = req.body;
+    const user = req.user;
+
+    const throttleKey = `password:${user.id}`;
+    const lockedFor = loginThrottle.check(throttleKey);
+    if (lockedFor > 0) {
+      return sendRateLimited(
+        res,
+        lockedFor,
+        "TOO_MANY_LOGIN_ATTEMPTS",
+        "Слишком много неудачных попыток, попробуйте позже"
+      );
+    }
+
+    const isPasswordValid = await bcrypt.compare(
+      currentPassword,
+      user.password
+    );
+    if (!isPasswordValid) {
+      loginThrottle.fail(throttleKey);
+      audit(req, "auth.password_change_failed", {
+        targetType: "user",
+        targetId: user.id,
+      });
+      return res.status(401).json({
+        success: false,
+        code: "INVALID_PASSWORD",
+        message: "Неверный текущий пароль",
+      });
+    }
+
+    loginThrottle.succeed(throttleKey);
+    user.password = await bcrypt.hash(newPassword, 10);
+    user.passwordChangedAt = new Date().toISOString();
+    users.set(user.id, user);
+
+    revokeAllSessions(user.id, req.session.id);
+    audit(req, "auth.password_changed", {
+      targetType: "user",
+      targetId: user.id,
+    });
+
+    res.json({
+      success: true,
+      message: "Пароль изменен",
+    });
+
+    console.log(`🔐 Password changed: ${user.displayName} (@${user.username})`);
+  } catch (error) {
+    console.error("Password change error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Запрос на сброс пароля. Ответ одинаковый, чтобы не раскрывать,
+// зарегистрирован ли email: письмо отправляется в фоне, поэтому ни время
+// ответа, ни сбой почты не зависят от того, найден ли пользователь
+app.post("/auth/forgot", authRateLimit, (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.forgotPassword)) return;
+    const { email } = req.body;
+
+    const user = users.find(
+      (u) => u.email.toLowerCase() === email.toLowerCase()
+    );
+    if (user) {
+      Promise.resolve()
+        .then(() => sendPasswordResetEmail(user))
+        .catch((error) => {
+          console.error("Password reset email error:", error);
+        });
+      audit(req, "auth.password_reset_requested", {
+        actor: null,
+        targetType: "user",
+        targetId: user.id,
+      });
+      console.log(`📨 Password reset requested: @${user.username}`);
+    }
+
+    res.json({
+      success: true,
+      message: "Если такой email зарегистрирован, мы отправили на него письмо",
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Установка нового пароля по токену из письма (все сессии завершаются)
+app.post("/auth/reset", authRateLimit, async (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.resetPassword)) return;
+    const { token, password } = req.body;
+
+    const user = consumeEmailToken(token, "password-reset");
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        code: "RESET_TOKEN_INVALID",
+        message: "Ссылка для сброса пароля недействительна или устарела",
+      });
+    }
+
+    user.password = await bcrypt.hash(password, 10);
+    user.passwordChangedAt = new Date().toISOString();
+    // Письмо пришло на этот адрес — значит, он подтвержден
+    user.emailVerified = true;
+    users.set(user.id, user);
+
+    revokeAllSessions(user.id);
+    audit(req, "auth.password_reset", {
+      actor: user,
+      targetType: "user",
+      targetId: user.id,
+    });
+
+    res.json({
+      success: true,
+      message: "Пароль изменен, войдите с новым паролем",
+    });
+
+    console.log(`🔐 Password reset: ${user.displayName} (@${user.username})`);
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Повторная отправка письма для подтверждения email
+app.post("/auth/verify-email/request", authMiddleware, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        code: "EMAIL_ALREADY_VERIFIED",
+        message: "Email уже подтвержден",
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: "Письмо для подтверждения отправлено",
+    });
+  } catch (error) {
+    console.error("Verification request error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Подтверждение email по токену из письма
+app.post("/auth/verify-email", authRateLimit, (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.verifyEmail)) return;
+    const { token } = req.body;
+
+    const user = consumeEmailToken(token, "email-verification");
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        code: "VERIFICATION_TOKEN_INVALID",
+        message: "Ссылка для подтверждения недействительна или устарела",
+      });
+    }
+
+    user.emailVerified = true;
+    users.set(user.id, user);
+    audit(req, "auth.email_verified", {
+      actor: user,
+      targetType: "user",
+      targetId: user.id,
+    });
+
+    res.json({
+      success: true,
+      message: "Email подтвержден",
+    });
+
+    console.log(`✅ Email verified: ${user.displayName} (@${user.username})`);
+  } catch (error) {
+    console.error("Verify email error:", error);
+    res.status(500).json(SERVER_ERROR);
   }
 });
 
@@ -290,6 +1497,7 @@ app.get("/auth/profile", authMiddleware, (req, res) => {
 // Обновление профиля
 app.put("/auth/profile", authMiddleware, (req, res) => {
   try {
+    if (!validateRequest(req, res, schemas.updateProfile)) return;
     const { displayName, avatar, status, bio } = req.body;
     const user = req.user;
 
@@ -300,6 +1508,15 @@ app.put("/auth/profile", authMiddleware, (req, res) => {
     if (bio !== undefined) user.bio = bio;
 
     users.set(user.id, user);
+    audit(req, "user.profile_updated", {
+      targetType: "user",
+      targetId: user.id,
+      details: {
+        fields: ["displayName", "avatar", "status", "bio"].filter(
+          (field) => req.body[field] !== undefined
+        ),
+      },
+    });
 
     const { password: _, ...userWithoutPassword } = user;
 
@@ -312,23 +1529,102 @@ app.put("/auth/profile", authMiddleware, (req, res) => {
     console.log(`📝 Profile updated: ${user.displayName} (@${user.username})`);
   } catch (error) {
     console.error("Profile update error:", error);
-    res.status(500).json({ success: false, message: "Ошибка сервера" });
+    res.status(500).json(SERVER_ERROR);
   }
 });
 
 // Выход
 app.post("/auth/logout", authMiddleware, (req, res) => {
-  const user = req.user;
-  user.isOnline = false;
-  user.lastSeen = new Date().toISOString();
-  users.set(user.id, user);
+  try {
+    if (!validateRequest(req, res, schemas.logout)) return;
+    const user = req.user;
+    revokeAccessToken(req.tokenPayload);
+    revokeSession(req.session);
 
-  res.json({
-    success: true,
-    message: "Успешный выход",
-  });
+    // allDevices: true — выход на всех устройствах
+    if (req.body.allDevices) {
+      revokeAllSessions(user.id);
+    }
+    audit(req, "auth.logout", {
+      targetType: "session",
+      targetId: req.session?.id || null,
+      details: { allDevices: Boolean(req.body.allDevices) },
+    });
+
+    // Пользователь остается онлайн, пока подключены другие устройства
+    if (!connectionCounts.has(user.id)) {
+      user.isOnline = false;
+      user.lastSeen = new Date().toISOString();
+      users.set(user.id, user);
+    }
+
+    res.json({
+      success: true,
+      message: "Успешный выход",
+    });
+
+    console.log(`👋 User logged out: ${user.displayName} (@${user.username})`);
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Список активных сессий пользователя
+app.get("/auth/sessions", authMiddleware, (req, res) => {
+  try {
+    const userSessions = sessions
+      .filter((session) => session.userId === req.user.id)
+      .map((session) => ({
+        ...toPublicSession(session),
+        connections:
+          io.sockets.adapter.rooms.get(sessionRoom(session.id))?.size || 0,
+        current: session.id === req.session?.id,
+      }))
+      .sort(
+        (a, b) =>
+          new Date(b.lastActiveAt).getTime() -
+          new Date(a.lastActiveAt).getTime()
+      );
+
+    res.json({
+      success: true,
+      sessions: userSessions,
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Завершение сессии (например, на потерянном устройстве)
+app.delete("/auth/sessions/:sessionId", authMiddleware, (req, res) => {
+  try {
+    const session = sessions.get(req.params.sessionId);
+    if (!session || session.userId !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        code: "SESSION_NOT_FOUND",
+        message: "Сессия не найдена",
+      });
+    }
+
+    revokeSession(session);
+    audit(req, "auth.session_revoked", {
+      targetType: "session",
+      targetId: session.id,
+    });
+
+    res.json({
+      success: true,
+      message: "Сессия завершена",
+    });
 
-  console.log(`👋 User logged out: ${user.displayName} (@${user.username})`);
+    console.log(`🔒 Session revoked: ${session.id} (@${req.user.username})`);
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
 });
 
 // === МАРШРУТЫ ЧАТОВ ===
@@ -336,37 +1632,36 @@ app.post("/auth/logout", authMiddleware, (req, res) => {
 // Получение списка чатов пользователя
 app.get("/chats", authMiddleware, (req, res) => {
   try {
+    if (!validateRequest(req, res, schemas.getChats, "query")) return;
     const userId = req.user.id;
+    // По умолчанию архив скрыт, ?archived=true возвращает только архив
+    const archived = Boolean(req.query.archived);
 
     // Находим все чаты, где пользователь является участником
-    const userChats = Array.from(chats.values())
+    const userChats = chats
       .filter((chat) => chat.participants.includes(userId))
       .map((chat) => {
         // Получаем последнее сообщение для каждого чата
         const chatMessages = messages.get(chat.id) || [];
         const lastMessage = chatMessages[chatMessages.length - 1] || null;
 
-        // Для приватных чатов определяем собеседника
-        if (chat.type === "private") {
-          const otherUserId = chat.participants.find((p) => p !== userId);
-          const otherUser = users.get(otherUserId);
-
-          if (otherUser) {
-            chat.name = otherUser.displayName;
-            chat.avatar = otherUser.avatar;
-            chat.isOnline = onlineUsers.has(otherUserId);
-            chat.lastSeen = otherUser.lastSeen;
-          }
-        }
-
         return {
-          ...chat,
+          ...toChatView(chat, userId),
           lastMessage,
-          unreadCount: 0, // TODO: реализовать подсчет непрочитанных
+          unreadCount: getUnreadCount(chat.id, userId),
         };
       })
+      .filter((chat) => chat.settings.archived === archived)
       .sort((a, b) => {
-        // Сортируем по времени последнего сообщения
+        // Закрепленные чаты выше, недавно закрепленные — первыми
+        if (a.settings.pinned !== b.settings.pinned) {
+          return a.settings.pinned ? -1 : 1;
+        }
+        if (a.settings.pinned) {
+          return b.settings.pinnedAt.localeCompare(a.settings.pinnedAt);
+        }
+
+        // Остальные — по времени последнего сообщения
         const aTime = a.lastMessage?.timestamp || a.createdAt;
         const bTime = b.lastMessage?.timestamp || b.createdAt;
         return new Date(bTime).getTime() - new Date(aTime).getTime();
@@ -378,32 +1673,33 @@ app.get("/chats", authMiddleware, (req, res) => {
     });
   } catch (error) {
     console.error("Get chats error:", error);
-    res.status(500).json({ success: false, message: "Ошибка сервера" });
+    res.status(500).json(SERVER_ERROR);
   }
 });
 
 // Создание нового чата
 app.post("/chats", authMiddleware, (req, res) => {
   try {
-    const { type, username, name, description } = req.body;
+    if (!validateRequest(req, res, schemas.createChat)) return;
+    const { type, username, name, description, isPublic } = req.body;
     const userId = req.user.id;
 
     if (type === "private") {
       if (!username) {
         return res.status(400).json({
           success: false,
+          code: "VALIDATION_ERROR",
           message: "Укажите имя пользователя",
         });
       }
 
       // Находим пользователя по username
-      const targetUser = Array.from(users.values()).find(
-        (u) => u.username.toLowerCase() === username.toLowerCase()
-      );
+      const targetUser = findUserByUsername(username);
 
       if (!targetUser) {
         return res.status(404).json({
           success: false,
+          code: "USER_NOT_FOUND",
           message: "Пользователь не найден",
         });
       }
@@ -411,12 +1707,13 @@ app.post("/chats", authMiddleware, (req, res) => {
       if (targetUser.id === userId) {
         return res.status(400).json({
           success: false,
+          code: "INVALID_OPERATION",
           message: "Нельзя создать чат с самим собой",
         });
       }
 
       // Проверяем, не существует ли уже приватный чат между этими пользователями
-      const existingChat = Array.from(chats.values()).find(
+      const existingChat = chats.find(
         (chat) =>
           chat.type === "private" &&
           chat.participants.includes(userId) &&
@@ -426,11 +1723,17 @@ app.post("/chats", authMiddleware, (req, res) => {
       if (existingChat) {
         return res.json({
           success: true,
-          chat: existingChat,
+          chat: toChatView(existingChat, userId),
           message: "Чат уже существует",
         });
       }
 
+      const restriction = getMessagingRestriction(userId, targetUser);
+      if (restriction) {
+        const { status, ...body } = restriction;
+        return res.status(status).json({ success: false, ...body });
+      }
+
       // Создаем новый приватный чат
       const chatId = uuidv4();
       const newChat = {
@@ -447,33 +1750,45 @@ app.post("/chats", authMiddleware, (req, res) => {
       chats.set(chatId, newChat);
       messages.set(chatId, []);
 
-      // Отправляем уведомление через Socket.IO
-      io.emit("chat-created", newChat);
+      // Каждый участник получает чат со своим собеседником
+      newChat.participants.forEach((participantId) => {
+        emitToUser(
+          participantId,
+          "chat-created",
+          toChatView(newChat, participantId)
+        );
+      });
+      broadcastPresence(userId);
 
       res.json({
         success: true,
-        chat: newChat,
+        chat: toChatView(newChat, userId),
         message: "Приватный чат создан",
       });
 
       console.log(
         `💬 Private chat created between ${req.user.username} and ${targetUser.username}`
       );
-    } else if (type === "group") {
+    } else if (type === "group" || type === "channel") {
+      const isChannel = type === "channel";
       if (!name) {
         return res.status(400).json({
           success: false,
-          message: "Укажите название группы",
+          code: "VALIDATION_ERROR",
+          message: isChannel
+            ? "Укажите название канала"
+            : "Укажите название группы",
         });
       }
 
       const chatId = uuidv4();
       const newChat = {
         id: chatId,
-        type: "group",
+        type,
         name,
         description: description || "",
-        avatar: "👥",
+        avatar: isChannel ? "📢" : "👥",
+        isPublic: Boolean(isPublic),
         participants: [userId],
         admins: [userId],
         owner: userId,
@@ -483,162 +1798,5037 @@ app.post("/chats", authMiddleware, (req, res) => {
       chats.set(chatId, newChat);
       messages.set(chatId, []);
 
-      // Системное сообщение о создании группы
-      const systemMessage = {
-        id: uuidv4(),
+      // Системное сообщение о создании группы или канала
+      appendMessage(
         chatId,
-        senderId: "system",
-        senderUsername: "system",
-        senderDisplayName: "Система",
-        content: `Группа "${name}" создана`,
-        type: "system",
-        timestamp: new Date().toISOString(),
-      };
+        createSystemMessage(
+          chatId,
+          isChannel ? `Канал "${name}" создан` : `Группа "${name}" создана`
+        )
+      );
+
+      emitToParticipants(newChat, "chat-created", newChat);
+      audit(req, "chat.created", {
+        targetType: "chat",
+        targetId: chatId,
+        details: { type, name, isPublic: newChat.isPublic },
+      });
+
+      res.json({
+        success: true,
+        chat: newChat,
+        message: isChannel ? "Канал создан" : "Группа создана",
+      });
+
+      console.log(`👥 ${type} created: ${name} by ${req.user.username}`);
+    } else {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "Неподдерживаемый тип чата",
+      });
+    }
+  } catch (error) {
+    console.error("Create chat error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Отметка сообщений как прочитанных
+app.post("/chats/:chatId/read", authMiddleware, (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.markRead)) return;
+    const { chatId } = req.params;
+    const { messageId } = req.body;
+    const userId = req.user.id;
+
+    const chat = chats.get(chatId);
+    if (!chat) {
+      return res.status(404).json({
+        success: false,
+        code: "CHAT_NOT_FOUND",
+        message: "Чат не найден",
+      });
+    }
+
+    if (!chat.participants.includes(userId)) {
+      return res.status(403).json({
+        success: false,
+        code: "CHAT_ACCESS_DENIED",
+        message: "Нет доступа к этому чату",
+      });
+    }
+
+    const result = readMessages(chat, userId, messageId);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        code: "MESSAGE_NOT_FOUND",
+        message: "Сообщение не найдено",
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    console.error("Mark read error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Персональные настройки чата: mute, архив, закрепление, уведомления
+app.put("/chats/:chatId/settings", authMiddleware, (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.updateChatSettings)) return;
+    const userId = req.user.id;
+    const chat = getChatForMember(res, req.params.chatId, userId);
+    if (!chat) return;
+
+    const { muted, mutedUntil, archived, pinned, notificationLevel } = req.body;
+    const settings = getChatSettings(chat.id, userId);
+
+    // mutedUntil без muted тоже включает режим «без звука»
+    if (mutedUntil !== undefined) {
+      const until = Date.parse(mutedUntil);
+      if (Number.isNaN(until) || until <= Date.now()) {
+        return res.status(400).json({
+          success: false,
+          code: "VALIDATION_ERROR",
+          message: "mutedUntil должно быть датой в будущем",
+        });
+      }
+      settings.muted = true;
+      settings.mutedUntil = new Date(until).toISOString();
+    } else if (muted !== undefined) {
+      settings.muted = muted;
+      settings.mutedUntil = null;
+    }
+    if (archived !== undefined) settings.archived = archived;
+    if (pinned !== undefined && pinned !== Boolean(settings.pinnedAt)) {
+      settings.pinnedAt = pinned ? new Date().toISOString() : null;
+    }
+    if (notificationLevel !== undefined) {
+      settings.notificationLevel = notificationLevel;
+    }
+
+    chatSettings.set(`${chat.id}:${userId}`, settings);
+
+    // Остальные устройства пользователя обновляют список чатов
+    const publicSettings = toPublicChatSettings(settings);
+    emitToUser(userId, "chat-settings-updated", {
+      chatId: chat.id,
+      settings: publicSettings,
+    });
+
+    res.json({
+      success: true,
+      chatId: chat.id,
+      settings: publicSettings,
+    });
+  } catch (error) {
+    console.error("Update chat settings error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// === ЗАКРЕПЛЕННЫЕ СООБЩЕНИЯ ===
+
+const CHAT_MAX_PINNED_MESSAGES = 50;
+
+// В личном чате закрепляет любой участник, в группах и каналах — администраторы
+const canManagePins = (chat, userId) =>
+  chat.type === "private" || chat.admins.includes(userId);
+
+const commitPins = (chat, userId, messageId, action) => {
+  chats.set(chat.id, chat);
+  emitToParticipants(chat, "pins-updated", {
+    chatId: chat.id,
+    messageId,
+    action,
+    userId,
+    pinnedMessageIds: chat.pinnedMessageIds,
+  });
+};
+
+// Закрепленные сообщения чата (последнее закрепленное — первым)
+app.get("/chats/:chatId/pins", authMiddleware, (req, res) => {
+  try {
+    const chat = getChatForMember(res, req.params.chatId, req.user.id);
+    if (!chat) return;
+
+    const pinned = (chat.pinnedMessageIds || [])
+      .map((messageId) => findMessage(chat.id, messageId))
+      .filter(Boolean);
+
+    res.json({
+      success: true,
+      messages: withMessageStatus(chat, pinned),
+    });
+  } catch (error) {
+    console.error("Get pins error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Закрепление сообщения
+app.post("/chats/:chatId/pins", authMiddleware, (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.pinMessage)) return;
+    const userId = req.user.id;
+    const chat = getChatForMember(res, req.params.chatId, userId);
+    if (!chat) return;
+
+    if (!canManagePins(chat, userId)) {
+      return forbidden(res, "Закреплять сообщения могут только администраторы");
+    }
+
+    const { messageId } = req.body;
+    const message = findMessage(chat.id, messageId);
+    if (!message || message.deleted) {
+      return res.status(404).json({
+        success: false,
+        code: "MESSAGE_NOT_FOUND",
+        message: "Сообщение не найдено",
+      });
+    }
+
+    const pinnedMessageIds = chat.pinnedMessageIds || [];
+    if (!pinnedMessageIds.includes(messageId)) {
+      if (pinnedMessageIds.length >= CHAT_MAX_PINNED_MESSAGES) {
+        return res.status(400).json({
+          success: false,
+          code: "INVALID_OPERATION",
+          message: `Можно закрепить не более ${CHAT_MAX_PINNED_MESSAGES} сообщений`,
+        });
+      }
+      chat.pinnedMessageIds = [messageId, ...pinnedMessageIds];
+      commitPins(chat, userId, messageId, "pinned");
+    }
+
+    res.json({
+      success: true,
+      pinnedMessageIds: chat.pinnedMessageIds,
+    });
+  } catch (error) {
+    console.error("Pin message error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Открепление сообщения
+app.delete("/chats/:chatId/pins/:messageId", authMiddleware, (req, res) => {
+  try {
+    const userId = req.user.id;
+    const chat = getChatForMember(res, req.params.chatId, userId);
+    if (!chat) return;
+
+    if (!canManagePins(chat, userId)) {
+      return forbidden(res, "Откреплять сообщения могут только администраторы");
+    }
+
+    const { messageId } = req.params;
+    if (!(chat.pinnedMessageIds || []).includes(messageId)) {
+      return res.status(404).json({
+        success: false,
+        code: "MESSAGE_NOT_FOUND",
+        message: "Сообщение не закреплено",
+      });
+    }
+
+    chat.pinnedMessageIds = chat.pinnedMessageIds.filter(
+      (id) => id !== messageId
+    );
+    commitPins(chat, userId, messageId, "unpinned");
+
+    res.json({
+      success: true,
+      pinnedMessageIds: chat.pinnedMessageIds,
+    });
+  } catch (error) {
+    console.error("Unpin message error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// === УПРАВЛЕНИЕ ГРУППАМИ ===
+
+// Проверяет, что группа существует и пользователь в ней состоит.
+// При ошибке отправляет ответ и возвращает null.
+const getGroupForMember = (req, res) => {
+  const chat = chats.get(req.params.chatId);
+  if (!chat || !isGroupChat(chat)) {
+    res.status(404).json({
+      success: false,
+      code: "CHAT_NOT_FOUND",
+      message: "Группа не найдена",
+    });
+    return null;
+  }
+
+  if (!chat.participants.includes(req.user.id)) {
+    res.status(403).json({
+      success: false,
+      code: "CHAT_ACCESS_DENIED",
+      message: "Нет доступа к этому чату",
+    });
+    return null;
+  }
+
+  return chat;
+};
+
+const forbidden = (res, message = "Недостаточно прав") =>
+  res.status(403).json({ success: false, code: "FORBIDDEN", message });
+
+// Уход участника из группы. Владение переходит к администратору
+// или к самому давнему участнику; группа без участников удаляется
+const removeGroupMember = (chat, userId, systemText) => {
+  chat.participants = chat.participants.filter((p) => p !== userId);
+  chat.admins = chat.admins.filter((a) => a !== userId);
+
+  if (chat.participants.length === 0) {
+    deleteChat(chat);
+    return;
+  }
+
+  if (chat.owner === userId) {
+    chat.owner = chat.admins[0] || chat.participants[0];
+    if (!chat.admins.includes(chat.owner)) {
+      chat.admins.push(chat.owner);
+    }
+  }
+  commitGroupChange(chat, systemText);
+};
+
+// Исключение пользователя из всех групп и каналов (удаление аккаунта или бота)
+const removeFromGroupChats = (userId, systemText) => {
+  chats
+    .filter((chat) => isGroupChat(chat) && chat.participants.includes(userId))
+    .forEach((chat) => removeGroupMember(chat, userId, systemText));
+};
+
+// Сохраняет группу, пишет системное сообщение и рассылает изменения
+const commitGroupChange = (chat, systemText) => {
+  chats.set(chat.id, chat);
+
+  const systemMessage = appendMessage(
+    chat.id,
+    createSystemMessage(chat.id, systemText)
+  );
+  emitToParticipants(chat, "new-message", systemMessage);
+  emitToParticipants(chat, "chat-updated", chat);
+};
+
+const toMember = (chat, memberId, viewerId) => {
+  const member = users.get(memberId);
+  return {
+    id: memberId,
+    username: member?.username,
+    displayName: member?.displayName,
+    avatar: member?.avatar,
+    isBot: Boolean(member?.isBot),
+    isOnline: member ? getPresence(viewerId, member).isOnline : false,
+    role:
+      chat.owner === memberId
+        ? "owner"
+        : chat.admins.includes(memberId)
+        ? "admin"
+        : "member",
+  };
+};
+
+// Список участников группы
+app.get("/chats/:chatId/members", authMiddleware, (req, res) => {
+  try {
+    const chat = getGroupForMember(req, res);
+    if (!chat) return;
+
+    res.json({
+      success: true,
+      members: chat.participants.map((memberId) =>
+        toMember(chat, memberId, req.user.id)
+      ),
+    });
+  } catch (error) {
+    console.error("Get members error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Обновление названия, описания и аватара группы
+app.patch("/chats/:chatId", authMiddleware, (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.updateGroup)) return;
+    const chat = getGroupForMember(req, res);
+    if (!chat) return;
+
+    if (!chat.admins.includes(req.user.id)) {
+      return forbidden(res, "Изменять группу могут только администраторы");
+    }
+
+    const { name, description, avatar, isPublic } = req.body;
+
+    const changes = [];
+    if (name !== undefined && name.trim() !== chat.name) {
+      chat.name = name.trim();
+      changes.push(`название на "${chat.name}"`);
+    }
+    if (description !== undefined && description !== chat.description) {
+      chat.description = description;
+      changes.push("описание");
+    }
+    if (avatar !== undefined && avatar !== chat.avatar) {
+      chat.avatar = avatar;
+      changes.push("аватар");
+    }
+    if (isPublic !== undefined && isPublic !== Boolean(chat.isPublic)) {
+      chat.isPublic = isPublic;
+      changes.push(
+        isPublic ? "видимость на публичную" : "видимость на частную"
+      );
+    }
+
+    if (changes.length > 0) {
+      commitGroupChange(
+        chat,
+        `${req.user.displayName} изменил(а) ${changes.join(", ")}`
+      );
+      audit(req, "chat.updated", {
+        targetType: "chat",
+        targetId: chat.id,
+        details: { changes },
+      });
+    }
+
+    res.json({
+      success: true,
+      chat,
+      message: "Группа обновлена",
+    });
+  } catch (error) {
+    console.error("Update group error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Добавление участников по username
+app.post("/chats/:chatId/members", authMiddleware, (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.addMembers)) return;
+    const chat = getGroupForMember(req, res);
+    if (!chat) return;
+
+    if (!chat.admins.includes(req.user.id)) {
+      return forbidden(res, "Добавлять участников могут только администраторы");
+    }
+
+    const { username, usernames } = req.body;
+    const requested = usernames || (username ? [username] : []);
+    if (requested.length === 0) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "Укажите имя пользователя",
+      });
+    }
+
+    const newMembers = [];
+    for (const name of requested) {
+      const member = findUserByUsername(name);
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          code: "USER_NOT_FOUND",
+          message: `Пользователь @${name} не найден`,
+        });
+      }
+      if (
+        !chat.participants.includes(member.id) &&
+        !newMembers.includes(member)
+      ) {
+        newMembers.push(member);
+      }
+    }
+
+    if (newMembers.length === 0) {
+      return res.status(400).json({
+        success: false,
+        code: "ALREADY_MEMBER",
+        message: "Пользователи уже состоят в группе",
+      });
+    }
+
+    chat.participants.push(...newMembers.map((member) => member.id));
+    commitGroupChange(
+      chat,
+      `${req.user.displayName} добавил(а) ${newMembers
+        .map((member) => member.displayName)
+        .join(", ")}`
+    );
+
+    // Новые участники получают группу так же, как при создании чата
+    newMembers.forEach((member) => {
+      emitToUser(member.id, "chat-created", chat);
+      broadcastPresence(member.id);
+      audit(req, "chat.member_added", {
+        targetType: "chat",
+        targetId: chat.id,
+        details: { userId: member.id, username: member.username },
+      });
+    });
+
+    res.json({
+      success: true,
+      chat,
+      members: newMembers.map((member) =>
+        toMember(chat, member.id, req.user.id)
+      ),
+      message: "Участники добавлены",
+    });
+
+    console.log(
+      `➕ ${req.user.username} added ${newMembers
+        .map((member) => member.username)
+        .join(", ")} to ${chat.name}`
+    );
+  } catch (error) {
+    console.error("Add members error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Исключение участника
+app.delete("/chats/:chatId/members/:memberId", authMiddleware, (req, res) => {
+  try {
+    const chat = getGroupForMember(req, res);
+    if (!chat) return;
+
+    const { memberId } = req.params;
+    const userId = req.user.id;
+
+    if (memberId === userId) {
+      return res.status(400).json({
+        success: false,
+        code: "INVALID_OPERATION",
+        message: "Чтобы выйти из группы, используйте /chats/:chatId/leave",
+      });
+    }
+
+    if (!chat.participants.includes(memberId)) {
+      return res.status(404).json({
+        success: false,
+        code: "MEMBER_NOT_FOUND",
+        message: "Пользователь не состоит в группе",
+      });
+    }
+
+    // Администраторы исключают участников, владелец — и администраторов
+    const canRemove =
+      chat.owner === userId ||
+      (chat.admins.includes(userId) && !chat.admins.includes(memberId));
+    if (!canRemove) {
+      return forbidden(res, "Недостаточно прав для исключения участника");
+    }
+
+    const member = users.get(memberId);
+    chat.participants = chat.participants.filter((p) => p !== memberId);
+    chat.admins = chat.admins.filter((a) => a !== memberId);
+    commitGroupChange(
+      chat,
+      `${req.user.displayName} исключил(а) ${member?.displayName || memberId}`
+    );
+    io.in(userRoom(memberId)).socketsLeave(chat.id);
+    emitToUser(memberId, "chat-removed", {
+      chatId: chat.id,
+      reason: "removed",
+    });
+    audit(req, "chat.member_removed", {
+      targetType: "chat",
+      targetId: chat.id,
+      details: { userId: memberId, username: member?.username || null },
+    });
+
+    res.json({
+      success: true,
+      chat,
+      message: "Участник исключен",
+    });
+
+    console.log(
+      `➖ ${req.user.username} removed ${memberId} from ${chat.name}`
+    );
+  } catch (error) {
+    console.error("Remove member error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Назначение администратора (только владелец)
+app.post("/chats/:chatId/admins/:memberId", authMiddleware, (req, res) => {
+  try {
+    const chat = getGroupForMember(req, res);
+    if (!chat) return;
+
+    const { memberId } = req.params;
+    if (chat.owner !== req.user.id) {
+      return forbidden(res, "Назначать администраторов может только владелец");
+    }
+
+    if (!chat.participants.includes(memberId)) {
+      return res.status(404).json({
+        success: false,
+        code: "MEMBER_NOT_FOUND",
+        message: "Пользователь не состоит в группе",
+      });
+    }
+
+    if (!chat.admins.includes(memberId)) {
+      chat.admins.push(memberId);
+      commitGroupChange(
+        chat,
+        `${users.get(memberId)?.displayName} назначен(а) администратором`
+      );
+      audit(req, "chat.admin_promoted", {
+        targetType: "chat",
+        targetId: chat.id,
+        details: { userId: memberId },
+      });
+    }
+
+    res.json({
+      success: true,
+      chat,
+      message: "Администратор назначен",
+    });
+  } catch (error) {
+    console.error("Promote admin error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Снятие прав администратора (только владелец)
+app.delete("/chats/:chatId/admins/:memberId", authMiddleware, (req, res) => {
+  try {
+    const chat = getGroupForMember(req, res);
+    if (!chat) return;
+
+    const { memberId } = req.params;
+    if (chat.owner !== req.user.id) {
+      return forbidden(res, "Снимать администраторов может только владелец");
+    }
+
+    if (memberId === chat.owner) {
+      return res.status(400).json({
+        success: false,
+        code: "INVALID_OPERATION",
+        message: "Владелец группы всегда является администратором",
+      });
+    }
+
+    if (chat.admins.includes(memberId)) {
+      chat.admins = chat.admins.filter((a) => a !== memberId);
+      commitGroupChange(
+        chat,
+        `${users.get(memberId)?.displayName} больше не администратор`
+      );
+      audit(req, "chat.admin_demoted", {
+        targetType: "chat",
+        targetId: chat.id,
+        details: { userId: memberId },
+      });
+    }
+
+    res.json({
+      success: true,
+      chat,
+      message: "Права администратора сняты",
+    });
+  } catch (error) {
+    console.error("Demote admin error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Передача владения группой
+app.post("/chats/:chatId/owner", authMiddleware, (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.transferOwnership)) return;
+    const chat = getGroupForMember(req, res);
+    if (!chat) return;
+
+    const { userId: newOwnerId } = req.body;
+    if (chat.owner !== req.user.id) {
+      return forbidden(res, "Передать владение может только владелец");
+    }
+
+    if (!newOwnerId || !chat.participants.includes(newOwnerId)) {
+      return res.status(400).json({
+        success: false,
+        code: "MEMBER_NOT_FOUND",
+        message: "Новый владелец должен состоять в группе",
+      });
+    }
+
+    if (newOwnerId !== chat.owner) {
+      chat.owner = newOwnerId;
+      if (!chat.admins.includes(newOwnerId)) {
+        chat.admins.push(newOwnerId);
+      }
+      commitGroupChange(
+        chat,
+        `${users.get(newOwnerId)?.displayName} теперь владелец группы`
+      );
+      audit(req, "chat.ownership_transferred", {
+        targetType: "chat",
+        targetId: chat.id,
+        details: { userId: newOwnerId },
+      });
+    }
+
+    res.json({
+      success: true,
+      chat,
+      message: "Владение передано",
+    });
+  } catch (error) {
+    console.error("Transfer ownership error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Выход из группы
+app.post("/chats/:chatId/leave", authMiddleware, (req, res) => {
+  try {
+    const chat = getGroupForMember(req, res);
+    if (!chat) return;
+
+    const userId = req.user.id;
+    removeGroupMember(
+      chat,
+      userId,
+      `${req.user.displayName} покинул(а) группу`
+    );
+    io.in(userRoom(userId)).socketsLeave(chat.id);
+    emitToUser(userId, "chat-removed", {
+      chatId: chat.id,
+      reason: "left",
+    });
+    audit(req, "chat.member_left", { targetType: "chat", targetId: chat.id });
+
+    res.json({
+      success: true,
+      message: "Вы покинули группу",
+    });
+
+    console.log(`🚪 ${req.user.username} left group ${chat.name}`);
+  } catch (error) {
+    console.error("Leave group error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// === ПРИГЛАШЕНИЯ И ПУБЛИЧНЫЕ ЧАТЫ ===
+
+// token -> { token, chatId, createdBy, createdAt, expiresAt, maxUses, uses,
+//            requiresApproval, revokedAt }
+const invites = store.collection("invites");
+// `${chatId}:${userId}` -> { chatId, userId, inviteToken, createdAt }
+const joinRequests = store.collection("joinRequests");
+
+const toPublicInvite = (invite) => ({
+  token: invite.token,
+  url: `${APP_URL}/join/${invite.token}`,
+  chatId: invite.chatId,
+  createdBy: invite.createdBy,
+  createdAt: invite.createdAt,
+  expiresAt: invite.expiresAt,
+  maxUses: invite.maxUses,
+  uses: invite.uses,
+  requiresApproval: invite.requiresApproval,
+  revoked: Boolean(invite.revokedAt),
+});
+
+// Краткие сведения о чате для тех, кто в нем еще не состоит
+const toChatPreview = (chat, userId) => ({
+  id: chat.id,
+  type: chat.type,
+  name: chat.name,
+  description: chat.description,
+  avatar: chat.avatar,
+  isPublic: Boolean(chat.isPublic),
+  participantsCount: chat.participants.length,
+  isMember: chat.participants.includes(userId),
+});
+
+// Действующее приглашение и его чат; иначе — { error }
+const resolveInvite = (token) => {
+  const invite = invites.get(token);
+  const chat = invite && chats.get(invite.chatId);
+  if (!invite || !chat || invite.revokedAt || chat.suspendedAt) {
+    return {
+      error: {
+        status: 404,
+        code: "INVITE_INVALID",
+        message: "Приглашение не найдено или отозвано",
+      },
+    };
+  }
+  if (invite.expiresAt && new Date(invite.expiresAt).getTime() < Date.now()) {
+    return {
+      error: {
+        status: 410,
+        code: "INVITE_INVALID",
+        message: "Срок действия приглашения истек",
+      },
+    };
+  }
+  if (invite.maxUses && invite.uses >= invite.maxUses) {
+    return {
+      error: {
+        status: 410,
+        code: "INVITE_INVALID",
+        message: "Приглашение больше не действует",
+      },
+    };
+  }
+  return { invite, chat };
+};
+
+// Добавляет пользователя в группу или канал с системным сообщением
+const joinChat = (chat, user, systemText) => {
+  chat.participants.push(user.id);
+  joinRequests.delete(`${chat.id}:${user.id}`);
+  commitGroupChange(chat, systemText);
+
+  emitToUser(user.id, "chat-created", chat);
+  broadcastPresence(user.id);
+
+  console.log(`🔗 ${user.username} joined ${chat.type} ${chat.name}`);
+};
+
+const alreadyMember = (res) =>
+  res.status(409).json({
+    success: false,
+    code: "ALREADY_MEMBER",
+    message: "Вы уже состоите в этом чате",
+  });
+
+// Создание ссылки-приглашения (только администраторы)
+app.post("/chats/:chatId/invites", authMiddleware, (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.createInvite)) return;
+    const chat = getGroupForMember(req, res);
+    if (!chat) return;
+
+    if (!chat.admins.includes(req.user.id)) {
+      return forbidden(
+        res,
+        "Создавать приглашения могут только администраторы"
+      );
+    }
+
+    const { expiresInHours, maxUses, requiresApproval } = req.body;
+    const invite = {
+      token: crypto.randomBytes(12).toString("base64url"),
+      chatId: chat.id,
+      createdBy: req.user.id,
+      createdAt: new Date().toISOString(),
+      expiresAt: expiresInHours
+        ? new Date(Date.now() + expiresInHours * 60 * 60 * 1000).toISOString()
+        : null,
+      maxUses: maxUses || null,
+      uses: 0,
+      requiresApproval: Boolean(requiresApproval),
+      revokedAt: null,
+    };
+    invites.set(invite.token, invite);
+    // Сам токен в журнал не пишется: по нему можно вступить в чат
+    audit(req, "chat.invite_created", {
+      targetType: "chat",
+      targetId: chat.id,
+      details: {
+        expiresAt: invite.expiresAt,
+        maxUses: invite.maxUses,
+        requiresApproval: invite.requiresApproval,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      invite: toPublicInvite(invite),
+    });
+  } catch (error) {
+    console.error("Create invite error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Приглашения чата (только администраторы)
+app.get("/chats/:chatId/invites", authMiddleware, (req, res) => {
+  try {
+    const chat = getGroupForMember(req, res);
+    if (!chat) return;
+
+    if (!chat.admins.includes(req.user.id)) {
+      return forbidden(
+        res,
+        "Просматривать приглашения могут только администраторы"
+      );
+    }
+
+    res.json({
+      success: true,
+      invites: invites
+        .filter((invite) => invite.chatId === chat.id)
+        .map(toPublicInvite),
+    });
+  } catch (error) {
+    console.error("Get invites error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Отзыв приглашения
+app.delete("/chats/:chatId/invites/:token", authMiddleware, (req, res) => {
+  try {
+    const chat = getGroupForMember(req, res);
+    if (!chat) return;
+
+    if (!chat.admins.includes(req.user.id)) {
+      return forbidden(res, "Отзывать приглашения могут только администраторы");
+    }
+
+    const invite = invites.get(req.params.token);
+    if (!invite || invite.chatId !== chat.id) {
+      return res.status(404).json({
+        success: false,
+        code: "INVITE_INVALID",
+        message: "Приглашение не найдено",
+      });
+    }
+
+    if (!invite.revokedAt) {
+      invite.revokedAt = new Date().toISOString();
+      invites.set(invite.token, invite);
+      audit(req, "chat.invite_revoked", {
+        targetType: "chat",
+        targetId: chat.id,
+        details: { createdAt: invite.createdAt },
+      });
+    }
+
+    res.json({
+      success: true,
+      invite: toPublicInvite(invite),
+      message: "Приглашение отозвано",
+    });
+  } catch (error) {
+    console.error("Revoke invite error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Просмотр чата по приглашению перед вступлением
+app.get("/invites/:token", authMiddleware, (req, res) => {
+  try {
+    const { chat, invite, error } = resolveInvite(req.params.token);
+    if (error) {
+      const { status, ...body } = error;
+      return res.status(status).json({ success: false, ...body });
+    }
+
+    res.json({
+      success: true,
+      chat: toChatPreview(chat, req.user.id),
+      requiresApproval: invite.requiresApproval,
+    });
+  } catch (error) {
+    console.error("Get invite error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Вступление по приглашению. При requiresApproval создается заявка,
+// которую рассматривают администраторы
+app.post("/invites/:token/join", authMiddleware, (req, res) => {
+  try {
+    const user = req.user;
+    const { chat, invite, error } = resolveInvite(req.params.token);
+    if (error) {
+      const { status, ...body } = error;
+      return res.status(status).json({ success: false, ...body });
+    }
+
+    if (chat.participants.includes(user.id)) {
+      return alreadyMember(res);
+    }
+
+    if (invite.requiresApproval) {
+      const requestKey = `${chat.id}:${user.id}`;
+      if (!joinRequests.has(requestKey)) {
+        const request = {
+          chatId: chat.id,
+          userId: user.id,
+          inviteToken: invite.token,
+          createdAt: new Date().toISOString(),
+        };
+        joinRequests.set(requestKey, request);
+        emitToUsers(chat.admins, "join-request", {
+          ...request,
+          user: toPublicUser(user, null),
+        });
+      }
+
+      return res.status(202).json({
+        success: true,
+        pending: true,
+        message: "Заявка на вступление отправлена",
+      });
+    }
+
+    invite.uses += 1;
+    invites.set(invite.token, invite);
+    joinChat(chat, user, `${user.displayName} присоединился(ась) по ссылке`);
+    audit(req, "chat.member_joined", {
+      targetType: "chat",
+      targetId: chat.id,
+      details: { via: "invite" },
+    });
+
+    res.json({
+      success: true,
+      chat,
+      message: "Вы присоединились к чату",
+    });
+  } catch (error) {
+    console.error("Join by invite error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Заявки на вступление (только администраторы)
+app.get("/chats/:chatId/join-requests", authMiddleware, (req, res) => {
+  try {
+    const chat = getGroupForMember(req, res);
+    if (!chat) return;
+
+    if (!chat.admins.includes(req.user.id)) {
+      return forbidden(res, "Просматривать заявки могут только администраторы");
+    }
+
+    res.json({
+      success: true,
+      requests: joinRequests
+        .filter((request) => request.chatId === chat.id)
+        .map((request) => ({
+          ...request,
+          user: users.get(request.userId)
+            ? toPublicUser(users.get(request.userId), req.user.id)
+            : null,
+        })),
+    });
+  } catch (error) {
+    console.error("Get join requests error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Заявка и ее автор; иначе — ответ с ошибкой
+const getJoinRequest = (req, res, chat) => {
+  const request = joinRequests.get(`${chat.id}:${req.params.userId}`);
+  const applicant = request && users.get(request.userId);
+  if (!applicant) {
+    res.status(404).json({
+      success: false,
+      code: "NOT_FOUND",
+      message: "Заявка не найдена",
+    });
+    return {};
+  }
+  return { request, applicant };
+};
+
+// Одобрение заявки
+app.post(
+  "/chats/:chatId/join-requests/:userId/approve",
+  authMiddleware,
+  (req, res) => {
+    try {
+      const chat = getGroupForMember(req, res);
+      if (!chat) return;
+
+      if (!chat.admins.includes(req.user.id)) {
+        return forbidden(
+          res,
+          "Рассматривать заявки могут только администраторы"
+        );
+      }
+
+      const { request, applicant } = getJoinRequest(req, res, chat);
+      if (!applicant) return;
+
+      if (chat.participants.includes(applicant.id)) {
+        joinRequests.delete(`${chat.id}:${applicant.id}`);
+        return alreadyMember(res);
+      }
+
+      const invite = invites.get(request.inviteToken);
+      if (invite) {
+        invite.uses += 1;
+        invites.set(invite.token, invite);
+      }
+
+      joinChat(
+        chat,
+        applicant,
+        `${req.user.displayName} принял(а) заявку ${applicant.displayName}`
+      );
+      audit(req, "chat.join_request_approved", {
+        targetType: "chat",
+        targetId: chat.id,
+        details: { userId: applicant.id, username: applicant.username },
+      });
+
+      res.json({
+        success: true,
+        member: toMember(chat, applicant.id, req.user.id),
+        message: "Заявка одобрена",
+      });
+    } catch (error) {
+      console.error("Approve join request error:", error);
+      res.status(500).json(SERVER_ERROR);
+    }
+  }
+);
+
+// Отклонение заявки
+app.delete(
+  "/chats/:chatId/join-requests/:userId",
+  authMiddleware,
+  (req, res) => {
+    try {
+      const chat = getGroupForMember(req, res);
+      if (!chat) return;
+
+      if (!chat.admins.includes(req.user.id)) {
+        return forbidden(
+          res,
+          "Рассматривать заявки могут только администраторы"
+        );
+      }
+
+      const { applicant } = getJoinRequest(req, res, chat);
+      if (!applicant) return;
+
+      joinRequests.delete(`${chat.id}:${applicant.id}`);
+      audit(req, "chat.join_request_rejected", {
+        targetType: "chat",
+        targetId: chat.id,
+        details: { userId: applicant.id, username: applicant.username },
+      });
+
+      res.json({
+        success: true,
+        message: "Заявка отклонена",
+      });
+    } catch (error) {
+      console.error("Reject join request error:", error);
+      res.status(500).json(SERVER_ERROR);
+    }
+  }
+);
+
+// Поиск публичных групп и каналов по названию
+app.get("/chats/discover", authMiddleware, (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.discoverChats, "query")) return;
+    const { q: query = "", limit = 20 } = req.query;
+    const needle = query.toLowerCase();
+
+    const results = chats
+      .filter(
+        (chat) =>
+          isGroupChat(chat) &&
+          chat.isPublic &&
+          !chat.suspendedAt &&
+          chat.name.toLowerCase().includes(needle)
+      )
+      .sort((a, b) => b.participants.length - a.participants.length)
+      .slice(0, limit)
+      .map((chat) => toChatPreview(chat, req.user.id));
+
+    res.json({
+      success: true,
+      chats: results,
+    });
+  } catch (error) {
+    console.error("Discover chats error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Вступление в публичную группу или подписка на публичный канал
+app.post("/chats/:chatId/join", authMiddleware, (req, res) => {
+  try {
+    const chat = chats.get(req.params.chatId);
+    if (!chat || !isGroupChat(chat) || !chat.isPublic || chat.suspendedAt) {
+      return res.status(404).json({
+        success: false,
+        code: "CHAT_NOT_FOUND",
+        message: "Публичный чат не найден",
+      });
+    }
+
+    if (chat.participants.includes(req.user.id)) {
+      return alreadyMember(res);
+    }
+
+    joinChat(
+      chat,
+      req.user,
+      chat.type === "channel"
+        ? `${req.user.displayName} подписался(ась) на канал`
+        : `${req.user.displayName} присоединился(ась) к группе`
+    );
+    audit(req, "chat.member_joined", {
+      targetType: "chat",
+      targetId: chat.id,
+      details: { via: "public" },
+    });
+
+    res.json({
+      success: true,
+      chat,
+      message: "Вы присоединились к чату",
+    });
+  } catch (error) {
+    console.error("Join public chat error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// === ПОИСК СООБЩЕНИЙ ===
+
+const SEARCH_PAGE_SIZE = 20;
+
+// Новые сообщения выше; при равном времени порядок задает id
+const compareSearchResults = (a, b) =>
+  b.timestamp.localeCompare(a.timestamp) || b.id.localeCompare(a.id);
+
+// Поиск по сообщениям в чатах пользователя.
+// Объявлен до /messages/:chatId, иначе "search" совпадет с :chatId
+app.get("/messages/search", authMiddleware, (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.searchMessages, "query")) return;
+    const userId = req.user.id;
+    const {
+      q: query,
+      chatId,
+      senderId,
+      type,
+      from,
+      to,
+      before,
+      limit = SEARCH_PAGE_SIZE,
+    } = req.query;
+
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = to ? Date.parse(to) : null;
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "Некорректная дата в параметрах from / to",
+      });
+    }
+
+    if (chatId) {
+      const chat = chats.get(chatId);
+      if (!chat) {
+        return res.status(404).json({
+          success: false,
+          code: "CHAT_NOT_FOUND",
+          message: "Чат не найден",
+        });
+      }
+      if (!chat.participants.includes(userId)) {
+        return res.status(403).json({
+          success: false,
+          code: "CHAT_ACCESS_DENIED",
+          message: "Нет доступа к этому чату",
+        });
+      }
+    }
+
+    // Курсор следующей страницы — id последнего найденного сообщения
+    const cursor = before ? searchIndex.getDocument(before) : null;
+    if (before && !cursor) {
+      return res.status(404).json({
+        success: false,
+        code: "MESSAGE_NOT_FOUND",
+        message: "Сообщение для курсора не найдено",
+      });
+    }
+
+    const matches = searchIndex
+      .search(query)
+      .map((id) => ({ id, ...searchIndex.getDocument(id) }))
+      .filter((doc) => {
+        if (chatId && doc.chatId !== chatId) return false;
+        if (senderId && doc.senderId !== senderId) return false;
+        if (type && doc.type !== type) return false;
+
+        const time = new Date(doc.timestamp).getTime();
+        if (fromTime !== null && time < fromTime) return false;
+        if (toTime !== null && time > toTime) return false;
+
+        // Поиск только в чатах, где пользователь сейчас участник
+        const chat = chats.get(doc.chatId);
+        return Boolean(chat && chat.participants.includes(userId));
+      })
+      .filter(
+        (doc) =>
+          !cursor || compareSearchResults({ id: before, ...cursor }, doc) < 0
+      )
+      .sort(compareSearchResults);
+
+    const page = matches.slice(0, limit);
+    const hasMore = matches.length > limit;
+
+    const results = page.map((doc) => {
+      const message = findMessage(doc.chatId, doc.id);
+      const chat = chats.get(doc.chatId);
+      return {
+        message,
+        chat: { id: chat.id, type: chat.type, name: chat.name },
+        ...buildSnippet(message.content, query),
+      };
+    });
+
+    res.json({
+      success: true,
+      results,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? page[page.length - 1].id : null,
+      },
+    });
+  } catch (error) {
+    console.error("Search messages error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Получение сообщений чата
+app.get("/messages/:chatId", authMiddleware, (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.getMessages, "query")) return;
+    const { chatId } = req.params;
+    const userId = req.user.id;
+    const { before, after, around, limit = MESSAGE_PAGE_SIZE } = req.query;
+
+    if ([before, after, around].filter(Boolean).length > 1) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "Укажите только один из параметров before, after или around",
+      });
+    }
+
+    // Проверяем, что чат существует
+    const chat = chats.get(chatId);
+    if (!chat) {
+      return res.status(404).json({
+        success: false,
+        code: "CHAT_NOT_FOUND",
+        message: "Чат не найден",
+      });
+    }
+
+    // Проверяем, что пользователь является участником чата
+    if (!chat.participants.includes(userId)) {
+      return res.status(403).json({
+        success: false,
+        code: "CHAT_ACCESS_DENIED",
+        message: "Нет доступа к этому чату",
+      });
+    }
+
+    // Получаем страницу сообщений относительно курсора
+    const chatMessages = messages.get(chatId) || [];
+    const result = paginateMessages(chatMessages, {
+      before,
+      after,
+      around,
+      limit,
+    });
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        code: "MESSAGE_NOT_FOUND",
+        message: "Сообщение для курсора не найдено",
+      });
+    }
+
+    // Загруженные сообщения считаются доставленными
+    if (chatMessages.length > 0) {
+      markDelivered(chatId, userId, chatMessages[chatMessages.length - 1].id);
+    }
+
+    res.json({
+      success: true,
+      messages: withMessageStatus(chat, result.page),
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    console.error("Get messages error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// === ВЛОЖЕНИЯ ===
+
+// Файлы загружаются заранее (POST /attachments) и прикрепляются к сообщению
+// по id. Запись вложения: { id, chatId, uploaderId, messageId, name, size,
+// mime, kind, width, height, thumbnail, storageKey, thumbnailKey, createdAt }
+const attachments = store.collection("attachments");
+const fileStorage = createFileStorage({
+  driver: process.env.FILE_STORAGE_DRIVER || "local",
+  dir: process.env.UPLOADS_DIR,
+});
+const ATTACHMENT_MAX_SIZE_MB = envNumber("ATTACHMENT_MAX_SIZE_MB", 25);
+// Не прикрепленные к сообщению файлы удаляются через сутки
+const ORPHAN_ATTACHMENT_TTL_MS = 24 * 60 * 60 * 1000;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ATTACHMENT_MAX_SIZE_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (getAttachmentKind(file.mimetype)) return cb(null, true);
+    const error = new Error(`Тип файла ${file.mimetype} не поддерживается`);
+    error.code = "UNSUPPORTED_MEDIA_TYPE";
+    cb(error);
+  },
+}).single("file");
+
+// multer в виде промиса, чтобы обрабатывать ошибки в try/catch маршрута
+const receiveUpload = (req, res) =>
+  new Promise((resolve, reject) => {
+    upload(req, res, (error) => (error ? reject(error) : resolve()));
+  });
+
+const toPublicAttachment = (attachment) => ({
+  id: attachment.id,
+  name: attachment.name,
+  size: attachment.size,
+  mime: attachment.mime,
+  kind: attachment.kind,
+  width: attachment.width,
+  height: attachment.height,
+  url: `/attachments/${attachment.id}`,
+  thumbnail: attachment.thumbnail && {
+    ...attachment.thumbnail,
+    url: `/attachments/${attachment.id}/thumbnail`,
+  },
+});
+
+const removeAttachmentFiles = async (attachment) => {
+  await fileStorage.delete(attachment.storageKey);
+  if (attachment.thumbnailKey) {
+    await fileStorage.delete(attachment.thumbnailKey);
+  }
+};
+
+// Удаление записи вложения; файлы удаляются, когда на них
+// не ссылается ни одна пересланная копия
+const discardAttachment = (attachment) => {
+  attachments.delete(attachment.id);
+  if (attachments.find((other) => other.storageKey === attachment.storageKey)) {
+    return;
+  }
+  removeAttachmentFiles(attachment).catch((error) => {
+    console.error("Remove attachment error:", error);
+  });
+};
+
+// Файлы удаленного сообщения больше не нужны
+const releaseAttachments = (message) => {
+  (message.attachments || []).forEach(({ id }) => {
+    const attachment = attachments.get(id);
+    if (attachment) discardAttachment(attachment);
+  });
+  message.attachments = [];
+};
+
+// Копия вложения для пересылки в другой чат (файлы общие)
+const copyAttachment = (attachment, chatId, userId) => {
+  const copy = {
+    ...attachment,
+    id: uuidv4(),
+    chatId,
+    uploaderId: userId,
+    messageId: null,
+    createdAt: new Date().toISOString(),
+  };
+  attachments.set(copy.id, copy);
+  return copy;
+};
+
+const pruneOrphanAttachments = () => {
+  const threshold = Date.now() - ORPHAN_ATTACHMENT_TTL_MS;
+  attachments
+    .filter(
+      (attachment) =>
+        !attachment.messageId &&
+        !attachment.scheduledMessageId &&
+        new Date(attachment.createdAt).getTime() < threshold
+    )
+    .forEach(discardAttachment);
+};
+
+// Проверяет вложения для нового сообщения: загружены отправителем
+// в этот же чат и еще не отправлены. Возвращает { list } или { error }
+const claimAttachments = (userId, chatId, attachmentIds) => {
+  const list = [];
+  for (const id of attachmentIds) {
+    const attachment = attachments.get(id);
+    if (
+      !attachment ||
+      attachment.uploaderId !== userId ||
+      attachment.chatId !== chatId
+    ) {
+      return {
+        error: {
+          status: 404,
+          code: "ATTACHMENT_NOT_FOUND",
+          message: "Вложение не найдено",
+        },
+      };
+    }
+    if (attachment.messageId) {
+      return {
+        error: {
+          status: 409,
+          code: "INVALID_OPERATION",
+          message: "Вложение уже отправлено",
+        },
+      };
+    }
+    if (attachment.scheduledMessageId) {
+      return {
+        error: {
+          status: 409,
+          code: "INVALID_OPERATION",
+          message: "Вложение уже добавлено в отложенное сообщение",
+        },
+      };
+    }
+    list.push(attachment);
+  }
+  return { list };
+};
+
+// Загрузка файла для отправки в чат (multipart/form-data: file, chatId)
+app.post("/attachments", authMiddleware, async (req, res) => {
+  try {
+    try {
+      await receiveUpload(req, res);
+    } catch (error) {
+      if (error.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({
+          success: false,
+          code: "FILE_TOO_LARGE",
+          message: `Размер файла не должен превышать ${ATTACHMENT_MAX_SIZE_MB} МБ`,
+        });
+      }
+      if (error.code === "UNSUPPORTED_MEDIA_TYPE") {
+        return res.status(415).json({
+          success: false,
+          code: "UNSUPPORTED_MEDIA_TYPE",
+          message: error.message,
+        });
+      }
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({
+          success: false,
+          code: "VALIDATION_ERROR",
+          message: "Некорректные данные формы",
+        });
+      }
+      throw error;
+    }
+
+    if (!validateRequest(req, res, schemas.uploadAttachment)) return;
+    const userId = req.user.id;
+    const { chatId } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "Файл не передан",
+        errors: [{ field: "file", message: "Файл не передан" }],
+      });
+    }
+
+    const chat = chats.get(chatId);
+    if (!chat) {
+      return res.status(404).json({
+        success: false,
+        code: "CHAT_NOT_FOUND",
+        message: "Чат не найден",
+      });
+    }
+    if (!chat.participants.includes(userId)) {
+      return res.status(403).json({
+        success: false,
+        code: "CHAT_ACCESS_DENIED",
+        message: "Нет доступа к этому чату",
+      });
+    }
+
+    const id = uuidv4();
+    const kind = getAttachmentKind(req.file.mimetype);
+    const attachment = {
+      id,
+      chatId,
+      uploaderId: userId,
+      messageId: null,
+      name: decodeFileName(req.file.originalname),
+      size: req.file.size,
+      mime: req.file.mimetype,
+      kind,
+      width: null,
+      height: null,
+      thumbnail: null,
+      storageKey: `${id}/original`,
+      thumbnailKey: null,
+      createdAt: new Date().toISOString(),
+    };
+
+    if (kind === "image") {
+      const image = await processImage(req.file.buffer);
+      if (image) {
+        attachment.width = image.width;
+        attachment.height = image.height;
+        attachment.thumbnail = {
+          width: image.thumbnail.width,
+          height: image.thumbnail.height,
+        };
+        attachment.thumbnailKey = `${id}/thumbnail.jpg`;
+        await fileStorage.save(attachment.thumbnailKey, image.thumbnail.buffer);
+      }
+    }
+
+    await fileStorage.save(attachment.storageKey, req.file.buffer);
+    attachments.set(id, attachment);
+
+    res.status(201).json({
+      success: true,
+      attachment: toPublicAttachment(attachment),
+    });
+
+    console.log(
+      `📎 Attachment uploaded by ${req.user.username}: ${attachment.name} (${attachment.size} bytes)`
+    );
+  } catch (error) {
+    console.error("Upload attachment error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Вложение доступно только участникам чата, в который оно загружено
+const getAttachmentForMember = (req, res) => {
+  const attachment = attachments.get(req.params.attachmentId);
+  const chat = attachment && chats.get(attachment.chatId);
+
+  // До отправки файл видит только загрузивший его пользователь
+  const canAccess =
+    chat &&
+    chat.participants.includes(req.user.id) &&
+    (attachment.messageId || attachment.uploaderId === req.user.id);
+
+  if (!canAccess) {
+    res.status(404).json({
+      success: false,
+      code: "ATTACHMENT_NOT_FOUND",
+      message: "Вложение не найдено",
+    });
+    return null;
+  }
+  return attachment;
+};
+
+const sendStoredFile = (res, key, { mime, name, inline }) => {
+  const fileName = encodeURIComponent(name);
+  res.set("Content-Type", mime);
+  res.set(
+    "Content-Disposition",
+    `${inline ? "inline" : "attachment"}; filename*=UTF-8''${fileName}`
+  );
+  res.set("Cache-Control", "private, max-age=86400");
+  res.set("X-Content-Type-Options", "nosniff");
+
+  fileStorage
+    .createReadStream(key)
+    .on("error", (error) => {
+      console.error("Read attachment error:", error);
+      if (!res.headersSent) res.status(500).json(SERVER_ERROR);
+      else res.destroy();
+    })
+    .pipe(res);
+};
+
+// Скачивание вложения
+app.get("/attachments/:attachmentId", authMiddleware, (req, res) => {
+  try {
+    const attachment = getAttachmentForMember(req, res);
+    if (!attachment) return;
+
+    sendStoredFile(res, attachment.storageKey, {
+      mime: attachment.mime,
+      name: attachment.name,
+      inline: attachment.kind !== "file",
+    });
+  } catch (error) {
+    console.error("Download attachment error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Превью изображения
+app.get("/attachments/:attachmentId/thumbnail", authMiddleware, (req, res) => {
+  try {
+    const attachment = getAttachmentForMember(req, res);
+    if (!attachment) return;
+
+    if (!attachment.thumbnailKey) {
+      return res.status(404).json({
+        success: false,
+        code: "NOT_FOUND",
+        message: "Для вложения нет превью",
+      });
+    }
+
+    sendStoredFile(res, attachment.thumbnailKey, {
+      mime: "image/jpeg",
+      name: "thumbnail.jpg",
+      inline: true,
+    });
+  } catch (error) {
+    console.error("Download thumbnail error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// === СУЩНОСТИ, УПОМИНАНИЯ И ПРЕВЬЮ ССЫЛОК ===
+
+// `${messageId}:${userId}` -> { userId, chatId, messageId, senderId, timestamp }
+const mentions = store.collection("mentions");
+// url -> { preview, fetchedAt }; preview = null, если превью получить не удалось
+const linkPreviews = store.collection("linkPreviews");
+const LINK_PREVIEW_TTL_MS = 24 * 60 * 60 * 1000;
+// LINK_PREVIEW_FETCHER=stub — превью без сети, none — отключено
+const linkPreviewFetcher = createLinkPreviewFetcher({
+  driver: process.env.LINK_PREVIEW_FETCHER || "http",
+});
+const pendingLinkPreviews = new Map(); // url -> Promise
+
+// Сущности текста; упоминание получает userId, если пользователь
+// состоит в чате (иначе userId = null)
+const buildEntities = (chat, content) =>
+  parseEntities(content).map((entity) => {
+    if (entity.type !== "mention") return entity;
+    const user = findUserByUsername(entity.username);
+    return {
+      ...entity,
+      userId: user && chat.participants.includes(user.id) ? user.id : null,
+    };
+  });
+
+const getMentionedUserIds = (message) =>
+  new Set(
+    (message.entities || [])
+      .filter((entity) => entity.type === "mention" && entity.userId)
+      .map((entity) => entity.userId)
+  );
+
+// Индекс упоминаний для GET /mentions (упоминание себя не учитывается)
+const indexMentions = (message) => {
+  getMentionedUserIds(message).forEach((userId) => {
+    if (userId === message.senderId) return;
+    mentions.set(`${message.id}:${userId}`, {
+      userId,
+      chatId: message.chatId,
+      messageId: message.id,
+      senderId: message.senderId,
+      timestamp: message.timestamp,
+    });
+  });
+};
+
+const unindexMentions = (message) => {
+  getMentionedUserIds(message).forEach((userId) => {
+    mentions.delete(`${message.id}:${userId}`);
+  });
+};
+
+const getFirstUrl = (message) =>
+  (message.entities || []).find((entity) => entity.type === "url")?.url;
+
+const pruneLinkPreviews = () => {
+  const threshold = Date.now() - LINK_PREVIEW_TTL_MS;
+  Array.from(linkPreviews.entries())
+    .filter(([, entry]) => new Date(entry.fetchedAt).getTime() < threshold)
+    .forEach(([url]) => linkPreviews.delete(url));
+};
+
+// Превью первой ссылки сообщения. Из кэша оно попадает в сообщение сразу,
+// иначе загружается в фоне и приходит событием message-link-preview
+const attachLinkPreview = (chat, message) => {
+  const url = getFirstUrl(message);
+  delete message.linkPreview;
+  if (!url || !linkPreviewFetcher) return;
+
+  const cached = linkPreviews.get(url);
+  if (
+    cached &&
+    Date.now() - new Date(cached.fetchedAt).getTime() < LINK_PREVIEW_TTL_MS
+  ) {
+    if (cached.preview) message.linkPreview = cached.preview;
+    return;
+  }
+
+  if (!pendingLinkPreviews.has(url)) {
+    pendingLinkPreviews.set(
+      url,
+      linkPreviewFetcher
+        .fetch(url)
+        .catch(() => null)
+        .then((preview) => {
+          linkPreviews.set(url, {
+            preview,
+            fetchedAt: new Date().toISOString(),
+          });
+          pendingLinkPreviews.delete(url);
+          return preview;
+        })
+    );
+  }
+
+  pendingLinkPreviews.get(url).then((preview) => {
+    // Сообщение могли удалить или изменить ссылку, пока шла загрузка
+    const current = findMessage(chat.id, message.id);
+    if (!preview || !current || current.deleted) return;
+    if (getFirstUrl(current) !== url) return;
+
+    current.linkPreview = preview;
+    saveMessage(current);
+    emitToParticipants(chat, "message-link-preview", {
+      chatId: chat.id,
+      messageId: current.id,
+      linkPreview: preview,
+    });
+  });
+};
+
+// Входящие упоминания пользователя, новые выше
+app.get("/mentions", authMiddleware, (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.getMentions, "query")) return;
+    const userId = req.user.id;
+    const { before, limit = 20 } = req.query;
+
+    const cursor = before ? mentions.get(`${before}:${userId}`) : null;
+    if (before && !cursor) {
+      return res.status(404).json({
+        success: false,
+        code: "MESSAGE_NOT_FOUND",
+        message: "Сообщение для курсора не найдено",
+      });
+    }
+
+    const compareMentions = (a, b) =>
+      b.timestamp.localeCompare(a.timestamp) ||
+      b.messageId.localeCompare(a.messageId);
+
+    const userMentions = mentions
+      .filter((mention) => {
+        if (mention.userId !== userId) return false;
+        const chat = chats.get(mention.chatId);
+        return Boolean(chat && chat.participants.includes(userId));
+      })
+      .filter((mention) => !cursor || compareMentions(cursor, mention) < 0)
+      .sort(compareMentions);
+
+    const page = userMentions.slice(0, limit);
+    const hasMore = userMentions.length > limit;
+
+    const results = page.map((mention) => {
+      const chat = chats.get(mention.chatId);
+      const view = toChatView(chat, userId);
+      const lastReadIndex = getMessageIndex(
+        chat.id,
+        getReadState(chat.id, userId).lastReadMessageId
+      );
+      return {
+        message: findMessage(chat.id, mention.messageId),
+        chat: { id: chat.id, type: chat.type, name: view.name },
+        isRead: getMessageIndex(chat.id, mention.messageId) <= lastReadIndex,
+      };
+    });
+
+    res.json({
+      success: true,
+      mentions: results,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? page[page.length - 1].messageId : null,
+      },
+    });
+  } catch (error) {
+    console.error("Get mentions error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// === УВЕДОМЛЕНИЯ ===
+
+// Подписки устройств: id -> { id, userId, sessionId, transport, endpoint,
+// keys, createdAt }. Уведомления получают пользователи без активного сокета
+const pushSubscriptions = store.collection("pushSubscriptions");
+const notificationJobs = store.collection("notificationJobs");
+const notificationDeadLetters = store.collection("notificationDeadLetters");
+
+// Вебхуки во внутреннюю сеть (CI, мониторинг) разрешаются явно
+const WEBHOOK_ALLOW_PRIVATE_URLS =
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true";
+
+// Проверка адреса вебхука при сохранении; при доставке адрес проверяется
+// еще раз (DNS мог измениться)
+const isAllowedWebhookUrl = async (url) => {
+  if (WEBHOOK_ALLOW_PRIVATE_URLS) return true;
+  try {
+    await assertPublicUrl(url);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Транспорты: webhook всегда, web-push при наличии VAPID-ключей,
+// журнал — вне production или при заданном NOTIFICATION_LOG_FILE
+const notificationTransports = {
+  webhook: new WebhookTransport({
+    allowPrivateUrls: WEBHOOK_ALLOW_PRIVATE_URLS,
+  }),
+};
+if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+  notificationTransports.webpush = new WebPushTransport({
+    publicKey: process.env.VAPID_PUBLIC_KEY,
+    privateKey: process.env.VAPID_PRIVATE_KEY,
+    subject: process.env.VAPID_SUBJECT || "mailto:no-reply@acto.uim",
+  });
+}
+if (
+  process.env.NOTIFICATION_LOG_FILE ||
+  process.env.NODE_ENV !== "production"
+) {
+  notificationTransports.log = new LogTransport({
+    file: process.env.NOTIFICATION_LOG_FILE,
+  });
+}
+
+// Упоминание пользователя в сообщении (сущность mention с его userId)
+const isMentioned = (message, user) =>
+  getMentionedUserIds(message).has(user.id);
+
+// Нужно ли уведомлять пользователя о сообщении с учетом настроек чата:
+// в заглушенном чате и на уровне "mentions" — только об упоминаниях
+const getNotificationDecision = (user, chat, message) => {
+  const settings = getChatSettings(chat.id, user.id);
+  const mentioned = isMentioned(message, user);
+
+  if (settings.notificationLevel === "none") return { notify: false };
+  if (isChatMuted(settings) || settings.notificationLevel === "mentions") {
+    return { notify: mentioned, mentioned };
+  }
+  return { notify: true, mentioned };
+};
+
+const toNotificationPreview = (message) => {
+  if (message.content) return message.content.substring(0, 100);
+  return message.attachments?.length ? "📎 Вложение" : "";
+};
+
+// Русское склонение по числу: forms = ["сообщение", "сообщения", "сообщений"]
+const pluralize = (count, [one, few, many]) => {
+  const mod10 = count % 10;
+  const mod100 = count % 100;
+  if (mod10 === 1 && mod100 !== 11) return one;
+  if (mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14)) return few;
+  return many;
+};
+
+// Сводка по заданию: одно сообщение — его текст, несколько — количество
+const buildNotification = (job) => {
+  const chat = chats.get(job.chatId);
+  const pending = job.messageIds
+    .map((messageId) => findMessage(job.chatId, messageId))
+    .filter((message) => message && !message.deleted);
+  const last = pending[pending.length - 1];
+  const preview = `${last.senderDisplayName}: ${toNotificationPreview(last)}`;
+
+  return {
+    type: "new-messages",
+    chatId: job.chatId,
+    title: toChatView(chat, job.userId).name,
+    body:
+      pending.length > 1
+        ? `${pending.length} ${pluralize(pending.length, [
+            "новое сообщение",
+            "новых сообщения",
+            "новых сообщений",
+          ])}\n${preview}`
+        : preview,
+    count: pending.length,
+    mentioned: job.mentioned,
+    lastMessageId: last.id,
+    url: `${APP_URL}/chat/${job.chatId}`,
+    timestamp: last.timestamp,
+  };
+};
+
+// Перед доставкой: пользователь все еще офлайн, состоит в чате
+// и не прочитал сообщения на другом устройстве
+const shouldDeliverNotification = (job) => {
+  const chat = chats.get(job.chatId);
+  if (!chat || !chat.participants.includes(job.userId)) return false;
+  if (onlineUsers.has(job.userId)) return false;
+  if (getUnreadCount(job.chatId, job.userId) === 0) return false;
+
+  return job.messageIds.some((messageId) => {
+    const message = findMessage(job.chatId, messageId);
+    return message && !message.deleted;
+  });
+};
+
+const notificationQueue = new NotificationQueue({
+  jobs: notificationJobs,
+  deadLetters: notificationDeadLetters,
+  transports: notificationTransports,
+  getSubscriptions: (userId) =>
+    pushSubscriptions.filter((subscription) => subscription.userId === userId),
+  removeSubscription: (subscriptionId) =>
+    pushSubscriptions.delete(subscriptionId),
+  shouldDeliver: shouldDeliverNotification,
+  buildNotification,
+  batchWindowMs: envNumber("NOTIFICATION_BATCH_SECONDS", 5) * 1000,
+  maxAttempts: envNumber("NOTIFICATION_MAX_ATTEMPTS", 5),
+  retryBaseMs: envNumber("NOTIFICATION_RETRY_SECONDS", 30) * 1000,
+});
+
+// Постановка уведомлений о новом сообщении для офлайн-участников
+const queueMessageNotifications = (chat, message) => {
+  chat.participants
+    .filter((participantId) => participantId !== message.senderId)
+    .filter((participantId) => !onlineUsers.has(participantId))
+    .forEach((participantId) => {
+      const participant = users.get(participantId);
+      if (!participant || participant.isBot) return;
+
+      const { notify, mentioned } = getNotificationDecision(
+        participant,
+        chat,
+        message
+      );
+      if (notify) {
+        notificationQueue.enqueue(participantId, chat.id, message.id, {
+          mentioned,
+        });
+      }
+    });
+};
+
+const toPublicSubscription = (subscription) => ({
+  id: subscription.id,
+  transport: subscription.transport,
+  endpoint: subscription.endpoint,
+  createdAt: subscription.createdAt,
+});
+
+// Публичный VAPID-ключ для подписки браузера
+app.get("/notifications/vapid-public-key", authMiddleware, (req, res) => {
+  if (!notificationTransports.webpush) {
+    return res.status(404).json({
+      success: false,
+      code: "NOT_FOUND",
+      message: "Web Push не настроен",
+    });
+  }
+
+  res.json({
+    success: true,
+    publicKey: notificationTransports.webpush.publicKey,
+  });
+});
+
+// Подписка устройства на уведомления. Подписка привязана к сессии
+// и удаляется при выходе из нее
+app.post("/notifications/subscribe", authMiddleware, async (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.subscribeNotifications)) return;
+    const { transport, endpoint, keys } = req.body;
+    const userId = req.user.id;
+
+    if (!notificationTransports[transport]) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: `Транспорт ${transport} не настроен на сервере`,
+      });
+    }
+    if (transport !== "log" && !endpoint) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "Укажите endpoint подписки",
+      });
+    }
+    if (
+      transport === "webpush" &&
+      (typeof keys?.p256dh !== "string" || typeof keys?.auth !== "string")
+    ) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "Для Web Push нужны ключи p256dh и auth",
+      });
+    }
+    if (transport === "webhook" && !(await isAllowedWebhookUrl(endpoint))) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "endpoint должен быть публичным адресом",
+      });
+    }
+
+    // Повторная подписка того же устройства обновляет существующую
+    const existing = endpoint
+      ? pushSubscriptions.find(
+          (subscription) =>
+            subscription.userId === userId && subscription.endpoint === endpoint
+        )
+      : null;
+
+    const subscription = {
+      id: existing?.id || uuidv4(),
+      userId,
+      sessionId: req.session.id,
+      transport,
+      endpoint: endpoint || null,
+      keys:
+        transport === "webpush"
+          ? { p256dh: keys.p256dh, auth: keys.auth }
+          : null,
+      createdAt: existing?.createdAt || new Date().toISOString(),
+    };
+    pushSubscriptions.set(subscription.id, subscription);
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      subscription: toPublicSubscription(subscription),
+    });
+  } catch (error) {
+    console.error("Subscribe notifications error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Подписки пользователя
+app.get("/notifications/subscriptions", authMiddleware, (req, res) => {
+  res.json({
+    success: true,
+    subscriptions: pushSubscriptions
+      .filter((subscription) => subscription.userId === req.user.id)
+      .map(toPublicSubscription),
+  });
+});
+
+// Отписка устройства
+app.delete(
+  "/notifications/subscriptions/:subscriptionId",
+  authMiddleware,
+  (req, res) => {
+    const subscription = pushSubscriptions.get(req.params.subscriptionId);
+    if (!subscription || subscription.userId !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        code: "NOT_FOUND",
+        message: "Подписка не найдена",
+      });
+    }
+
+    pushSubscriptions.delete(subscription.id);
+    res.json({
+      success: true,
+      message: "Подписка удалена",
+    });
+  }
+);
+
+// === ОТПРАВКА СООБЩЕНИЙ ===
+
+// Недавние clientMessageId отправителей для защиты от повторной отправки:
+// `${senderId}:${clientMessageId}` -> { chatId, messageId, createdAt }
+const clientMessageIds = store.collection("clientMessageIds");
+const CLIENT_MESSAGE_ID_TTL_MS = 24 * 60 * 60 * 1000;
+
+const pruneClientMessageIds = () => {
+  const now = Date.now();
+  Array.from(clientMessageIds.entries())
+    .filter(
+      ([, entry]) =>
+        now - new Date(entry.createdAt).getTime() > CLIENT_MESSAGE_ID_TTL_MS
+    )
+    .forEach(([key]) => clientMessageIds.delete(key));
+};
+
+// Цитата родительского сообщения в ответе
+const toReplyPreview = (message) => ({
+  messageId: message.id,
+  senderId: message.senderId,
+  senderDisplayName: message.senderDisplayName,
+  type: message.type,
+  content: message.content.substring(0, 200),
+});
+
+// Общая логика отправки для REST, Socket.IO и отложенных сообщений.
+// forwardedFrom передается только при пересылке, checkRateLimit = false —
+// если лимит уже учтен вызывающим кодом. ttlSeconds переопределяет
+// срок жизни сообщений чата.
+// Возвращает { message, duplicate } или { error: { status, code, message } }
+const sendChatMessage = (
+  sender,
+  chatId,
+  {
+    content = "",
+    type,
+    clientMessageId,
+    replyTo,
+    forwardedFrom,
+    attachments: attachmentIds = [],
+    ttlSeconds,
+  },
+  { checkRateLimit = true } = {}
+) => {
+  const userId = sender.id;
+
+  if (!content && attachmentIds.length === 0) {
+    return {
+      error: {
+        status: 400,
+        code: "VALIDATION_ERROR",
+        message: "Сообщение не может быть пустым",
+      },
+    };
+  }
+
+  // Проверяем, что чат существует
+  const chat = chats.get(chatId);
+  if (!chat) {
+    return {
+      error: { status: 404, code: "CHAT_NOT_FOUND", message: "Чат не найден" },
+    };
+  }
+
+  // Проверяем, что пользователь является участником чата
+  if (!chat.participants.includes(userId)) {
+    return {
+      error: {
+        status: 403,
+        code: "CHAT_ACCESS_DENIED",
+        message: "Нет доступа к этому чату",
+      },
+    };
+  }
+
+  // Повтор с тем же clientMessageId возвращает уже созданное сообщение
+  const dedupeKey = clientMessageId ? `${userId}:${clientMessageId}` : null;
+  const known = dedupeKey && clientMessageIds.get(dedupeKey);
+  if (known) {
+    const existing = findMessage(known.chatId, known.messageId);
+    if (existing && known.chatId === chatId) {
+      const [messageWithStatus] = withMessageStatus(chat, [existing]);
+      return { message: messageWithStatus, duplicate: true };
+    }
+  }
+
+  // Чат, приостановленный модератором, доступен только для чтения
+  if (chat.suspendedAt) {
+    return {
+      error: {
+        status: 403,
+        code: "CHAT_SUSPENDED",
+        message: "Чат приостановлен модератором",
+      },
+    };
+  }
+
+  // В канале публикуют только администраторы
+  if (chat.type === "channel" && !chat.admins.includes(userId)) {
+    return {
+      error: {
+        status: 403,
+        code: "FORBIDDEN",
+        message: "Публиковать в канале могут только администраторы",
+      },
+    };
+  }
+
+  // В личном чате действуют блокировки и настройки приватности собеседника
+  if (chat.type === "private") {
+    const recipient = users.get(chat.participants.find((id) => id !== userId));
+    const restriction = recipient && getMessagingRestriction(userId, recipient);
+    if (restriction) return { error: restriction };
+  }
+
+  // Ответить можно только на сообщение из этого же чата
+  const parent = replyTo ? findMessage(chatId, replyTo) : null;
+  if (replyTo && (!parent || parent.deleted)) {
+    return {
+      error: {
+        status: 404,
+        code: "MESSAGE_NOT_FOUND",
+        message: "Сообщение для ответа не найдено",
+      },
+    };
+  }
+
+  const claimed = claimAttachments(userId, chatId, attachmentIds);
+  if (claimed.error) return claimed;
+
+  const limit = checkRateLimit
+    ? consumeMessageLimit(userId, chatId)
+    : { allowed: true };
+  if (!limit.allowed) {
+    return {
+      error: {
+        status: 429,
+        code: "RATE_LIMITED",
+        message: "Слишком много запросов, попробуйте позже",
+        retryAfter: limit.retryAfter,
+      },
+    };
+  }
+
+  // Тип по умолчанию определяется первым вложением
+  const defaultType = claimed.list.length > 0 ? claimed.list[0].kind : "text";
+
+  // Создаем новое сообщение
+  const messageId = uuidv4();
+  const newMessage = {
+    id: messageId,
+    chatId,
+    senderId: userId,
+    senderUsername: sender.username,
+    senderDisplayName: sender.displayName,
+    content,
+    entities: buildEntities(chat, content),
+    type: type || defaultType,
+    timestamp: new Date().toISOString(),
+    edited: false,
+  };
+  if (clientMessageId) {
+    newMessage.clientMessageId = clientMessageId;
+  }
+  if (parent) {
+    newMessage.replyTo = toReplyPreview(parent);
+  }
+  if (forwardedFrom) {
+    newMessage.forwardedFrom = forwardedFrom;
+  }
+  const ttl = ttlSeconds || chat.messageTtlSeconds;
+  if (ttl) {
+    newMessage.expiresAt = new Date(
+      new Date(newMessage.timestamp).getTime() + ttl * 1000
+    ).toISOString();
+  }
+  if (claimed.list.length > 0) {
+    claimed.list.forEach((attachment) => {
+      attachments.set(attachment.id, { ...attachment, messageId });
+    });
+    newMessage.attachments = claimed.list.map(toPublicAttachment);
+  }
+
+  attachLinkPreview(chat, newMessage);
+
+  // Добавляем сообщение в хранилище
+  appendMessage(chatId, newMessage);
+  indexMentions(newMessage);
+  if (newMessage.expiresAt) {
+    scheduleMessageExpiry(newMessage);
+  }
+  markRead(chatId, userId, messageId);
+  if (dedupeKey) {
+    clientMessageIds.set(dedupeKey, {
+      chatId,
+      messageId,
+      createdAt: newMessage.timestamp,
+    });
+  }
+
+  // Отправляем сообщение через Socket.IO всем участникам чата,
+  // офлайн-участники получат уведомление
+  emitToParticipants(chat, "new-message", newMessage);
+  queueMessageNotifications(chat, newMessage);
+  dispatchBotUpdates(chat, newMessage);
+  chat.participants
+    .filter((participantId) => participantId !== userId)
+    .filter((participantId) => onlineUsers.has(participantId))
+    .forEach((participantId) => {
+      markDelivered(chatId, participantId, messageId);
+    });
+
+  console.log(
+    `💬 Message sent in ${chat.name}: ${sender.username}: ${content.substring(
+      0,
+      50
+    )}...`
+  );
+
+  const [messageWithStatus] = withMessageStatus(chat, [newMessage]);
+  return { message: messageWithStatus, duplicate: false };
+};
+
+// Отправка сообщения
+app.post("/messages/:chatId", authMiddleware, (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.sendMessage)) return;
+    const { chatId } = req.params;
+
+    const { message, duplicate, error } = sendChatMessage(
+      req.user,
+      chatId,
+      req.body
+    );
+
+    if (error) {
+      const { status, retryAfter, ...body } = error;
+      if (retryAfter) {
+        res.set("Retry-After", String(retryAfter));
+      }
+      return res.status(status).json({ success: false, ...body, retryAfter });
+    }
+
+    res.json({
+      success: true,
+      message,
+      duplicate,
+    });
+  } catch (error) {
+    console.error("Send message error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Чат, доступный пользователю; иначе отправляет 404/403 и возвращает null
+const getChatForMember = (res, chatId, userId) => {
+  const chat = chats.get(chatId);
+  if (!chat) {
+    res.status(404).json({
+      success: false,
+      code: "CHAT_NOT_FOUND",
+      message: "Чат не найден",
+    });
+    return null;
+  }
+  if (!chat.participants.includes(userId)) {
+    res.status(403).json({
+      success: false,
+      code: "CHAT_ACCESS_DENIED",
+      message: "Нет доступа к этому чату",
+    });
+    return null;
+  }
+  return chat;
+};
+
+// === ПЕРЕСЫЛКА ===
+
+// Пересылка сообщений из fromChatId в :chatId. Источник сохраняется
+// в forwardedFrom; при повторной пересылке указывается первоисточник.
+// Отправленные сообщения уже разосланы, поэтому при ошибке на части
+// сообщений ответ успешный: messages — пересланные, failed — остальные
+app.post("/messages/:chatId/forward", authMiddleware, (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.forwardMessages)) return;
+    const { chatId } = req.params;
+    const { fromChatId, messageIds } = req.body;
+    const userId = req.user.id;
+
+    const sourceChat = getChatForMember(res, fromChatId, userId);
+    if (!sourceChat) return;
+    const chat = getChatForMember(res, chatId, userId);
+    if (!chat) return;
+
+    const sources = messageIds.map((id) => findMessage(fromChatId, id));
+    if (sources.some((source) => !source || source.deleted)) {
+      return res.status(404).json({
+        success: false,
+        code: "MESSAGE_NOT_FOUND",
+        message: "Сообщение не найдено",
+      });
+    }
+    if (sources.some((source) => source.type === "system")) {
+      return res.status(400).json({
+        success: false,
+        code: "INVALID_OPERATION",
+        message: "Системные сообщения нельзя переслать",
+      });
+    }
+
+    // Каждое пересланное сообщение учитывается в лимите; если пакет
+    // не помещается в остаток, не отправляется ничего
+    const limit = consumeMessageLimit(userId, chatId, sources.length);
+    if (!limit.allowed) {
+      return sendRateLimited(res, limit.retryAfter);
+    }
+
+    const forwarded = [];
+    const failed = [];
+    for (const source of sources) {
+      const copies = (source.attachments || [])
+        .map(({ id }) => attachments.get(id))
+        .filter(Boolean)
+        .map((attachment) => copyAttachment(attachment, chatId, userId));
+
+      const { message, error } = sendChatMessage(
+        req.user,
+        chatId,
+        {
+          content: source.content,
+          type: source.type,
+          attachments: copies.map((copy) => copy.id),
+          forwardedFrom: source.forwardedFrom || {
+            chatId: sourceChat.id,
+            messageId: source.id,
+            senderId: source.senderId,
+            senderDisplayName: source.senderDisplayName,
+            timestamp: source.timestamp,
+          },
+        },
+        { checkRateLimit: false }
+      );
+
+      if (error) {
+        copies.forEach(discardAttachment);
+        failed.push({ messageId: source.id, error });
+        continue;
+      }
+      forwarded.push(message);
+    }
+
+    // Ничего не отправлено — обычный ответ с ошибкой
+    if (forwarded.length === 0) {
+      const { status, ...body } = failed[0].error;
+      return res.status(status).json({ success: false, ...body });
+    }
+
+    res.json({
+      success: true,
+      messages: forwarded,
+      failed: failed.map(({ messageId, error: { code, message } }) => ({
+        messageId,
+        code,
+        message,
+      })),
+    });
+  } catch (error) {
+    console.error("Forward messages error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// === ОТЛОЖЕННЫЕ И ИСЧЕЗАЮЩИЕ СООБЩЕНИЯ ===
+
+// Задания планировщика: отложенная отправка ("send-message", id задания
+// совпадает с id отложенного сообщения) и удаление сообщения по истечении
+// срока жизни ("expire-message", id = `expire:${messageId}`)
+const scheduledJobs = store.collection("scheduledJobs");
+const SCHEDULE_MAX_DAYS = 365;
+const SCHEDULED_MESSAGES_MAX_PER_CHAT = 100;
+
+const expiryJobId = (messageId) => `expire:${messageId}`;
+
+const scheduleMessageExpiry = (message) =>
+  scheduler.schedule(
+    "expire-message",
+    message.expiresAt,
+    { chatId: message.chatId, messageId: message.id },
+    expiryJobId(message.id)
+  );
+
+// Вложения отложенного сообщения зарезервированы за ним до отправки
+// и не удаляются как неотправленные
+const reserveAttachments = (list, scheduledMessageId) => {
+  list.forEach((attachment) => {
+    attachments.set(attachment.id, { ...attachment, scheduledMessageId });
+  });
+};
+
+const releaseReservedAttachments = (attachmentIds) => {
+  attachmentIds.forEach((id) => {
+    const attachment = attachments.get(id);
+    if (!attachment) return;
+    const { scheduledMessageId: _, ...rest } = attachment;
+    attachments.set(id, rest);
+  });
+};
+
+// Отправка от имени автора в назначенное время. Результат приходит автору
+// событием scheduled-message-sent или scheduled-message-failed
+const sendScheduledMessage = ({ id, payload }) => {
+  const { chatId, senderId } = payload;
+  releaseReservedAttachments(payload.attachments);
+
+  const sender = users.get(senderId);
+  if (!sender) return;
+
+  // За время ожидания автора могли заблокировать или приостановить
+  const restriction = getAccountRestriction(sender);
+  if (restriction) {
+    console.warn(
+      `⚠️  Scheduled message ${id} dropped: ${restriction.code} (${sender.username})`
+    );
+    return;
+  }
+
+  // Лимит частоты не учитывается: время отправки выбрано заранее
+  const { message, error } = sendChatMessage(
+    sender,
+    chatId,
+    {
+      content: payload.content,
+      type: payload.type,
+      replyTo: payload.replyTo,
+      attachments: payload.attachments,
+      ttlSeconds: payload.ttlSeconds,
+    },
+    { checkRateLimit: false }
+  );
+
+  if (error) {
+    emitToUser(senderId, "scheduled-message-failed", {
+      id,
+      chatId,
+      code: error.code,
+      message: error.message,
+    });
+    console.warn(
+      `⚠️  Scheduled message ${id} was not sent: ${error.code} (${sender.username})`
+    );
+    return;
+  }
+
+  emitToUser(senderId, "scheduled-message-sent", {
+    id,
+    chatId,
+    messageId: message.id,
+  });
+};
+
+// Сообщение с истекшим сроком жизни удаляется из истории без «надгробия».
+// Курсоры прочтения, указывавшие на него, сдвигаются на предыдущее
+// сообщение, а цитаты в ответах на него очищаются
+const removeMessage = (chat, message) => {
+  const chatMessages = messages.get(chat.id) || [];
+  const index = chatMessages.indexOf(message);
+  const previousId = index > 0 ? chatMessages[index - 1].id : null;
+
+  unindexMentions(message);
+  releaseAttachments(message);
+  searchIndex.remove(message.id);
+
+  chat.participants.forEach((participantId) => {
+    const key = `${chat.id}:${participantId}`;
+    const state = readState.get(key);
+    if (!state) return;
+    if (state.lastReadMessageId === message.id) {
+      state.lastReadMessageId = previousId;
+    }
+    if (state.lastDeliveredMessageId === message.id) {
+      state.lastDeliveredMessageId = previousId;
+    }
+    readState.set(key, state);
+  });
+
+  chatMessages.forEach((other) => {
+    if (other.replyTo?.messageId === message.id) {
+      other.replyTo = { ...other.replyTo, content: "", deleted: true };
+    }
+  });
+  chatMessages.splice(index, 1);
+  messages.set(chat.id, chatMessages);
+
+  emitToParticipants(chat, "message-deleted", {
+    id: message.id,
+    chatId: chat.id,
+    deletedAt: new Date().toISOString(),
+    deletedBy: null,
+  });
+
+  unpinRemovedMessage(chat, message.id, null);
+};
+
+const expireMessage = ({ payload }) => {
+  const chat = chats.get(payload.chatId);
+  const message = chat && findMessage(chat.id, payload.messageId);
+  if (!message) return;
+
+  removeMessage(chat, message);
+  console.log(`⏳ Message expired in ${chat.name}`);
+};
+
+const scheduler = new Scheduler({
+  jobs: scheduledJobs,
+  handlers: {
+    "send-message": sendScheduledMessage,
+    "expire-message": expireMessage,
+  },
+});
+
+const toPublicScheduledMessage = (job) => ({
+  id: job.id,
+  chatId: job.payload.chatId,
+  content: job.payload.content,
+  type: job.payload.type,
+  replyTo: job.payload.replyTo,
+  attachments: job.payload.attachments
+    .map((id) => attachments.get(id))
+    .filter(Boolean)
+    .map(toPublicAttachment),
+  ttlSeconds: job.payload.ttlSeconds,
+  sendAt: new Date(job.runAt).toISOString(),
+  createdAt: job.createdAt,
+});
+
+// Отложенные сообщения пользователя в чате (ближайшие — первыми)
+const getScheduledMessages = (userId, chatId) =>
+  scheduledJobs
+    .filter(
+      (job) =>
+        job.type === "send-message" &&
+        job.payload.senderId === userId &&
+        job.payload.chatId === chatId
+    )
+    .sort((a, b) => a.runAt - b.runAt);
+
+// Срок жизни словами: "30 секунд", "1 час", "7 дней"
+const formatTtl = (seconds) => {
+  const units = [
+    [24 * 60 * 60, ["день", "дня", "дней"]],
+    [60 * 60, ["час", "часа", "часов"]],
+    [60, ["минуту", "минуты", "минут"]],
+    [1, ["секунду", "секунды", "секунд"]],
+  ];
+  const [size, forms] = units.find(([size]) => seconds % size === 0);
+  const count = seconds / size;
+  return `${count} ${pluralize(count, forms)}`;
+};
+
+// Создание отложенного сообщения. Права и вложения проверяются сейчас,
+// остальные ограничения (блокировки, участие в чате) — при отправке
+app.post("/messages/:chatId/scheduled", authMiddleware, (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.scheduleMessage)) return;
+    const userId = req.user.id;
+    const {
+      content = "",
+      type,
+      replyTo,
+      attachments: attachmentIds = [],
+      ttlSeconds,
+      sendAt,
+    } = req.body;
+
+    const chat = getChatForMember(res, req.params.chatId, userId);
+    if (!chat) return;
+
+    if (!content && attachmentIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "Сообщение не может быть пустым",
+      });
+    }
+
+    const sendTime = new Date(sendAt).getTime();
+    const maxSendTime = Date.now() + SCHEDULE_MAX_DAYS * 24 * 60 * 60 * 1000;
+    if (
+      Number.isNaN(sendTime) ||
+      sendTime <= Date.now() ||
+      sendTime > maxSendTime
+    ) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: `Время отправки должно быть в будущем, но не позже чем через ${SCHEDULE_MAX_DAYS} дней`,
+      });
+    }
+
+    if (chat.type === "channel" && !chat.admins.includes(userId)) {
+      return forbidden(res, "Публиковать в канале могут только администраторы");
+    }
+
+    const parent = replyTo ? findMessage(chat.id, replyTo) : null;
+    if (replyTo && (!parent || parent.deleted)) {
+      return res.status(404).json({
+        success: false,
+        code: "MESSAGE_NOT_FOUND",
+        message: "Сообщение для ответа не найдено",
+      });
+    }
+
+    if (
+      getScheduledMessages(userId, chat.id).length >=
+      SCHEDULED_MESSAGES_MAX_PER_CHAT
+    ) {
+      return res.status(400).json({
+        success: false,
+        code: "INVALID_OPERATION",
+        message: `Можно запланировать не более ${SCHEDULED_MESSAGES_MAX_PER_CHAT} сообщений в чате`,
+      });
+    }
+
+    const claimed = claimAttachments(userId, chat.id, attachmentIds);
+    if (claimed.error) {
+      const { status, ...body } = claimed.error;
+      return res.status(status).json({ success: false, ...body });
+    }
+
+    const job = scheduler.schedule("send-message", sendTime, {
+      chatId: chat.id,
+      senderId: userId,
+      content,
+      type,
+      replyTo,
+      attachments: attachmentIds,
+      ttlSeconds,
+    });
+    reserveAttachments(claimed.list, job.id);
+
+    res.status(201).json({
+      success: true,
+      scheduledMessage: toPublicScheduledMessage(job),
+    });
+
+    console.log(
+      `🕒 Message scheduled in ${chat.name} by ${req.user.username} for ${sendAt}`
+    );
+  } catch (error) {
+    console.error("Schedule message error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Свои отложенные сообщения в чате
+app.get("/messages/:chatId/scheduled", authMiddleware, (req, res) => {
+  try {
+    const chat = getChatForMember(res, req.params.chatId, req.user.id);
+    if (!chat) return;
+
+    res.json({
+      success: true,
+      scheduledMessages: getScheduledMessages(req.user.id, chat.id).map(
+        toPublicScheduledMessage
+      ),
+    });
+  } catch (error) {
+    console.error("Get scheduled messages error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Отмена отложенного сообщения; вложения снова можно отправить
+app.delete(
+  "/messages/:chatId/scheduled/:scheduledId",
+  authMiddleware,
+  (req, res) => {
+    try {
+      const { chatId, scheduledId } = req.params;
+      const job = scheduledJobs.get(scheduledId);
+
+      if (
+        !job ||
+        job.type !== "send-message" ||
+        job.payload.senderId !== req.user.id ||
+        job.payload.chatId !== chatId
+      ) {
+        return res.status(404).json({
+          success: false,
+          code: "SCHEDULED_MESSAGE_NOT_FOUND",
+          message: "Отложенное сообщение не найдено",
+        });
+      }
+
+      scheduler.cancel(job.id);
+      releaseReservedAttachments(job.payload.attachments);
+
+      res.json({
+        success: true,
+        message: "Отложенное сообщение отменено",
+      });
+    } catch (error) {
+      console.error("Cancel scheduled message error:", error);
+      res.status(500).json(SERVER_ERROR);
+    }
+  }
+);
+
+// Срок жизни новых сообщений чата (0 — без удаления). В личном чате
+// меняет любой участник, в группах и каналах — администраторы.
+// Уже отправленные сообщения не затрагиваются
+app.put("/chats/:chatId/message-ttl", authMiddleware, (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.setMessageTtl)) return;
+    const userId = req.user.id;
+    const { ttlSeconds } = req.body;
+
+    const chat = getChatForMember(res, req.params.chatId, userId);
+    if (!chat) return;
+
+    if (isGroupChat(chat) && !chat.admins.includes(userId)) {
+      return forbidden(
+        res,
+        "Срок жизни сообщений могут менять только администраторы"
+      );
+    }
+
+    if (ttlSeconds !== (chat.messageTtlSeconds || 0)) {
+      if (ttlSeconds) {
+        chat.messageTtlSeconds = ttlSeconds;
+      } else {
+        delete chat.messageTtlSeconds;
+      }
+      chats.set(chat.id, chat);
+
+      const systemMessage = appendMessage(
+        chat.id,
+        createSystemMessage(
+          chat.id,
+          ttlSeconds
+            ? `${
+                req.user.displayName
+              } включил(а) удаление сообщений через ${formatTtl(ttlSeconds)}`
+            : `${req.user.displayName} отключил(а) удаление сообщений`
+        )
+      );
+      emitToParticipants(chat, "new-message", systemMessage);
+      chat.participants.forEach((memberId) => {
+        emitToUser(memberId, "chat-updated", toChatView(chat, memberId));
+      });
+      audit(req, "chat.message_ttl_changed", {
+        targetType: "chat",
+        targetId: chat.id,
+        details: { ttlSeconds },
+      });
+    }
+
+    res.json({
+      success: true,
+      messageTtlSeconds: chat.messageTtlSeconds || 0,
+    });
+  } catch (error) {
+    console.error("Set message TTL error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// === РЕАКЦИИ ===
+
+// Реакции хранятся в сообщении агрегированными:
+// reactions: [{ emoji, count, userIds }]
+const MESSAGE_MAX_REACTIONS = 20;
+
+// Сообщение в доступном пользователю чате для реакции; иначе — ответ с ошибкой
+const getReactableMessage = (req, res) => {
+  const chat = getChatForMember(res, req.params.chatId, req.user.id);
+  if (!chat) return {};
+
+  const message = findMessage(chat.id, req.params.messageId);
+  if (!message || message.deleted || message.type === "system") {
+    res.status(404).json({
+      success: false,
+      code: "MESSAGE_NOT_FOUND",
+      message: "Сообщение не найдено",
+    });
+    return {};
+  }
+  return { chat, message };
+};
+
+const commitReaction = (chat, message, userId, emoji, action) => {
+  saveMessage(message);
+  emitToParticipants(chat, "reaction-updated", {
+    chatId: chat.id,
+    messageId: message.id,
+    userId,
+    emoji,
+    action,
+    reactions: message.reactions,
+  });
+};
+
+// Добавление реакции
+app.post(
+  "/messages/:chatId/:messageId/reactions",
+  authMiddleware,
+  (req, res) => {
+    try {
+      if (!validateRequest(req, res, schemas.addReaction)) return;
+      const { chat, message } = getReactableMessage(req, res);
+      if (!message) return;
+      const userId = req.user.id;
+      const { emoji } = req.body;
+
+      const reactions = message.reactions || [];
+      let reaction = reactions.find((r) => r.emoji === emoji);
+
+      if (!reaction) {
+        if (reactions.length >= MESSAGE_MAX_REACTIONS) {
+          return res.status(400).json({
+            success: false,
+            code: "INVALID_OPERATION",
+            message: "Слишком много разных реакций на сообщение",
+          });
+        }
+        reaction = { emoji, count: 0, userIds: [] };
+        reactions.push(reaction);
+      }
+
+      if (!reaction.userIds.includes(userId)) {
+        reaction.userIds.push(userId);
+        reaction.count = reaction.userIds.length;
+        message.reactions = reactions;
+        commitReaction(chat, message, userId, emoji, "added");
+      }
+
+      res.json({
+        success: true,
+        reactions: message.reactions,
+      });
+    } catch (error) {
+      console.error("Add reaction error:", error);
+      res.status(500).json(SERVER_ERROR);
+    }
+  }
+);
+
+// Удаление своей реакции
+app.delete(
+  "/messages/:chatId/:messageId/reactions/:emoji",
+  authMiddleware,
+  (req, res) => {
+    try {
+      const { chat, message } = getReactableMessage(req, res);
+      if (!message) return;
+      const userId = req.user.id;
+      const { emoji } = req.params;
+
+      const reaction = (message.reactions || []).find((r) => r.emoji === emoji);
+
+      if (reaction && reaction.userIds.includes(userId)) {
+        reaction.userIds = reaction.userIds.filter((id) => id !== userId);
+        reaction.count = reaction.userIds.length;
+        message.reactions = message.reactions.filter((r) => r.count > 0);
+        commitReaction(chat, message, userId, emoji, "removed");
+      }
+
+      res.json({
+        success: true,
+        reactions: message.reactions || [],
+      });
+    } catch (error) {
+      console.error("Remove reaction error:", error);
+      res.status(500).json(SERVER_ERROR);
+    }
+  }
+);
+
+// Редактирование сообщения
+app.patch("/messages/:chatId/:messageId", authMiddleware, (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.editMessage)) return;
+    const { chatId, messageId } = req.params;
+    const { content } = req.body;
+    const userId = req.user.id;
+
+    const chat = chats.get(chatId);
+    if (!chat) {
+      return res.status(404).json({
+        success: false,
+        code: "CHAT_NOT_FOUND",
+        message: "Чат не найден",
+      });
+    }
+
+    if (!chat.participants.includes(userId)) {
+      return res.status(403).json({
+        success: false,
+        code: "CHAT_ACCESS_DENIED",
+        message: "Нет доступа к этому чату",
+      });
+    }
+
+    const message = findMessage(chatId, messageId);
+    if (!message || message.deleted) {
+      return res.status(404).json({
+        success: false,
+        code: "MESSAGE_NOT_FOUND",
+        message: "Сообщение не найдено",
+      });
+    }
+
+    if (message.senderId !== userId) {
+      return res.status(403).json({
+        success: false,
+        code: "FORBIDDEN",
+        message: "Можно редактировать только свои сообщения",
+      });
+    }
+
+    const editDeadline =
+      new Date(message.timestamp).getTime() +
+      MESSAGE_EDIT_WINDOW_MINUTES * 60 * 1000;
+    if (MESSAGE_EDIT_WINDOW_MINUTES > 0 && Date.now() > editDeadline) {
+      return res.status(403).json({
+        success: false,
+        code: "EDIT_WINDOW_EXPIRED",
+        message: "Время редактирования сообщения истекло",
+      });
+    }
+
+    if (content.trim() === message.content) {
+      return res.json({ success: true, message });
+    }
+
+    // Предыдущая версия уходит в историю правок
+    message.editHistory = [
+      ...(message.editHistory || []),
+      {
+        content: message.content,
+        editedAt: message.editedAt || message.timestamp,
+      },
+    ];
+    unindexMentions(message);
+    message.content = content.trim();
+    message.entities = buildEntities(chat, message.content);
+    message.edited = true;
+    message.editedAt = new Date().toISOString();
+    if (getFirstUrl(message) !== message.linkPreview?.url) {
+      attachLinkPreview(chat, message);
+    }
+    saveMessage(message);
+    indexMentions(message);
+
+    emitToParticipants(chat, "message-edited", message);
+
+    res.json({
+      success: true,
+      message,
+    });
+
+    console.log(`✏️  Message edited in ${chat.name} by ${req.user.username}`);
+  } catch (error) {
+    console.error("Edit message error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Удаленное или исчезнувшее сообщение снимается с закрепления
+const unpinRemovedMessage = (chat, messageId, userId) => {
+  if (!(chat.pinnedMessageIds || []).includes(messageId)) return;
+  chat.pinnedMessageIds = chat.pinnedMessageIds.filter(
+    (id) => id !== messageId
+  );
+  commitPins(chat, userId, messageId, "unpinned");
+};
+
+// Удаление сообщения: содержимое, вложения и реакции стираются, в истории
+// остается запись с deleted = true («надгробие»), чтобы собеседники видели,
+// что сообщение было удалено
+const deleteMessage = (chat, message, deletedBy) => {
+  unindexMentions(message);
+  message.content = "";
+  message.entities = [];
+  delete message.linkPreview;
+  message.editHistory = [];
+  releaseAttachments(message);
+  message.reactions = [];
+  message.deleted = true;
+  message.deletedAt = new Date().toISOString();
+  message.deletedBy = deletedBy;
+  saveMessage(message);
+  if (message.expiresAt) {
+    scheduler.cancel(expiryJobId(message.id));
+  }
+
+  emitToParticipants(chat, "message-deleted", {
+    id: message.id,
+    chatId: chat.id,
+    deletedAt: message.deletedAt,
+    deletedBy,
+  });
+
+  unpinRemovedMessage(chat, message.id, deletedBy);
+};
+
+app.delete("/messages/:chatId/:messageId", authMiddleware, (req, res) => {
+  try {
+    const { chatId, messageId } = req.params;
+    const userId = req.user.id;
+
+    const chat = chats.get(chatId);
+    if (!chat) {
+      return res.status(404).json({
+        success: false,
+        code: "CHAT_NOT_FOUND",
+        message: "Чат не найден",
+      });
+    }
+
+    if (!chat.participants.includes(userId)) {
+      return res.status(403).json({
+        success: false,
+        code: "CHAT_ACCESS_DENIED",
+        message: "Нет доступа к этому чату",
+      });
+    }
+
+    const message = findMessage(chatId, messageId);
+    if (!message || message.deleted) {
+      return res.status(404).json({
+        success: false,
+        code: "MESSAGE_NOT_FOUND",
+        message: "Сообщение не найдено",
+      });
+    }
+
+    // Удалять может автор, а в группах — также администраторы
+    const isGroupAdmin = isGroupChat(chat) && chat.admins.includes(userId);
+    if (message.senderId !== userId && !isGroupAdmin) {
+      return res.status(403).json({
+        success: false,
+        code: "FORBIDDEN",
+        message: "Недостаточно прав для удаления сообщения",
+      });
+    }
+
+    deleteMessage(chat, message, userId);
+
+    res.json({
+      success: true,
+      message,
+    });
+
+    console.log(`🗑️  Message deleted in ${chat.name} by ${req.user.username}`);
+  } catch (error) {
+    console.error("Delete message error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// === БОТЫ И ИСХОДЯЩИЕ ВЕБХУКИ ===
+
+// Бот — пользователь с isBot = true, без пароля и сессий. Владелец управляет
+// ботом через /bots, сам бот работает через /bot/* с заголовком
+// "Authorization: Bot <botId>:<secret>" (в хранилище только хеш токена).
+// botId -> { id, ownerId, tokenHash, commands: [{ command, description }],
+//            createdAt }
+const bots = store.collection("bots");
+// Исходящие вебхуки чатов (chatId) и ботов (botId, id = `bot:${botId}`):
+// webhookId -> { id, chatId, botId, url, secret, events, createdBy,
+//                createdAt, lastDeliveryAt, lastError }
+const webhooks = store.collection("webhooks");
+const webhookDeliveries = store.collection("webhookDeliveries");
+const BOTS_MAX_PER_OWNER = 20;
+const CHAT_MAX_WEBHOOKS = 10;
+
+const webhookQueue = new WebhookQueue({
+  deliveries: webhookDeliveries,
+  getWebhook: (webhookId) => webhooks.get(webhookId),
+  onResult: (webhook, error) => {
+    if (!webhooks.has(webhook.id)) return;
+    webhook.lastDeliveryAt = new Date().toISOString();
+    webhook.lastError = error ? error.message : null;
+    webhooks.set(webhook.id, webhook);
+  },
+  allowPrivateUrls: WEBHOOK_ALLOW_PRIVATE_URLS,
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  retryBaseMs: (Number(process.env.WEBHOOK_RETRY_SECONDS) || 10) * 1000,
+});
+
+const botWebhookId = (botId) => `bot:${botId}`;
+
+const generateWebhookSecret = () => crypto.randomBytes(32).toString("hex");
+
+// Новый токен бота; прежний перестает действовать
+const issueBotToken = (bot) => {
+  const token = `${bot.id}:${crypto.randomBytes(32).toString("hex")}`;
+  bot.tokenHash = hashToken(token);
+  bots.set(bot.id, bot);
+  return token;
+};
+
+const toPublicBot = (bot) => {
+  const user = users.get(bot.id);
+  return {
+    id: bot.id,
+    username: user.username,
+    displayName: user.displayName,
+    avatar: user.avatar,
+    description: user.bio,
+    ownerId: bot.ownerId,
+    commands: bot.commands,
+    webhookUrl: webhooks.get(botWebhookId(bot.id))?.url || null,
+    createdAt: bot.createdAt,
+  };
+};
+
+const toPublicWebhook = (webhook) => ({
+  id: webhook.id,
+  chatId: webhook.chatId,
+  url: webhook.url,
+  events: webhook.events,
+  createdBy: webhook.createdBy,
+  createdAt: webhook.createdAt,
+  lastDeliveryAt: webhook.lastDeliveryAt,
+  lastError: webhook.lastError,
+});
+
+const toWebhookChat = (chat) => ({
+  id: chat.id,
+  type: chat.type,
+  name: chat.name,
+});
+
+// Событие чата во все вебхуки чата, подписанные на него
+const dispatchChatWebhooks = (chat, event, payload) => {
+  if (!WEBHOOK_EVENTS.includes(event)) return;
+  webhooks
+    .filter((webhook) => webhook.chatId === chat.id)
+    .filter((webhook) => webhook.events.includes(event))
+    .forEach((webhook) => {
+      webhookQueue.enqueue(webhook.id, event, {
+        chat: toWebhookChat(chat),
+        payload,
+      });
+    });
+};
+
+// Обновление для бота уходит на его вебхук; без вебхука не доставляется
+const sendBotUpdate = (botId, type, data) => {
+  const webhookId = botWebhookId(botId);
+  if (webhooks.has(webhookId)) {
+    webhookQueue.enqueue(webhookId, type, data);
+  }
+};
+
+// Команда в начале сообщения (/deploy@ci_bot) достается указанному боту;
+// без имени — ботам чата, объявившим эту команду, а в личном чате — боту.
+// Упоминание бота приходит ему обновлением mention
+const dispatchBotUpdates = (chat, message) => {
+  const botIds = chat.participants.filter(
+    (participantId) =>
+      participantId !== message.senderId && bots.has(participantId)
+  );
+  if (botIds.length === 0) return;
+
+  const command = message.entities.find((entity) => entity.type === "command");
+  const commandBotIds = command
+    ? botIds.filter((botId) => {
+        if (command.username) {
+          return users.get(botId).username === command.username;
+        }
+        return (
+          chat.type === "private" ||
+          bots.get(botId).commands.some((c) => c.command === command.command)
+        );
+      })
+    : [];
+
+  commandBotIds.forEach((botId) => {
+    sendBotUpdate(botId, "command", {
+      command: command.command,
+      args: message.content.substring(command.length).trim(),
+      chat: toWebhookChat(chat),
+      message,
+    });
+  });
+
+  getMentionedUserIds(message).forEach((userId) => {
+    if (!botIds.includes(userId) || commandBotIds.includes(userId)) return;
+    sendBotUpdate(userId, "mention", {
+      chat: toWebhookChat(chat),
+      message,
+    });
+  });
+};
+
+// Удаление бота: выходит из групп и каналов, токен и вебхук удаляются
+const removeBot = (bot) => {
+  const user = users.get(bot.id);
+  removeFromGroupChats(bot.id, `Бот ${user.displayName} удален`);
+
+  webhooks.delete(botWebhookId(bot.id));
+  bots.delete(bot.id);
+  users.delete(bot.id);
+};
+
+// Аутентификация бота по токену (JWT пользователей здесь не принимаются)
+const botAuthMiddleware = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith("Bot ")) {
+    return res.status(401).json({
+      success: false,
+      code: "TOKEN_MISSING",
+      message: "Токен бота не предоставлен",
+    });
+  }
+
+  const token = authHeader.substring(4);
+  const bot = bots.get(token.split(":")[0]);
+  const user = bot && users.get(bot.id);
+  if (!user || bot.tokenHash !== hashToken(token)) {
+    return res.status(401).json({
+      success: false,
+      code: "INVALID_TOKEN",
+      message: "Недействительный токен бота",
+    });
+  }
+
+  const restriction = getAccountRestriction(user);
+  if (restriction) {
+    const { status, ...body } = restriction;
+    return res.status(status).json({ success: false, ...body });
+  }
+
+  req.bot = bot;
+  req.user = user;
+  next();
+};
+
+// Бот владельца; иначе отправляет 404 и возвращает null
+const getOwnedBot = (req, res) => {
+  const bot = bots.get(req.params.botId);
+  if (!bot || bot.ownerId !== req.user.id) {
+    res.status(404).json({
+      success: false,
+      code: "BOT_NOT_FOUND",
+      message: "Бот не найден",
+    });
+    return null;
+  }
+  return bot;
+};
+
+// Создание бота; токен возвращается только в этом ответе
+app.post("/bots", authMiddleware, (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.createBot)) return;
+    const { username, displayName, description = "" } = req.body;
+    const ownerId = req.user.id;
+
+    if (
+      bots.filter((bot) => bot.ownerId === ownerId).length >= BOTS_MAX_PER_OWNER
+    ) {
+      return res.status(400).json({
+        success: false,
+        code: "INVALID_OPERATION",
+        message: `Можно создать не более ${BOTS_MAX_PER_OWNER} ботов`,
+      });
+    }
+
+    if (findUserByUsername(username)) {
+      return res.status(400).json({
+        success: false,
+        code: "USER_ALREADY_EXISTS",
+        message: "Пользователь с таким именем уже существует",
+      });
+    }
+
+    const botId = uuidv4();
+    const now = new Date().toISOString();
+    users.set(botId, {
+      id: botId,
+      username: username.toLowerCase(),
+      email: "",
+      displayName,
+      avatar: "🤖",
+      status: "",
+      bio: description,
+      password: null,
+      role: "user",
+      isBot: true,
+      emailVerified: false,
+      privacy: { ...DEFAULT_PRIVACY },
+      isOnline: false,
+      lastSeen: now,
+      createdAt: now,
+    });
+
+    const bot = { id: botId, ownerId, commands: [], createdAt: now };
+    const token = issueBotToken(bot);
+    audit(req, "bot.created", {
+      targetType: "user",
+      targetId: botId,
+      details: { username: username.toLowerCase() },
+    });
+
+    res.status(201).json({
+      success: true,
+      bot: toPublicBot(bot),
+      token,
+    });
+
+    console.log(`🤖 Bot created: @${username} by ${req.user.username}`);
+  } catch (error) {
+    console.error("Create bot error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Боты текущего пользователя
+app.get("/bots", authMiddleware, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      bots: bots.filter((bot) => bot.ownerId === req.user.id).map(toPublicBot),
+    });
+  } catch (error) {
+    console.error("Get bots error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+app.patch("/bots/:botId", authMiddleware, (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.updateBot)) return;
+    const bot = getOwnedBot(req, res);
+    if (!bot) return;
+
+    const user = users.get(bot.id);
+    const { displayName, description, avatar } = req.body;
+    if (displayName !== undefined) user.displayName = displayName;
+    if (description !== undefined) user.bio = description;
+    if (avatar !== undefined) user.avatar = avatar;
+    users.set(user.id, user);
+
+    res.json({
+      success: true,
+      bot: toPublicBot(bot),
+    });
+  } catch (error) {
+    console.error("Update bot error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Выпуск нового токена (например, если прежний утек)
+app.post("/bots/:botId/token", authMiddleware, (req, res) => {
+  try {
+    const bot = getOwnedBot(req, res);
+    if (!bot) return;
+
+    const token = issueBotToken(bot);
+    audit(req, "bot.token_regenerated", {
+      targetType: "user",
+      targetId: bot.id,
+    });
+
+    res.json({
+      success: true,
+      token,
+    });
+  } catch (error) {
+    console.error("Regenerate bot token error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+app.delete("/bots/:botId", authMiddleware, (req, res) => {
+  try {
+    const bot = getOwnedBot(req, res);
+    if (!bot) return;
+
+    const { username } = users.get(bot.id);
+    removeBot(bot);
+    audit(req, "bot.deleted", {
+      targetType: "user",
+      targetId: bot.id,
+      details: { username },
+    });
+
+    res.json({
+      success: true,
+      message: "Бот удален",
+    });
+
+    console.log(`🤖 Bot deleted: @${username} by ${req.user.username}`);
+  } catch (error) {
+    console.error("Delete bot error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Команды ботов чата (для подсказок при вводе "/")
+app.get("/chats/:chatId/commands", authMiddleware, (req, res) => {
+  try {
+    const chat = getChatForMember(res, req.params.chatId, req.user.id);
+    if (!chat) return;
+
+    const commands = chat.participants
+      .filter((participantId) => bots.has(participantId))
+      .flatMap((botId) =>
+        bots.get(botId).commands.map((command) => ({
+          ...command,
+          botId,
+          botUsername: users.get(botId).username,
+        }))
+      );
+
+    res.json({
+      success: true,
+      commands,
+    });
+  } catch (error) {
+    console.error("Get chat commands error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// --- API ботов ---
+
+app.get("/bot/me", botAuthMiddleware, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      bot: toPublicBot(req.bot),
+    });
+  } catch (error) {
+    console.error("Bot me error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Чаты, в которые добавлен бот
+app.get("/bot/chats", botAuthMiddleware, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      chats: chats
+        .filter((chat) => chat.participants.includes(req.bot.id))
+        .map((chat) => ({
+          ...toWebhookChat(chat),
+          description: chat.description,
+          isAdmin: chat.admins.includes(req.bot.id),
+        })),
+    });
+  } catch (error) {
+    console.error("Bot chats error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Сообщение от имени бота: те же проверки и рассылка, что у POST /messages
+app.post("/bot/chats/:chatId/messages", botAuthMiddleware, (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.botSendMessage)) return;
+
+    const { message, duplicate, error } = sendChatMessage(
+      req.user,
+      req.params.chatId,
+      req.body
+    );
+
+    if (error) {
+      const { status, retryAfter, ...body } = error;
+      if (retryAfter) {
+        res.set("Retry-After", String(retryAfter));
+      }
+      return res.status(status).json({ success: false, ...body, retryAfter });
+    }
+
+    res.json({
+      success: true,
+      message,
+      duplicate,
+    });
+  } catch (error) {
+    console.error("Bot send message error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+app.get("/bot/commands", botAuthMiddleware, (req, res) => {
+  res.json({
+    success: true,
+    commands: req.bot.commands,
+  });
+});
+
+// Список команд бота заменяется целиком
+app.put("/bot/commands", botAuthMiddleware, (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.setBotCommands)) return;
+    const { bot } = req;
+
+    const seen = new Set();
+    bot.commands = req.body.commands.filter(({ command }) => {
+      if (seen.has(command)) return false;
+      seen.add(command);
+      return true;
+    });
+    bots.set(bot.id, bot);
+
+    res.json({
+      success: true,
+      commands: bot.commands,
+    });
+  } catch (error) {
+    console.error("Set bot commands error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Вебхук для обновлений бота (command, mention). Каждая установка выдает
+// новый секрет для проверки подписи
+app.put("/bot/webhook", botAuthMiddleware, async (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.setBotWebhook)) return;
+    const { bot } = req;
+
+    if (!(await isAllowedWebhookUrl(req.body.url))) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "url должен быть публичным адресом",
+      });
+    }
+
+    const webhook = webhooks.set(botWebhookId(bot.id), {
+      id: botWebhookId(bot.id),
+      chatId: null,
+      botId: bot.id,
+      url: req.body.url,
+      secret: generateWebhookSecret(),
+      events: ["command", "mention"],
+      createdBy: bot.id,
+      createdAt: new Date().toISOString(),
+      lastDeliveryAt: null,
+      lastError: null,
+    });
+
+    res.json({
+      success: true,
+      webhook: toPublicWebhook(webhook),
+      secret: webhook.secret,
+    });
+  } catch (error) {
+    console.error("Set bot webhook error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+app.delete("/bot/webhook", botAuthMiddleware, (req, res) => {
+  try {
+    webhooks.delete(botWebhookId(req.bot.id));
+    res.json({
+      success: true,
+      message: "Вебхук удален",
+    });
+  } catch (error) {
+    console.error("Delete bot webhook error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// --- Вебхуки чатов ---
+
+// Вебхук группы или канала (только администраторы); секрет для проверки
+// подписи возвращается только при создании
+app.post("/chats/:chatId/webhooks", authMiddleware, async (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.createWebhook)) return;
+    const chat = getGroupForMember(req, res);
+    if (!chat) return;
+
+    if (!chat.admins.includes(req.user.id)) {
+      return forbidden(res, "Управлять вебхуками могут только администраторы");
+    }
+
+    const chatWebhooks = webhooks.filter(
+      (webhook) => webhook.chatId === chat.id
+    );
+    if (chatWebhooks.length >= CHAT_MAX_WEBHOOKS) {
+      return res.status(400).json({
+        success: false,
+        code: "INVALID_OPERATION",
+        message: `Можно создать не более ${CHAT_MAX_WEBHOOKS} вебхуков`,
+      });
+    }
+    if (!(await isAllowedWebhookUrl(req.body.url))) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: "url должен быть публичным адресом",
+      });
+    }
+
+    const id = uuidv4();
+    const webhook = webhooks.set(id, {
+      id,
+      chatId: chat.id,
+      botId: null,
+      url: req.body.url,
+      secret: generateWebhookSecret(),
+      events: Array.from(new Set(req.body.events || WEBHOOK_EVENTS)),
+      createdBy: req.user.id,
+      createdAt: new Date().toISOString(),
+      lastDeliveryAt: null,
+      lastError: null,
+    });
+    audit(req, "chat.webhook_created", {
+      targetType: "chat",
+      targetId: chat.id,
+      details: { webhookId: id, url: webhook.url, events: webhook.events },
+    });
+
+    res.status(201).json({
+      success: true,
+      webhook: toPublicWebhook(webhook),
+      secret: webhook.secret,
+    });
+
+    console.log(`🪝 Webhook added to ${chat.name} by ${req.user.username}`);
+  } catch (error) {
+    console.error("Create webhook error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+app.get("/chats/:chatId/webhooks", authMiddleware, (req, res) => {
+  try {
+    const chat = getGroupForMember(req, res);
+    if (!chat) return;
+
+    if (!chat.admins.includes(req.user.id)) {
+      return forbidden(res, "Управлять вебхуками могут только администраторы");
+    }
+
+    res.json({
+      success: true,
+      webhooks: webhooks
+        .filter((webhook) => webhook.chatId === chat.id)
+        .map(toPublicWebhook),
+    });
+  } catch (error) {
+    console.error("Get webhooks error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+app.delete("/chats/:chatId/webhooks/:webhookId", authMiddleware, (req, res) => {
+  try {
+    const chat = getGroupForMember(req, res);
+    if (!chat) return;
+
+    if (!chat.admins.includes(req.user.id)) {
+      return forbidden(res, "Управлять вебхуками могут только администраторы");
+    }
+
+    const webhook = webhooks.get(req.params.webhookId);
+    if (!webhook || webhook.chatId !== chat.id) {
+      return res.status(404).json({
+        success: false,
+        code: "WEBHOOK_NOT_FOUND",
+        message: "Вебхук не найден",
+      });
+    }
+
+    webhooks.delete(webhook.id);
+    audit(req, "chat.webhook_deleted", {
+      targetType: "chat",
+      targetId: chat.id,
+      details: { webhookId: webhook.id, url: webhook.url },
+    });
+
+    res.json({
+      success: true,
+      message: "Вебхук удален",
+    });
+  } catch (error) {
+    console.error("Delete webhook error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// === АДМИНИСТРИРОВАНИЕ И МОДЕРАЦИЯ ===
+
+// Глобальные роли: модератор разбирает жалобы и приостанавливает
+// пользователей и чаты, администратор также блокирует, удаляет и назначает роли
+const ROLE_LEVELS = { user: 0, moderator: 1, admin: 2 };
+// reportId -> { id, chatId, messageId, reporterId, reason, comment, status,
+//               message: { senderId, senderUsername, content, type,
+//                          attachments, timestamp },
+//               createdAt, resolvedBy, resolvedAt, action, note }
+const reports = store.collection("reports");
+const ADMIN_PAGE_SIZE = 50;
+
+const getRole = (user) => user.role || "user";
+
+const hasRole = (user, role) => ROLE_LEVELS[getRole(user)] >= ROLE_LEVELS[role];
+
+const requireRole = (role) => (req, res, next) => {
+  if (!hasRole(req.user, role)) {
+    return forbidden(res, "Недостаточно прав");
+  }
+  next();
+};
+
+// Действовать можно только в отношении пользователей с меньшей ролью
+const canModerate = (actor, target) =>
+  actor.id !== target.id &&
+  ROLE_LEVELS[getRole(actor)] > ROLE_LEVELS[getRole(target)];
+
+// ADMIN_USERNAMES=alice,bob — администраторы, назначаемые при запуске
+const applyConfiguredAdmins = () => {
+  (process.env.ADMIN_USERNAMES || "")
+    .split(",")
+    .map((username) => username.trim())
+    .filter(Boolean)
+    .forEach((username) => {
+      const user = findUserByUsername(username);
+      if (!user) {
+        console.warn(`⚠️  ADMIN_USERNAMES: user @${username} not found`);
+        return;
+      }
+      if (user.role === "admin") return;
+
+      user.role = "admin";
+      users.set(user.id, user);
+      console.log(`🛡️  @${user.username} is now admin`);
+    });
+};
+
+const getUserStatus = (user) => {
+  if (user.bannedAt) return "banned";
+  return getAccountRestriction(user) ? "suspended" : "active";
+};
+
+const toAdminUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  displayName: user.displayName,
+  avatar: user.avatar,
+  role: getRole(user),
+  isBot: Boolean(user.isBot),
+  status: getUserStatus(user),
+  emailVerified: Boolean(user.emailVerified),
+  isOnline: onlineUsers.has(user.id),
+  lastSeen: user.lastSeen,
+  createdAt: user.createdAt,
+  bannedAt: user.bannedAt || null,
+  bannedBy: user.bannedBy || null,
+  banReason: user.banReason || null,
+  suspendedUntil: user.suspendedUntil || null,
+  suspendedBy: user.suspendedBy || null,
+  suspensionReason: user.suspensionReason || null,
+});
+
+const toAdminChat = (chat) => ({
+  id: chat.id,
+  type: chat.type,
+  name: chat.name,
+  isPublic: Boolean(chat.isPublic),
+  owner: chat.owner,
+  participantsCount: chat.participants.length,
+  messagesCount: (messages.get(chat.id) || []).length,
+  status: chat.suspendedAt ? "suspended" : "active",
+  suspendedAt: chat.suspendedAt || null,
+  suspendedBy: chat.suspendedBy || null,
+  suspensionReason: chat.suspensionReason || null,
+  createdAt: chat.createdAt,
+});
+
+// Страница списка для админских маршрутов (limit/offset)
+const paginateList = (items, { limit = ADMIN_PAGE_SIZE, offset = 0 }) => ({
+  items: items.slice(offset, offset + limit),
+  pagination: { total: items.length, limit, offset },
+});
+
+// Завершает все сессии пользователя и отключает его сокеты
+const disconnectUser = (userId) => {
+  revokeAllSessions(userId);
+  io.in(userRoom(userId)).disconnectSockets(true);
+};
+
+const suspendUser = (target, actor, hours, reason = "") => {
+  target.suspendedUntil = new Date(
+    Date.now() + hours * 60 * 60 * 1000
+  ).toISOString();
+  target.suspendedBy = actor.id;
+  target.suspensionReason = reason;
+  users.set(target.id, target);
+  disconnectUser(target.id);
+
+  console.log(
+    `⏸️  @${target.username} suspended for ${hours}h by ${actor.username}`
+  );
+};
+
+const banUser = (target, actor, reason = "") => {
+  target.bannedAt = new Date().toISOString();
+  target.bannedBy = actor.id;
+  target.banReason = reason;
+  users.set(target.id, target);
+  disconnectUser(target.id);
+
+  // Отложенные сообщения заблокированного пользователя не отправляются
+  scheduledJobs
+    .filter(
+      (job) => job.type === "send-message" && job.payload.senderId === target.id
+    )
+    .forEach((job) => {
+      scheduler.cancel(job.id);
+      releaseReservedAttachments(job.payload.attachments);
+    });
+
+  console.log(`🚫 @${target.username} banned by ${actor.username}`);
+};
+
+// Удаление аккаунта: пользователь исключается из групп, его боты удаляются.
+// Личные чаты и сообщения остаются у собеседников
+const deleteUserAccount = (user) => {
+  if (user.isBot) {
+    removeBot(bots.get(user.id));
+    return;
+  }
+
+  bots.filter((bot) => bot.ownerId === user.id).forEach(removeBot);
+  disconnectUser(user.id);
+  removeFromGroupChats(user.id, `${user.displayName} удален(а)`);
+  pushSubscriptions
+    .filter((subscription) => subscription.userId === user.id)
+    .forEach((subscription) => pushSubscriptions.delete(subscription.id));
+  contacts.delete(user.id);
+  blocks.delete(user.id);
+  users.delete(user.id);
+};
+
+// Удаление чата вместе с историей, вложениями и связанными записями
+const deleteChat = (chat) => {
+  (messages.get(chat.id) || []).forEach((message) => {
+    unindexMentions(message);
+    releaseAttachments(message);
+    searchIndex.remove(message.id);
+  });
+  messages.delete(chat.id);
+
+  emitToParticipants(chat, "chat-removed", {
+    chatId: chat.id,
+    reason: "deleted",
+  });
+  io.in(chat.id).socketsLeave(chat.id);
+
+  const keyPrefix = `${chat.id}:`;
+  [readState, chatSettings, joinRequests].forEach((collection) => {
+    Array.from(collection.keys())
+      .filter((key) => key.startsWith(keyPrefix))
+      .forEach((key) => collection.delete(key));
+  });
+  invites
+    .filter((invite) => invite.chatId === chat.id)
+    .forEach((invite) => invites.delete(invite.token));
+  webhooks
+    .filter((webhook) => webhook.chatId === chat.id)
+    .forEach((webhook) => webhooks.delete(webhook.id));
+  scheduledJobs
+    .filter((job) => job.payload.chatId === chat.id)
+    .forEach((job) => {
+      scheduler.cancel(job.id);
+      if (job.type === "send-message") {
+        releaseReservedAttachments(job.payload.attachments);
+      }
+    });
+
+  chats.delete(chat.id);
+};
+
+// Пользователь, над которым модератор может выполнить действие;
+// иначе отправляет 404/403 и возвращает null
+const getModeratedUser = (req, res) => {
+  const target = users.get(req.params.userId);
+  if (!target) {
+    res.status(404).json({
+      success: false,
+      code: "USER_NOT_FOUND",
+      message: "Пользователь не найден",
+    });
+    return null;
+  }
+  if (!canModerate(req.user, target)) {
+    forbidden(res, "Недостаточно прав для действий с этим пользователем");
+    return null;
+  }
+  return target;
+};
+
+const getAdminChat = (req, res) => {
+  const chat = chats.get(req.params.chatId);
+  if (!chat) {
+    res.status(404).json({
+      success: false,
+      code: "CHAT_NOT_FOUND",
+      message: "Чат не найден",
+    });
+    return null;
+  }
+  return chat;
+};
+
+// --- Жалобы ---
+
+// Жалоба на сообщение из чата, в котором состоит пользователь.
+// Содержимое сохраняется в жалобе на случай удаления или правки
+app.post("/reports", authMiddleware, (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.createReport)) return;
+    const { chatId, messageId, reason, comment = "" } = req.body;
+    const userId = req.user.id;
+
+    const chat = getChatForMember(res, chatId, userId);
+    if (!chat) return;
+
+    const message = findMessage(chatId, messageId);
+    if (!message || message.deleted || message.type === "system") {
+      return res.status(404).json({
+        success: false,
+        code: "MESSAGE_NOT_FOUND",
+        message: "Сообщение не найдено",
+      });
+    }
+
+    if (message.senderId === userId) {
+      return res.status(400).json({
+        success: false,
+        code: "INVALID_OPERATION",
+        message: "Нельзя пожаловаться на свое сообщение",
+      });
+    }
+
+    const existing = reports.find(
+      (report) =>
+        report.messageId === messageId &&
+        report.reporterId === userId &&
+        report.status === "open"
+    );
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        code: "ALREADY_REPORTED",
+        message: "Вы уже пожаловались на это сообщение",
+      });
+    }
+
+    const id = uuidv4();
+    const report = reports.set(id, {
+      id,
+      chatId,
+      messageId,
+      reporterId: userId,
+      reason,
+      comment,
+      status: "open",
+      message: {
+        senderId: message.senderId,
+        senderUsername: message.senderUsername,
+        content: message.content,
+        type: message.type,
+        attachments: message.attachments || [],
+        timestamp: message.timestamp,
+      },
+      createdAt: new Date().toISOString(),
+      resolvedBy: null,
+      resolvedAt: null,
+      action: null,
+      note: null,
+    });
+
+    audit(req, "report.created", {
+      targetType: "message",
+      targetId: messageId,
+      details: { reportId: id, chatId, reason },
+    });
+
+    // Онлайн-модераторы сразу видят новую жалобу в очереди
+    emitToUsers(
+      Array.from(onlineUsers).filter((id) => {
+        const user = users.get(id);
+        return user && hasRole(user, "moderator");
+      }),
+      "report-created",
+      report
+    );
+
+    res.status(201).json({
+      success: true,
+      report: { id: report.id, status: report.status },
+      message: "Жалоба отправлена",
+    });
+
+    console.log(`🚩 Message reported in ${chat.name} by ${req.user.username}`);
+  } catch (error) {
+    console.error("Create report error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Очередь модерации: открытые жалобы — от старых к новым,
+// разобранные — от недавно разобранных
+app.get(
+  "/admin/reports",
+  authMiddleware,
+  requireRole("moderator"),
+  (req, res) => {
+    try {
+      if (!validateRequest(req, res, schemas.adminListReports, "query")) return;
+      const { status = "open" } = req.query;
+
+      const list = reports
+        .filter((report) => report.status === status)
+        .sort((a, b) =>
+          status === "open"
+            ? a.createdAt.localeCompare(b.createdAt)
+            : b.resolvedAt.localeCompare(a.resolvedAt)
+        );
+      const { items, pagination } = paginateList(list, req.query);
+
+      res.json({
+        success: true,
+        reports: items.map((report) => ({
+          ...report,
+          // Сколько открытых жалоб на это же сообщение
+          reportsCount: reports.filter(
+            (other) =>
+              other.messageId === report.messageId && other.status === "open"
+          ).length,
+        })),
+        pagination,
+      });
+    } catch (error) {
+      console.error("Get reports error:", error);
+      res.status(500).json(SERVER_ERROR);
+    }
+  }
+);
+
+// Решение по жалобе; закрывает и остальные открытые жалобы на это сообщение
+app.post(
+  "/admin/reports/:reportId/resolve",
+  authMiddleware,
+  requireRole("moderator"),
+  (req, res) => {
+    try {
+      if (!validateRequest(req, res, schemas.resolveReport)) return;
+      const { action, note = "", suspendHours = 24 } = req.body;
+      const actor = req.user;
+
+      const report = reports.get(req.params.reportId);
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          code: "REPORT_NOT_FOUND",
+          message: "Жалоба не найдена",
+        });
+      }
+      if (report.status !== "open") {
+        return res.status(409).json({
+          success: false,
+          code: "REPORT_ALREADY_RESOLVED",
+          message: "Жалоба уже рассмотрена",
+        });
+      }
+
+      if (action === "delete_message") {
+        const chat = chats.get(report.chatId);
+        const message = chat && findMessage(chat.id, report.messageId);
+        if (message && !message.deleted) {
+          deleteMessage(chat, message, actor.id);
+          audit(req, "admin.message_deleted", {
+            targetType: "message",
+            targetId: message.id,
+            details: { chatId: chat.id, reportId: report.id },
+          });
+        }
+      }
+
+      if (action === "suspend_user" || action === "ban_user") {
+        const target = users.get(report.message.senderId);
+        if (!target) {
+          return res.status(404).json({
+            success: false,
+            code: "USER_NOT_FOUND",
+            message: "Пользователь не найден",
+          });
+        }
+        if (!canModerate(actor, target)) {
+          return forbidden(
+            res,
+            "Недостаточно прав для действий с этим пользователем"
+          );
+        }
+        if (action === "ban_user") {
+          if (!hasRole(actor, "admin")) {
+            return forbidden(res, "Блокировать может только администратор");
+          }
+          banUser(target, actor, note);
+          audit(req, "admin.user_banned", {
+            targetType: "user",
+            targetId: target.id,
+            details: { reason: note, reportId: report.id },
+          });
+        } else {
+          suspendUser(target, actor, suspendHours, note);
+          audit(req, "admin.user_suspended", {
+            targetType: "user",
+            targetId: target.id,
+            details: { hours: suspendHours, reason: note, reportId: report.id },
+          });
+        }
+      }
+
+      const resolvedAt = new Date().toISOString();
+      reports
+        .filter(
+          (other) =>
+            other.messageId === report.messageId && other.status === "open"
+        )
+        .forEach((other) => {
+          reports.set(other.id, {
+            ...other,
+            status: action === "dismiss" ? "dismissed" : "resolved",
+            resolvedBy: actor.id,
+            resolvedAt,
+            action,
+            note,
+          });
+        });
+      audit(req, "admin.report_resolved", {
+        targetType: "report",
+        targetId: report.id,
+        details: { action, note, messageId: report.messageId },
+      });
+
+      res.json({
+        success: true,
+        report: reports.get(report.id),
+      });
+
+      console.log(
+        `🛡️  Report ${report.id} resolved (${action}) by ${actor.username}`
+      );
+    } catch (error) {
+      console.error("Resolve report error:", error);
+      res.status(500).json(SERVER_ERROR);
+    }
+  }
+);
+
+// --- Пользователи ---
+
+app.get(
+  "/admin/users",
+  authMiddleware,
+  requireRole("moderator"),
+  (req, res) => {
+    try {
+      if (!validateRequest(req, res, schemas.adminListUsers, "query")) return;
+      const { q: query = "", role, status } = req.query;
+      const needle = query.toLowerCase();
+
+      const list = users
+        .filter(
+          (user) =>
+            user.username.toLowerCase().includes(needle) ||
+            user.displayName.toLowerCase().includes(needle) ||
+            user.email.toLowerCase().includes(needle)
+        )
+        .filter((user) => !role || getRole(user) === role)
+        .filter((user) => !status || getUserStatus(user) === status)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      const { items, pagination } = paginateList(list, req.query);
+
+      res.json({
+        success: true,
+        users: items.map(toAdminUser),
+        pagination,
+      });
+    } catch (error) {
+      console.error("Admin get users error:", error);
+      res.status(500).json(SERVER_ERROR);
+    }
+  }
+);
+
+app.get(
+  "/admin/users/:userId",
+  authMiddleware,
+  requireRole("moderator"),
+  (req, res) => {
+    try {
+      const user = users.get(req.params.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          code: "USER_NOT_FOUND",
+          message: "Пользователь не найден",
+        });
+      }
+
+      res.json({
+        success: true,
+        user: {
+          ...toAdminUser(user),
+          chatsCount: chats.filter((chat) =>
+            chat.participants.includes(user.id)
+          ).length,
+          reportsCount: reports.filter(
+            (report) => report.message.senderId === user.id
+          ).length,
+          sessionsCount: sessions.filter((s) => s.userId === user.id).length,
+        },
+      });
+    } catch (error) {
+      console.error("Admin get user error:", error);
+      res.status(500).json(SERVER_ERROR);
+    }
+  }
+);
+
+// Временная приостановка: сессии завершаются, вход закрыт до suspendedUntil
+app.post(
+  "/admin/users/:userId/suspend",
+  authMiddleware,
+  requireRole("moderator"),
+  (req, res) => {
+    try {
+      if (!validateRequest(req, res, schemas.suspendUser)) return;
+      const target = getModeratedUser(req, res);
+      if (!target) return;
+
+      suspendUser(target, req.user, req.body.hours, req.body.reason);
+      audit(req, "admin.user_suspended", {
+        targetType: "user",
+        targetId: target.id,
+        details: { hours: req.body.hours, reason: req.body.reason || "" },
+      });
+
+      res.json({
+        success: true,
+        user: toAdminUser(target),
+      });
+    } catch (error) {
+      console.error("Suspend user error:", error);
+      res.status(500).json(SERVER_ERROR);
+    }
+  }
+);
+
+app.delete(
+  "/admin/users/:userId/suspend",
+  authMiddleware,
+  requireRole("moderator"),
+  (req, res) => {
+    try {
+      const target = getModeratedUser(req, res);
+      if (!target) return;
+
+      delete target.suspendedUntil;
+      delete target.suspendedBy;
+      delete target.suspensionReason;
+      users.set(target.id, target);
+      audit(req, "admin.user_unsuspended", {
+        targetType: "user",
+        targetId: target.id,
+      });
+
+      res.json({
+        success: true,
+        user: toAdminUser(target),
+      });
+    } catch (error) {
+      console.error("Unsuspend user error:", error);
+      res.status(500).json(SERVER_ERROR);
+    }
+  }
+);
+
+app.post(
+  "/admin/users/:userId/ban",
+  authMiddleware,
+  requireRole("admin"),
+  (req, res) => {
+    try {
+      if (!validateRequest(req, res, schemas.banUser)) return;
+      const target = getModeratedUser(req, res);
+      if (!target) return;
+
+      banUser(target, req.user, req.body.reason);
+      audit(req, "admin.user_banned", {
+        targetType: "user",
+        targetId: target.id,
+        details: { reason: req.body.reason || "" },
+      });
+
+      res.json({
+        success: true,
+        user: toAdminUser(target),
+      });
+    } catch (error) {
+      console.error("Ban user error:", error);
+      res.status(500).json(SERVER_ERROR);
+    }
+  }
+);
+
+app.delete(
+  "/admin/users/:userId/ban",
+  authMiddleware,
+  requireRole("admin"),
+  (req, res) => {
+    try {
+      const target = getModeratedUser(req, res);
+      if (!target) return;
+
+      delete target.bannedAt;
+      delete target.bannedBy;
+      delete target.banReason;
+      users.set(target.id, target);
+      audit(req, "admin.user_unbanned", {
+        targetType: "user",
+        targetId: target.id,
+      });
+
+      res.json({
+        success: true,
+        user: toAdminUser(target),
+      });
+    } catch (error) {
+      console.error("Unban user error:", error);
+      res.status(500).json(SERVER_ERROR);
+    }
+  }
+);
+
+app.put(
+  "/admin/users/:userId/role",
+  authMiddleware,
+  requireRole("admin"),
+  (req, res) => {
+    try {
+      if (!validateRequest(req, res, schemas.setRole)) return;
+      const target = getModeratedUser(req, res);
+      if (!target) return;
+
+      if (target.isBot && req.body.role !== "user") {
+        return res.status(400).json({
+          success: false,
+          code: "INVALID_OPERATION",
+          message: "Боту нельзя назначить роль модератора или администратора",
+        });
+      }
+
+      const previousRole = getRole(target);
+      target.role = req.body.role;
+      users.set(target.id, target);
+      audit(req, "admin.role_changed", {
+        targetType: "user",
+        targetId: target.id,
+        details: { from: previousRole, to: target.role },
+      });
+
+      res.json({
+        success: true,
+        user: toAdminUser(target),
+      });
+
+      console.log(
+        `🛡️  @${target.username} role set to ${target.role} by ${req.user.username}`
+      );
+    } catch (error) {
+      console.error("Set role error:", error);
+      res.status(500).json(SERVER_ERROR);
+    }
+  }
+);
+
+app.delete(
+  "/admin/users/:userId",
+  authMiddleware,
+  requireRole("admin"),
+  (req, res) => {
+    try {
+      const target = getModeratedUser(req, res);
+      if (!target) return;
+
+      deleteUserAccount(target);
+      audit(req, "admin.user_deleted", {
+        targetType: "user",
+        targetId: target.id,
+        details: { username: target.username, email: target.email },
+      });
+
+      res.json({
+        success: true,
+        message: "Пользователь удален",
+      });
+
+      console.log(
+        `🗑️  User @${target.username} deleted by ${req.user.username}`
+      );
+    } catch (error) {
+      console.error("Delete user error:", error);
+      res.status(500).json(SERVER_ERROR);
+    }
+  }
+);
+
+// --- Чаты ---
+
+app.get(
+  "/admin/chats",
+  authMiddleware,
+  requireRole("moderator"),
+  (req, res) => {
+    try {
+      if (!validateRequest(req, res, schemas.adminListChats, "query")) return;
+      const { q: query = "", type, status } = req.query;
+      const needle = query.toLowerCase();
+
+      const list = chats
+        .filter((chat) => (chat.name || "").toLowerCase().includes(needle))
+        .filter((chat) => !type || chat.type === type)
+        .filter(
+          (chat) =>
+            !status || (chat.suspendedAt ? "suspended" : "active") === status
+        )
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      const { items, pagination } = paginateList(list, req.query);
+
+      res.json({
+        success: true,
+        chats: items.map(toAdminChat),
+        pagination,
+      });
+    } catch (error) {
+      console.error("Admin get chats error:", error);
+      res.status(500).json(SERVER_ERROR);
+    }
+  }
+);
+
+// Приостановленный чат доступен участникам только для чтения
+// и не виден в поиске публичных чатов
+app.post(
+  "/admin/chats/:chatId/suspend",
+  authMiddleware,
+  requireRole("moderator"),
+  (req, res) => {
+    try {
+      if (!validateRequest(req, res, schemas.suspendChat)) return;
+      const chat = getAdminChat(req, res);
+      if (!chat) return;
+
+      chat.suspendedAt = new Date().toISOString();
+      chat.suspendedBy = req.user.id;
+      chat.suspensionReason = req.body.reason || "";
+      chats.set(chat.id, chat);
+      emitToParticipants(chat, "chat-updated", chat);
+      audit(req, "admin.chat_suspended", {
+        targetType: "chat",
+        targetId: chat.id,
+        details: { reason: chat.suspensionReason },
+      });
+
+      res.json({
+        success: true,
+        chat: toAdminChat(chat),
+      });
+
+      console.log(`⏸️  Chat ${chat.name} suspended by ${req.user.username}`);
+    } catch (error) {
+      console.error("Suspend chat error:", error);
+      res.status(500).json(SERVER_ERROR);
+    }
+  }
+);
+
+app.delete(
+  "/admin/chats/:chatId/suspend",
+  authMiddleware,
+  requireRole("moderator"),
+  (req, res) => {
+    try {
+      const chat = getAdminChat(req, res);
+      if (!chat) return;
+
+      delete chat.suspendedAt;
+      delete chat.suspendedBy;
+      delete chat.suspensionReason;
+      chats.set(chat.id, chat);
+      emitToParticipants(chat, "chat-updated", chat);
+      audit(req, "admin.chat_unsuspended", {
+        targetType: "chat",
+        targetId: chat.id,
+      });
+
+      res.json({
+        success: true,
+        chat: toAdminChat(chat),
+      });
+    } catch (error) {
+      console.error("Unsuspend chat error:", error);
+      res.status(500).json(SERVER_ERROR);
+    }
+  }
+);
 
-      messages.get(chatId).push(systemMessage);
+app.delete(
+  "/admin/chats/:chatId",
+  authMiddleware,
+  requireRole("admin"),
+  (req, res) => {
+    try {
+      const chat = getAdminChat(req, res);
+      if (!chat) return;
 
-      io.emit("chat-created", newChat);
+      deleteChat(chat);
+      audit(req, "admin.chat_deleted", {
+        targetType: "chat",
+        targetId: chat.id,
+        details: { type: chat.type, name: chat.name || null },
+      });
 
       res.json({
         success: true,
-        chat: newChat,
-        message: "Группа создана",
+        message: "Чат удален",
       });
 
-      console.log(`👥 Group created: ${name} by ${req.user.username}`);
-    } else {
+      console.log(`🗑️  Chat ${chat.name} deleted by ${req.user.username}`);
+    } catch (error) {
+      console.error("Delete chat error:", error);
+      res.status(500).json(SERVER_ERROR);
+    }
+  }
+);
+
+// --- Журнал аудита ---
+
+const AUDIT_PAGE_SIZE = 100;
+
+// Журнал с фильтрами, от новых записей к старым; before — seq последней
+// полученной записи. format=jsonl выгружает все подходящие записи
+// в хронологическом порядке, по одной JSON-строке на запись
+app.get("/audit", authMiddleware, requireRole("admin"), (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.auditLog, "query")) return;
+    const {
+      action,
+      actorId,
+      targetId,
+      ip,
+      from,
+      to,
+      before,
+      limit = AUDIT_PAGE_SIZE,
+      format = "json",
+    } = req.query;
+
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = to ? Date.parse(to) : null;
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
       return res.status(400).json({
         success: false,
-        message: "Неподдерживаемый тип чата",
+        code: "VALIDATION_ERROR",
+        message: "Некорректная дата в параметрах from / to",
       });
     }
+
+    // action без точки — вся категория: "auth" включает "auth.login"
+    const matches = (entry) => {
+      if (action) {
+        const matchesAction = action.includes(".")
+          ? entry.action === action
+          : entry.action.startsWith(`${action}.`);
+        if (!matchesAction) return false;
+      }
+      if (actorId && entry.actorId !== actorId) return false;
+      if (targetId && entry.targetId !== targetId) return false;
+      if (ip && entry.ip !== ip) return false;
+
+      const time = Date.parse(entry.timestamp);
+      if (fromTime !== null && time < fromTime) return false;
+      if (toTime !== null && time > toTime) return false;
+      return true;
+    };
+
+    if (format === "jsonl") {
+      const date = new Date().toISOString().slice(0, 10);
+      res.set("Content-Type", "application/x-ndjson; charset=utf-8");
+      res.set(
+        "Content-Disposition",
+        `attachment; filename="audit-${date}.jsonl"`
+      );
+      res.send(
+        auditLog
+          .filter(matches)
+          .map((entry) => `${JSON.stringify(entry)}\n`)
+          .join("")
+      );
+      return;
+    }
+
+    const { entries, hasMore } = auditLog.query(matches, { before, limit });
+
+    res.json({
+      success: true,
+      entries,
+      hasMore,
+      nextBefore: hasMore ? entries[entries.length - 1].seq : null,
+    });
   } catch (error) {
-    console.error("Create chat error:", error);
-    res.status(500).json({ success: false, message: "Ошибка сервера" });
+    console.error("Get audit log error:", error);
+    res.status(500).json(SERVER_ERROR);
   }
 });
 
-// Получение сообщений чата
-app.get("/messages/:chatId", authMiddleware, (req, res) => {
+// === КОНТАКТЫ И БЛОКИРОВКИ ===
+
+// Настройки приватности
+app.get("/auth/privacy", authMiddleware, (req, res) => {
+  res.json({
+    success: true,
+    privacy: getPrivacy(req.user),
+  });
+});
+
+app.put("/auth/privacy", authMiddleware, (req, res) => {
   try {
-    const { chatId } = req.params;
-    const userId = req.user.id;
-    const page = Number.parseInt(req.query.page) || 1;
-    const limit = Number.parseInt(req.query.limit) || 50;
+    if (!validateRequest(req, res, schemas.updatePrivacy)) return;
+    const user = req.user;
 
-    // Проверяем, что чат существует
-    const chat = chats.get(chatId);
-    if (!chat) {
-      return res.status(404).json({
-        success: false,
-        message: "Чат не найден",
-      });
-    }
+    user.privacy = { ...getPrivacy(user), ...req.body };
+    users.set(user.id, user);
+    audit(req, "user.privacy_updated", {
+      targetType: "user",
+      targetId: user.id,
+      details: { privacy: user.privacy },
+    });
 
-    // Проверяем, что пользователь является участником чата
-    if (!chat.participants.includes(userId)) {
-      return res.status(403).json({
-        success: false,
-        message: "Нет доступа к этому чату",
-      });
-    }
+    // Собеседники сразу получают список онлайн с учетом новых настроек
+    broadcastPresence(user.id);
 
-    // Получаем сообщения с пагинацией
-    const chatMessages = messages.get(chatId) || [];
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + limit;
-    const paginatedMessages = chatMessages
-      .slice(-endIndex, -startIndex || undefined)
-      .reverse();
+    res.json({
+      success: true,
+      message: "Настройки приватности обновлены",
+      privacy: user.privacy,
+    });
+  } catch (error) {
+    console.error("Privacy update error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Пользователь для добавления в контакты или блокировки; иначе — ответ с ошибкой
+const getTargetUser = (req, res, targetId) => {
+  if (targetId === req.user.id) {
+    res.status(400).json({
+      success: false,
+      code: "INVALID_OPERATION",
+      message: "Нельзя выполнить действие над собой",
+    });
+    return null;
+  }
+
+  const target = users.get(targetId);
+  if (!target) {
+    res.status(404).json({
+      success: false,
+      code: "USER_NOT_FOUND",
+      message: "Пользователь не найден",
+    });
+    return null;
+  }
+  return target;
+};
+
+// Список контактов
+app.get("/contacts", authMiddleware, (req, res) => {
+  try {
+    const userId = req.user.id;
+    const contactList = getContactList(userId)
+      .map((contactId) => users.get(contactId))
+      .filter(Boolean)
+      .map((contact) => toPublicUser(contact, userId));
 
     res.json({
       success: true,
-      messages: paginatedMessages.reverse(),
-      pagination: {
-        page,
-        limit,
-        total: chatMessages.length,
-        hasMore: startIndex + limit < chatMessages.length,
-      },
+      contacts: contactList,
     });
   } catch (error) {
-    console.error("Get messages error:", error);
-    res.status(500).json({ success: false, message: "Ошибка сервера" });
+    console.error("Get contacts error:", error);
+    res.status(500).json(SERVER_ERROR);
   }
 });
 
-// Отправка сообщ��ния
-app.post("/messages/:chatId", authMiddleware, (req, res) => {
+// Добавление в контакты
+app.post("/contacts", authMiddleware, (req, res) => {
   try {
-    const { chatId } = req.params;
-    const { content, type = "text" } = req.body;
+    if (!validateRequest(req, res, schemas.userReference)) return;
     const userId = req.user.id;
+    const target = getTargetUser(req, res, req.body.userId);
+    if (!target) return;
 
-    if (!content || !content.trim()) {
-      return res.status(400).json({
-        success: false,
-        message: "Сообщение не может быть пустым",
-      });
+    if (!hasContact(userId, target.id)) {
+      contacts.set(userId, [...getContactList(userId), target.id]);
+      // Настройки «только контакты» у пользователя могли открыть ему статус
+      broadcastPresence(userId);
     }
 
-    // Проверяем, что чат существует
-    const chat = chats.get(chatId);
-    if (!chat) {
+    res.json({
+      success: true,
+      contact: toPublicUser(target, userId),
+      message: "Контакт добавлен",
+    });
+  } catch (error) {
+    console.error("Add contact error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Удаление из контактов
+app.delete("/contacts/:userId", authMiddleware, (req, res) => {
+  try {
+    const userId = req.user.id;
+    const contactId = req.params.userId;
+
+    if (!hasContact(userId, contactId)) {
       return res.status(404).json({
         success: false,
-        message: "Чат не найден",
+        code: "USER_NOT_FOUND",
+        message: "Пользователь не найден в контактах",
       });
     }
 
-    // Проверяем, что пользователь является участником чата
-    if (!chat.participants.includes(userId)) {
-      return res.status(403).json({
-        success: false,
-        message: "Нет доступа к этому чату",
-      });
-    }
+    contacts.set(
+      userId,
+      getContactList(userId).filter((id) => id !== contactId)
+    );
+    broadcastPresence(userId);
 
-    // Создаем новое сообщение
-    const messageId = uuidv4();
-    const newMessage = {
-      id: messageId,
-      chatId,
-      senderId: userId,
-      senderUsername: req.user.username,
-      senderDisplayName: req.user.displayName,
-      content: content.trim(),
-      type,
-      timestamp: new Date().toISOString(),
-      edited: false,
-    };
+    res.json({
+      success: true,
+      message: "Контакт удален",
+    });
+  } catch (error) {
+    console.error("Remove contact error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
 
-    // Добавляем сообщение в хранилище
-    if (!messages.has(chatId)) {
-      messages.set(chatId, []);
-    }
-    messages.get(chatId).push(newMessage);
+// Список заблокированных
+app.get("/blocks", authMiddleware, (req, res) => {
+  try {
+    const blockedUsers = getBlockList(req.user.id)
+      .map((blockedId) => users.get(blockedId))
+      .filter(Boolean)
+      .map((blocked) => ({
+        id: blocked.id,
+        username: blocked.username,
+        displayName: blocked.displayName,
+        avatar: blocked.avatar,
+      }));
 
-    // Отправляем сообщение через Socket.IO всем участникам чата
-    chat.participants.forEach((participantId) => {
-      const socketId = userSockets.get(participantId);
-      if (socketId) {
-        io.to(socketId).emit("new-message", newMessage);
-      }
+    res.json({
+      success: true,
+      users: blockedUsers,
     });
+  } catch (error) {
+    console.error("Get blocks error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Блокировка пользователя: он не может писать в личный чат,
+// найти заблокировавшего в поиске и видеть его онлайн-статус
+app.post("/blocks", authMiddleware, (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.userReference)) return;
+    const userId = req.user.id;
+    const target = getTargetUser(req, res, req.body.userId);
+    if (!target) return;
+
+    if (!hasBlocked(userId, target.id)) {
+      blocks.set(userId, [...getBlockList(userId), target.id]);
+      broadcastPresence(userId);
+    }
 
     res.json({
       success: true,
-      message: newMessage,
+      message: "Пользователь заблокирован",
     });
 
-    console.log(
-      `💬 Message sent in ${chat.name}: ${
-        req.user.username
-      }: ${content.substring(0, 50)}...`
+    console.log(`🚫 ${req.user.username} blocked ${target.username}`);
+  } catch (error) {
+    console.error("Block user error:", error);
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// Разблокировка
+app.delete("/blocks/:userId", authMiddleware, (req, res) => {
+  try {
+    const userId = req.user.id;
+    const blockedId = req.params.userId;
+
+    if (!hasBlocked(userId, blockedId)) {
+      return res.status(404).json({
+        success: false,
+        code: "USER_NOT_FOUND",
+        message: "Пользователь не заблокирован",
+      });
+    }
+
+    blocks.set(
+      userId,
+      getBlockList(userId).filter((id) => id !== blockedId)
     );
+    broadcastPresence(userId);
+
+    res.json({
+      success: true,
+      message: "Пользователь разблокирован",
+    });
   } catch (error) {
-    console.error("Send message error:", error);
-    res.status(500).json({ success: false, message: "Ошибка сервера" });
+    console.error("Unblock user error:", error);
+    res.status(500).json(SERVER_ERROR);
   }
 });
 
@@ -647,6 +6837,7 @@ app.post("/messages/:chatId", authMiddleware, (req, res) => {
 // Поиск пользователей
 app.get("/users/search", authMiddleware, (req, res) => {
   try {
+    if (!validateRequest(req, res, schemas.searchUsers, "query")) return;
     const { q: query } = req.query;
     const userId = req.user.id;
 
@@ -657,23 +6848,16 @@ app.get("/users/search", authMiddleware, (req, res) => {
       });
     }
 
-    const searchResults = Array.from(users.values())
+    const searchResults = users
       .filter(
         (user) =>
           user.id !== userId && // Исключаем текущего пользователя
           (user.username.toLowerCase().includes(query.toLowerCase()) ||
-            user.displayName.toLowerCase().includes(query.toLowerCase()))
+            user.displayName.toLowerCase().includes(query.toLowerCase())) &&
+          isSearchableBy(user, userId)
       )
       .slice(0, 10)
-      .map((user) => ({
-        id: user.id,
-        username: user.username,
-        displayName: user.displayName,
-        avatar: user.avatar,
-        status: user.status,
-        isOnline: onlineUsers.has(user.id),
-        lastSeen: user.lastSeen,
-      }));
+      .map((user) => toPublicUser(user, userId));
 
     res.json({
       success: true,
@@ -681,25 +6865,120 @@ app.get("/users/search", authMiddleware, (req, res) => {
     });
   } catch (error) {
     console.error("Search users error:", error);
-    res.status(500).json({ success: false, message: "Ошибка сервера" });
+    res.status(500).json(SERVER_ERROR);
+  }
+});
+
+// === СИНХРОНИЗАЦИЯ ===
+
+// Изменения после курсора since: клиент применяет их по порядку
+// и сохраняет cursor для следующего запроса
+app.get("/sync", authMiddleware, (req, res) => {
+  try {
+    if (!validateRequest(req, res, schemas.sync, "query")) return;
+    const { since = 0, limit = SYNC_PAGE_SIZE } = req.query;
+
+    res.json({
+      success: true,
+      ...getChangesSince(req.user.id, since, limit),
+    });
+  } catch (error) {
+    console.error("Sync error:", error);
+    res.status(500).json(SERVER_ERROR);
   }
 });
 
+// Неизвестный маршрут
+app.use((req, res) => {
+  res.status(404).json({
+    success: false,
+    code: "NOT_FOUND",
+    message: "Маршрут не найден",
+  });
+});
+
+// Некорректный JSON в теле запроса и прочие необработанные ошибки.
+// Express распознает обработчик ошибок по четырем параметрам
+app.use((error, req, res, _next) => {
+  if (error.type === "entity.parse.failed") {
+    return res.status(400).json({
+      success: false,
+      code: "INVALID_JSON",
+      message: "Некорректный JSON в теле запроса",
+    });
+  }
+
+  console.error("Unhandled route error:", error);
+  res.status(500).json(SERVER_ERROR);
+});
+
 // === SOCKET.IO ОБРАБОТЧИКИ ===
 
 io.on("connection", (socket) => {
   console.log(`🔌 Socket connected: ${socket.id}`);
 
+  // Ошибки обработки событий отправляются клиенту как socket-error
+  const emitSocketError = (event, body) => {
+    socket.emit("socket-error", { event, ...body });
+  };
+
+  // Проверка данных события по схеме; null — данные некорректны
+  const parsePayload = (event, schema, data) => {
+    const { value, errors } = validate(schema, data);
+    if (errors.length > 0) {
+      emitSocketError(event, validationErrorBody(errors));
+      return null;
+    }
+    return value;
+  };
+
+  // Чат, в котором состоит пользователь сокета; иначе — socket-error
+  const getMemberChat = (event, chatId) => {
+    const chat = chats.get(chatId);
+    if (!chat) {
+      emitSocketError(event, {
+        success: false,
+        code: "CHAT_NOT_FOUND",
+        message: "Чат не найден",
+      });
+      return null;
+    }
+    if (!chat.participants.includes(socket.userId)) {
+      emitSocketError(event, {
+        success: false,
+        code: "CHAT_ACCESS_DENIED",
+        message: "Нет доступа к этому чату",
+      });
+      return null;
+    }
+    return chat;
+  };
+
   // Аутентификация через Socket.IO
   socket.on("authenticate", (data) => {
     try {
-      const { token } = data;
-      const decoded = jwt.verify(token, JWT_SECRET);
-      const user = users.get(decoded.userId);
+      const { value, errors } = validate(schemas.socketAuthenticate, data);
+      if (errors.length > 0) {
+        return socket.emit("authenticated", validationErrorBody(errors));
+      }
+
+      const { user, session, error, code } = verifyToken(value.token);
+      const restriction = user && getAccountRestriction(user);
 
-      if (user) {
+      if (restriction) {
+        const { status: _, ...body } = restriction;
+        socket.emit("authenticated", { success: false, ...body });
+        socket.disconnect(true);
+      } else if (socket.userId) {
+        // Повторная аутентификация того же сокета не меняет присутствие
+        socket.emit("authenticated", { success: socket.userId === user?.id });
+      } else if (user) {
         socket.userId = user.id;
-        userSockets.set(user.id, socket.id);
+        socket.join(userRoom(user.id));
+        socket.join(sessionRoom(session.id));
+
+        const connections = (connectionCounts.get(user.id) || 0) + 1;
+        connectionCounts.set(user.id, connections);
         onlineUsers.add(user.id);
 
         user.isOnline = true;
@@ -708,8 +6987,15 @@ io.on("connection", (socket) => {
 
         socket.emit("authenticated", { success: true });
 
-        // Отправляем обновленный список онлайн пользователей
-        io.emit("users-online", Array.from(onlineUsers));
+        // Клиент с сохраненным курсором сразу получает пропущенные изменения
+        if (value.since !== undefined) {
+          socket.emit("sync", getChangesSince(user.id, value.since));
+        }
+
+        // Первое подключение — отправляем обновленный список онлайн пользователей
+        if (connections === 1) {
+          broadcastPresence(user.id);
+        }
 
         console.log(
           `✅ Socket authenticated: ${user.displayName} (@${user.username})`
@@ -717,12 +7003,14 @@ io.on("connection", (socket) => {
       } else {
         socket.emit("authenticated", {
           success: false,
-          message: "Пользователь не найден",
+          code,
+          message: error,
         });
       }
     } catch (error) {
       socket.emit("authenticated", {
         success: false,
+        code: "INVALID_TOKEN",
         message: "Недействительный токен",
       });
     }
@@ -730,31 +7018,125 @@ io.on("connection", (socket) => {
 
   // Присоединение к чату
   socket.on("join-chat", (data) => {
-    const { chatId } = data;
-    if (socket.userId) {
-      const chat = chats.get(chatId);
-      if (chat && chat.participants.includes(socket.userId)) {
-        socket.join(chatId);
-        console.log(`📥 User ${socket.userId} joined chat ${chatId}`);
-      }
+    if (!socket.userId) return;
+    const payload = parsePayload("join-chat", schemas.socketChat, data);
+    if (!payload) return;
+
+    const chat = getMemberChat("join-chat", payload.chatId);
+    if (chat) {
+      socket.join(chat.id);
+      console.log(`📥 User ${socket.userId} joined chat ${chat.id}`);
     }
   });
 
   // Покидание чата
   socket.on("leave-chat", (data) => {
-    const { chatId } = data;
-    if (socket.userId) {
-      socket.leave(chatId);
-      console.log(`📤 User ${socket.userId} left chat ${chatId}`);
+    if (!socket.userId) return;
+    const payload = parsePayload("leave-chat", schemas.socketChat, data);
+    if (!payload) return;
+
+    socket.leave(payload.chatId);
+    console.log(`📤 User ${socket.userId} left chat ${payload.chatId}`);
+  });
+
+  // Отметка сообщений как прочитанных
+  socket.on("mark-read", (data) => {
+    if (!socket.userId) return;
+    const payload = parsePayload("mark-read", schemas.socketMarkRead, data);
+    if (!payload) return;
+
+    const chat = getMemberChat("mark-read", payload.chatId);
+    if (!chat) return;
+
+    // read-updated получат все устройства пользователя
+    const result = readMessages(chat, socket.userId, payload.messageId);
+    if (!result) {
+      emitSocketError("mark-read", {
+        success: false,
+        code: "MESSAGE_NOT_FOUND",
+        message: "Сообщение не найдено",
+      });
+    }
+  });
+
+  // Догрузка изменений (например, при hasMore) с ответом через ack
+  socket.on("sync", (data, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    if (!socket.userId) {
+      return reply({
+        success: false,
+        code: "UNAUTHENTICATED",
+        message: "Сокет не аутентифицирован",
+      });
+    }
+
+    const { value, errors } = validate(schemas.socketSync, data);
+    if (errors.length > 0) {
+      return reply(validationErrorBody(errors));
+    }
+
+    reply({
+      success: true,
+      ...getChangesSince(socket.userId, value.since, value.limit),
+    });
+  });
+
+  // Отправка сообщения с подтверждением (ack)
+  socket.on("send-message", (data, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    try {
+      if (!socket.userId) {
+        return reply({
+          success: false,
+          code: "UNAUTHENTICATED",
+          message: "Сокет не аутентифицирован",
+        });
+      }
+
+      const { value, errors } = validate(schemas.socketSendMessage, data);
+      if (errors.length > 0) {
+        return reply(validationErrorBody(errors));
+      }
+
+      const { chatId, ...input } = value;
+      const sender = users.get(socket.userId);
+      const { message, duplicate, error } = sendChatMessage(
+        sender,
+        chatId,
+        input
+      );
+
+      if (error) {
+        const { status: _, ...body } = error;
+        return reply({ success: false, ...body });
+      }
+
+      // id и timestamp от сервера позволяют заменить оптимистичную запись
+      reply({
+        success: true,
+        id: message.id,
+        timestamp: message.timestamp,
+        clientMessageId: message.clientMessageId,
+        duplicate,
+        message,
+      });
+    } catch (error) {
+      console.error("Socket send message error:", error);
+      reply(SERVER_ERROR);
     }
   });
 
   // Пользователь печатает
   socket.on("typing", (data) => {
-    const { chatId, isTyping } = data;
-    if (socket.userId) {
+    const payload = parsePayload("typing", schemas.socketTyping, data);
+    if (payload && socket.userId) {
+      // Лишние события typing просто отбрасываются
+      if (!typingLimiter.consume(socket.userId).allowed) return;
+
+      const { chatId, isTyping } = payload;
       const user = users.get(socket.userId);
-      if (user) {
+      const chat = chats.get(chatId);
+      if (user && chat && chat.participants.includes(socket.userId)) {
         socket.to(chatId).emit("user-typing", {
           userId: socket.userId,
           username: user.username,
@@ -769,43 +7151,109 @@ io.on("connection", (socket) => {
   socket.on("disconnect", () => {
     if (socket.userId) {
       const user = users.get(socket.userId);
-      if (user) {
-        user.isOnline = false;
-        user.lastSeen = new Date().toISOString();
-        users.set(socket.userId, user);
+      const connections = (connectionCounts.get(socket.userId) || 1) - 1;
 
+      if (connections > 0) {
+        connectionCounts.set(socket.userId, connections);
+      } else {
+        connectionCounts.delete(socket.userId);
         onlineUsers.delete(socket.userId);
-        userSockets.delete(socket.userId);
 
-        // Отправляем обновленный список онлайн пользователей
-        io.emit("users-online", Array.from(onlineUsers));
+        if (user) {
+          user.isOnline = false;
+          user.lastSeen = new Date().toISOString();
+          users.set(socket.userId, user);
 
-        console.log(
-          `❌ Socket disconnected: ${user.displayName} (@${user.username})`
-        );
+          console.log(
+            `❌ Socket disconnected: ${user.displayName} (@${user.username})`
+          );
+        }
+
+        // Последнее подключение закрыто — пользователь офлайн
+        broadcastPresence(socket.userId);
       }
     }
   });
 });
 
-// Инициализация демо данных
-createDemoUsers().then(() => {
-  // Запуск сервера
-  const PORT = process.env.PORT || 3001;
-  server.listen(PORT, () => {
-    console.log(`🚀 ACTO uim Server running on port ${PORT}`);
-    console.log(`💬 Dashboard: http://localhost:${PORT}`);
-    console.log(`🏥 Health check: http://localhost:${PORT}`);
-    console.log(`📚 API Documentation: http://localhost:${PORT}`);
-    console.log(`🔐 Demo users: alice, bob, charlie (password: 123456)`);
+// Инициализация хранилища и миграции (включая демо данные)
+const bootstrap = async () => {
+  await store.init();
+  await auditLog.init();
+  await runMigrations(store);
+  applyConfiguredAdmins();
+
+  Array.from(messages.values()).forEach((chatMessages) => {
+    chatMessages.forEach((message) => searchIndex.add(message));
   });
-});
+  console.log(`🔎 Search index built: ${searchIndex.size} messages`);
 
-// Обработка ошибок
-process.on("uncaughtException", (error) => {
-  console.error("🚨 Uncaught Exception:", error);
-});
+  if (!JWT_SECRET) {
+    const meta = store.collection("meta");
+    JWT_SECRET =
+      meta.get("jwtSecret") ||
+      meta.set("jwtSecret", crypto.randomBytes(48).toString("hex"));
+    console.warn(
+      "⚠️  JWT_SECRET is not set, using generated secret from store"
+    );
+  }
 
-process.on("unhandledRejection", (reason, promise) => {
-  console.error("🚨 Unhandled Rejection at:", promise, "reason:", reason);
-});
+  pruneExpiredTokens();
+  pruneClientMessageIds();
+  pruneChanges();
+  pruneOrphanAttachments();
+  pruneLinkPreviews();
+  setInterval(() => {
+    pruneExpiredTokens();
+    pruneClientMessageIds();
+    pruneChanges();
+    pruneOrphanAttachments();
+    pruneLinkPreviews();
+  }, 60 * 60 * 1000).unref();
+
+  notificationQueue.start();
+  scheduler.start();
+  webhookQueue.start();
+};
+
+// При запуске файла сервер поднимается сразу; при require (интеграционные
+// тесты) модуль только отдает app и bootstrap
+if (require.main === module) {
+  bootstrap()
+    .then(() => {
+      // Запуск сервера
+      const PORT = process.env.PORT || 3001;
+      server.listen(PORT, () => {
+        console.log(`🚀 ACTO uim Server running on port ${PORT}`);
+        console.log(`💬 Dashboard: http://localhost:${PORT}`);
+        console.log(`🏥 Health check: http://localhost:${PORT}`);
+        console.log(`📚 API Documentation: http://localhost:${PORT}`);
+        console.log(`🔐 Demo users: alice, bob, charlie (password: 123456)`);
+      });
+    })
+    .catch((error) => {
+      // Без хранилища сервер работать не может (например, файл поврежден)
+      console.error("🚨 Startup failed:", error);
+      process.exit(1);
+    });
+
+  // Сохранение данных при остановке
+  const shutdown = () => {
+    store.close();
+    process.exit(0);
+  };
+
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  // Обработка ошибок
+  process.on("uncaughtException", (error) => {
+    console.error("🚨 Uncaught Exception:", error);
+  });
+
+  process.on("unhandledRejection", (reason, promise) => {
+    console.error("🚨 Unhandled Rejection at:", promise, "reason:", reason);
+  });
+}
+
+module.exports = { app, server, io, bootstrap };
@@ -0,0 +1,99 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Журнал аудита: записи только добавляются, изменить или удалить их нельзя.
+// Запись: { seq, id, timestamp, action, actorId, actorUsername, targetType,
+//           targetId, ip, userAgent, details }, seq растет монотонно.
+
+// Журнал в памяти: теряется при перезапуске (удобно для тестов)
+class MemoryAuditLog {
+  constructor() {
+    this.entries = [];
+  }
+
+  async init() {}
+
+  get lastSeq() {
+    return this.entries.length > 0
+      ? this.entries[this.entries.length - 1].seq
+      : 0;
+  }
+
+  append(entry) {
+    // Служебные поля идут последними: вызывающий код не может их подменить
+    const record = Object.freeze({
+      ...entry,
+      seq: this.lastSeq + 1,
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+    });
+    this.persist(record);
+    this.entries.push(record);
+    return record;
+  }
+
+  persist() {}
+
+  // Записи под predicate от новых к старым; before — seq, с которого
+  // продолжить выдачу. Возвращает { entries, hasMore }
+  query(predicate, { before, limit }) {
+    const entries = [];
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      const entry = this.entries[i];
+      if (before !== undefined && entry.seq >= before) continue;
+      if (!predicate(entry)) continue;
+      if (entries.length === limit) return { entries, hasMore: true };
+      entries.push(entry);
+    }
+    return { entries, hasMore: false };
+  }
+
+  // Все записи под predicate в хронологическом порядке (для выгрузки)
+  filter(predicate) {
+    return this.entries.filter(predicate);
+  }
+}
+
+// Журнал в файле JSON lines: каждая запись дописывается строкой сразу,
+// при запуске файл читается целиком
+class FileAuditLog extends MemoryAuditLog {
+  constructor({ file }) {
+    super();
+    this.file = file;
+  }
+
+  async init() {
+    if (!fs.existsSync(this.file)) return;
+
+    const raw = await fs.promises.readFile(this.file, "utf8");
+    raw.split("\n").forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        this.entries.push(Object.freeze(JSON.parse(line)));
+      } catch (error) {
+        console.warn(`⚠️  Audit log: malformed line ${index + 1} skipped`);
+      }
+    });
+  }
+
+  persist(record) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.appendFileSync(this.file, `${JSON.stringify(record)}\n`);
+  }
+}
+
+const createAuditLog = ({ driver = "file", file } = {}) => {
+  switch (driver) {
+    case "memory":
+      return new MemoryAuditLog();
+    case "file":
+      return new FileAuditLog({
+        file: file || path.join(process.cwd(), "data", "audit.jsonl"),
+      });
+    default:
+      throw new Error(`Unknown audit log driver: ${driver}`);
+  }
+};
+
+module.exports = { MemoryAuditLog, FileAuditLog, createAuditLog };
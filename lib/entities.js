@@ -0,0 +1,99 @@
+// Разбор текста сообщения на сущности: команды ботов, упоминания, хэштеги,
+// ссылки и простую разметку. Текст не изменяется, сущность указывает на фрагмент
+// через offset и length (индексы строки JavaScript, UTF-16).
+// Для разметки offset/length описывают текст между маркерами.
+
+const MARKDOWN_PATTERNS = [
+  { type: "pre", pattern: /```([\s\S]+?)```/g, marker: 3 },
+  { type: "code", pattern: /`([^`\n]+)`/g, marker: 1 },
+  { type: "bold", pattern: /\*\*([^*\n]+)\*\*/g, marker: 2 },
+  { type: "strikethrough", pattern: /~~([^~\n]+)~~/g, marker: 2 },
+  {
+    type: "italic",
+    pattern: /(?<![*\w])[*_]([^*_\n]+)[*_](?![*\w])/g,
+    marker: 1,
+  },
+];
+
+const MENTION_PATTERN = /(?<![\w@])@([a-zA-Z0-9_]{3,32})(?!\w)/g;
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_#&])#([\p{L}\p{N}_]{1,64})/gu;
+// Команда боту в начале сообщения: /deploy или /deploy@ci_bot
+const COMMAND_PATTERN =
+  /^\/([a-zA-Z0-9_]{1,32})(?:@([a-zA-Z0-9_]{3,32}))?(?!\S)/;
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"'`]+/gi;
+// Знаки препинания в конце ссылки обычно относятся к предложению
+const URL_TRAILING_PUNCTUATION = /[.,;:!?)\]}]+$/;
+
+const overlaps = (range, ranges) =>
+  ranges.some(
+    (other) =>
+      range.offset < other.offset + other.length &&
+      other.offset < range.offset + range.length
+  );
+
+const parseEntities = (content) => {
+  if (!content) return [];
+  const entities = [];
+
+  // Внутри кода остальные сущности не ищутся
+  const codeRanges = [];
+  for (const { type, pattern, marker } of MARKDOWN_PATTERNS) {
+    for (const match of content.matchAll(pattern)) {
+      const span = { offset: match.index, length: match[0].length };
+      if (overlaps(span, codeRanges)) continue;
+      if (type === "pre" || type === "code") codeRanges.push(span);
+
+      entities.push({
+        type,
+        offset: match.index + marker,
+        length: match[1].length,
+      });
+    }
+  }
+
+  const commandMatch = content.match(COMMAND_PATTERN);
+  const commandRanges = [];
+  if (commandMatch) {
+    const range = { offset: 0, length: commandMatch[0].length };
+    commandRanges.push(range);
+    entities.push({
+      type: "command",
+      ...range,
+      command: commandMatch[1].toLowerCase(),
+      username: commandMatch[2] ? commandMatch[2].toLowerCase() : null,
+    });
+  }
+
+  const urlRanges = [];
+  for (const match of content.matchAll(URL_PATTERN)) {
+    const url = match[0].replace(URL_TRAILING_PUNCTUATION, "");
+    const range = { offset: match.index, length: url.length };
+    if (overlaps(range, codeRanges)) continue;
+
+    urlRanges.push(range);
+    entities.push({ type: "url", ...range, url });
+  }
+
+  // Упоминания и хэштеги внутри ссылок (якоря, userinfo) не учитываются
+  const skipRanges = [...codeRanges, ...commandRanges, ...urlRanges];
+
+  for (const match of content.matchAll(MENTION_PATTERN)) {
+    const range = { offset: match.index, length: match[0].length };
+    if (overlaps(range, skipRanges)) continue;
+    entities.push({
+      type: "mention",
+      ...range,
+      username: match[1].toLowerCase(),
+    });
+  }
+
+  for (const match of content.matchAll(HASHTAG_PATTERN)) {
+    const range = { offset: match.index, length: match[0].length };
+    if (overlaps(range, skipRanges)) continue;
+    entities.push({ type: "hashtag", ...range, tag: match[1].toLowerCase() });
+  }
+
+  return entities.sort((a, b) => a.offset - b.offset);
+};
+
+module.exports = { parseEntities };
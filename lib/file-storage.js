@@ -0,0 +1,65 @@
+const fs = require("fs");
+const path = require("path");
+
+// Драйвер файлового хранилища работает с ключами вида "<id>/<имя>".
+// Интерфейс: save(key, buffer), createReadStream(key), delete(key), exists(key).
+// Для S3 и т.п. достаточно добавить драйвер с теми же методами.
+
+// Файлы на локальном диске (по умолчанию data/uploads)
+class LocalDiskStorage {
+  constructor({ dir }) {
+    this.dir = dir;
+  }
+
+  // Ключ не может выйти за пределы каталога хранилища
+  resolve(key) {
+    const filePath = path.resolve(this.dir, key);
+    if (!filePath.startsWith(path.resolve(this.dir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  // Опустевший каталог вложения удаляется вместе с последним файлом
+  async delete(key) {
+    const filePath = this.resolve(key);
+    await fs.promises.rm(filePath, { force: true });
+
+    const dir = path.dirname(filePath);
+    if (dir !== path.resolve(this.dir)) {
+      await fs.promises.rmdir(dir).catch(() => {});
+    }
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolve(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+const createFileStorage = ({ driver = "local", dir } = {}) => {
+  switch (driver) {
+    case "local":
+      return new LocalDiskStorage({
+        dir: dir || path.join(process.cwd(), "data", "uploads"),
+      });
+    default:
+      throw new Error(`Unknown file storage driver: ${driver}`);
+  }
+};
+
+module.exports = { LocalDiskStorage, createFileStorage };
@@ -0,0 +1,132 @@
+const { requestUrl } = require("./public-url");
+
+// Получение превью ссылок. Fetcher: fetch(url) -> { url, title, description,
+// image, siteName } или null. Для работы без сети используется StubFetcher.
+
+const MAX_REDIRECTS = 3;
+
+const decodeHtml = (text) =>
+  text
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&")
+    .trim();
+
+const readMeta = (html, property) => {
+  const patterns = [
+    new RegExp(
+      `<meta[^>]+(?:property|name)=["']${property}["'][^>]*content=["']([^"']*)["']`,
+      "i"
+    ),
+    new RegExp(
+      `<meta[^>]+content=["']([^"']*)["'][^>]*(?:property|name)=["']${property}["']`,
+      "i"
+    ),
+  ];
+  for (const pattern of patterns) {
+    const match = html.match(pattern);
+    if (match) return decodeHtml(match[1]);
+  }
+  return null;
+};
+
+// Загрузка HTML-страницы и разбор Open Graph / <title>
+class HttpFetcher {
+  constructor({ timeoutMs = 5000, maxBytes = 512 * 1024 } = {}) {
+    this.timeoutMs = timeoutMs;
+    this.maxBytes = maxBytes;
+  }
+
+  async fetch(url) {
+    let currentUrl = url;
+    let response;
+
+    // Редиректы проходим вручную: requestUrl проверяет каждый адрес
+    for (let i = 0; i <= MAX_REDIRECTS; i++) {
+      response = await requestUrl(currentUrl, {
+        headers: { "User-Agent": "ACTO-uim-LinkPreview/1.0" },
+        timeoutMs: this.timeoutMs,
+      });
+
+      const { location } = response.headers;
+      if (response.statusCode < 300 || response.statusCode >= 400 || !location)
+        break;
+      response.resume();
+      currentUrl = new URL(location, currentUrl).toString();
+    }
+
+    const contentType = response.headers["content-type"] || "";
+    const ok = response.statusCode >= 200 && response.statusCode < 300;
+    if (!ok || !contentType.includes("text/html")) {
+      response.resume();
+      return null;
+    }
+
+    const html = await this.readLimited(response);
+    const title =
+      readMeta(html, "og:title") ||
+      (html.match(/<title[^>]*>([^<]*)<\/title>/i)?.[1] || "").trim();
+    if (!title) return null;
+
+    const image = readMeta(html, "og:image");
+    return {
+      url,
+      title: decodeHtml(title).substring(0, 200),
+      description: (
+        readMeta(html, "og:description") ||
+        readMeta(html, "description") ||
+        ""
+      ).substring(0, 500),
+      image: image ? new URL(image, currentUrl).toString() : null,
+      siteName: readMeta(html, "og:site_name") || new URL(currentUrl).hostname,
+    };
+  }
+
+  // Читаем не больше maxBytes: метаданные находятся в начале страницы
+  async readLimited(response) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response) {
+      chunks.push(chunk);
+      size += chunk.length;
+      if (size >= this.maxBytes) break;
+    }
+    response.destroy();
+    return Buffer.concat(chunks).toString("utf8");
+  }
+}
+
+// Превью без сети: заголовок — имя хоста (локальная разработка, тесты)
+class StubFetcher {
+  async fetch(url) {
+    const { hostname } = new URL(url);
+    return {
+      url,
+      title: hostname,
+      description: "",
+      image: null,
+      siteName: hostname,
+    };
+  }
+}
+
+const createLinkPreviewFetcher = ({ driver = "http", timeoutMs } = {}) => {
+  switch (driver) {
+    case "http":
+      return new HttpFetcher({ timeoutMs });
+    case "stub":
+      return new StubFetcher();
+    case "none":
+      return null;
+    default:
+      throw new Error(`Unknown link preview fetcher: ${driver}`);
+  }
+};
+
+module.exports = {
+  HttpFetcher,
+  StubFetcher,
+  createLinkPreviewFetcher,
+};
@@ -0,0 +1,65 @@
+const fs = require("fs");
+const path = require("path");
+
+// Транспорт получает письмо { to, subject, text } и доставляет его.
+// Для реальной почты достаточно добавить транспорт с тем же методом send.
+
+// Вывод писем в консоль (локальная разработка)
+class ConsoleTransport {
+  async send(mail) {
+    console.log(
+      `📧 Mail to ${mail.to}: ${mail.subject}\n${mail.text
+        .split("\n")
+        .map((line) => `   ${line}`)
+        .join("\n")}`
+    );
+  }
+}
+
+// Запись писем в файл по одному JSON на строку (удобно для тестов)
+class FileTransport {
+  constructor({ file }) {
+    this.file = file;
+  }
+
+  async send(mail) {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.appendFile(
+      this.file,
+      `${JSON.stringify({ ...mail, sentAt: new Date().toISOString() })}\n`
+    );
+  }
+}
+
+class Mailer {
+  constructor({ transport, from }) {
+    this.transport = transport;
+    this.from = from;
+  }
+
+  async send({ to, subject, text }) {
+    await this.transport.send({ from: this.from, to, subject, text });
+  }
+}
+
+const createMailer = ({
+  transport = "console",
+  file,
+  from = "ACTO uim <no-reply@acto.uim>",
+} = {}) => {
+  switch (transport) {
+    case "console":
+      return new Mailer({ transport: new ConsoleTransport(), from });
+    case "file":
+      return new Mailer({
+        transport: new FileTransport({
+          file: file || path.join(process.cwd(), "data", "outbox.jsonl"),
+        }),
+        from,
+      });
+    default:
+      throw new Error(`Unknown mail transport: ${transport}`);
+  }
+};
+
+module.exports = { Mailer, ConsoleTransport, FileTransport, createMailer };
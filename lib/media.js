@@ -0,0 +1,64 @@
+const sharp = require("sharp");
+
+// Разрешенные типы вложений и их вид (определяет тип сообщения по умолчанию)
+const ATTACHMENT_MIME_TYPES = {
+  "image/jpeg": "image",
+  "image/png": "image",
+  "image/gif": "image",
+  "image/webp": "image",
+  "video/mp4": "video",
+  "video/webm": "video",
+  "audio/mpeg": "audio",
+  "audio/ogg": "audio",
+  "audio/webm": "audio",
+  "audio/mp4": "audio",
+  "application/pdf": "file",
+  "application/zip": "file",
+  "text/plain": "file",
+};
+
+const THUMBNAIL_SIZE = 320;
+
+const getAttachmentKind = (mime) => ATTACHMENT_MIME_TYPES[mime] || null;
+
+// multer (busboy) читает имя файла без указанной кодировки как latin1,
+// а браузеры присылают его в UTF-8. Имя перекодируется, если его байты —
+// корректный UTF-8; имена, уже прочитанные как Unicode, не меняются
+const decodeFileName = (name) => {
+  if (/[^\u0000-\u00ff]/.test(name)) return name;
+  const decoded = Buffer.from(name, "latin1").toString("utf8");
+  return decoded.includes("\ufffd") ? name : decoded;
+};
+
+// Размеры изображения и превью в JPEG (не больше THUMBNAIL_SIZE по стороне).
+// Файлы, которые не удалось разобрать как изображение, возвращают null
+const processImage = async (buffer) => {
+  try {
+    const image = sharp(buffer, { animated: false });
+    const { width, height } = await image.metadata();
+    const { data, info } = await image
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, {
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .jpeg({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      width,
+      height,
+      thumbnail: { buffer: data, width: info.width, height: info.height },
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  ATTACHMENT_MIME_TYPES,
+  THUMBNAIL_SIZE,
+  getAttachmentKind,
+  decodeFileName,
+  processImage,
+};
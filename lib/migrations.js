@@ -0,0 +1,130 @@
+const bcrypt = require("bcryptjs");
+const { DEFAULT_PRIVACY } = require("./schemas");
+
+// Демо пользователи создаются только в пустом хранилище
+const seedDemoUsers = async (store) => {
+  const users = store.collection("users");
+  if (users.size > 0) return false;
+
+  const demoUsers = [
+    {
+      id: "demo_alice",
+      username: "alice",
+      email: "alice@acto.uim",
+      displayName: "Alice Johnson",
+      avatar: "👩",
+      status: "Привет! Я Alice 👋",
+      bio: "Люблю программирование и дизайн",
+    },
+    {
+      id: "demo_bob",
+      username: "bob",
+      email: "bob@acto.uim",
+      displayName: "Bob Smith",
+      avatar: "👨",
+      status: "Разработчик и геймер 🎮",
+      bio: "Full-stack разработчик",
+    },
+    {
+      id: "demo_charlie",
+      username: "charlie",
+      email: "charlie@acto.uim",
+      displayName: "Charlie Brown",
+      avatar: "🧑",
+      status: "Люблю музыку и искусство 🎨",
+      bio: "Музыкант и художник",
+    },
+  ];
+
+  for (const demoUser of demoUsers) {
+    users.set(demoUser.id, {
+      ...demoUser,
+      password: await bcrypt.hash("123456", 10),
+      emailVerified: true,
+      isOnline: false,
+      lastSeen: new Date().toISOString(),
+      createdAt: new Date().toISOString(),
+    });
+  }
+
+  return true;
+};
+
+// Миграции выполняются по порядку, номер последней хранится в коллекции meta
+const migrations = [
+  {
+    version: 1,
+    name: "seed-demo-users",
+    up: async (store) => {
+      if (await seedDemoUsers(store)) {
+        console.log("✅ Demo users created");
+      }
+    },
+  },
+  {
+    version: 2,
+    name: "add-email-verified",
+    up: async (store) => {
+      const users = store.collection("users");
+      Array.from(users.values())
+        .filter((user) => user.emailVerified === undefined)
+        .forEach((user) => {
+          users.set(user.id, { ...user, emailVerified: false });
+        });
+    },
+  },
+  {
+    version: 3,
+    name: "add-privacy-settings",
+    up: async (store) => {
+      const users = store.collection("users");
+      Array.from(users.values())
+        .filter((user) => user.privacy === undefined)
+        .forEach((user) => {
+          users.set(user.id, { ...user, privacy: { ...DEFAULT_PRIVACY } });
+        });
+    },
+  },
+  {
+    // GET /chats раньше записывал статус собеседника в общий объект чата
+    version: 4,
+    name: "strip-private-chat-presence",
+    up: async (store) => {
+      const chats = store.collection("chats");
+      Array.from(chats.values())
+        .filter((chat) => "isOnline" in chat || "lastSeen" in chat)
+        .forEach(({ isOnline: _, lastSeen: __, ...chat }) => {
+          chats.set(chat.id, chat);
+        });
+    },
+  },
+  {
+    version: 5,
+    name: "add-user-roles",
+    up: async (store) => {
+      const users = store.collection("users");
+      Array.from(users.values())
+        .filter((user) => user.role === undefined)
+        .forEach((user) => {
+          users.set(user.id, { ...user, role: "user" });
+        });
+    },
+  },
+];
+
+const runMigrations = async (store) => {
+  const meta = store.collection("meta");
+  const current = meta.get("schemaVersion") || 0;
+
+  for (const migration of migrations) {
+    if (migration.version <= current) continue;
+
+    await migration.up(store);
+    meta.set("schemaVersion", migration.version);
+    console.log(
+      `🗄️  Migration applied: ${migration.version} ${migration.name}`
+    );
+  }
+};
+
+module.exports = { migrations, runMigrations, seedDemoUsers };
@@ -0,0 +1,322 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { requestUrl } = require("./public-url");
+
+// Транспорт доставляет уведомление на одну подписку:
+// send(subscription, notification). Ошибка с permanent = true означает,
+// что подписка больше не действует и повторять доставку бессмысленно.
+
+const deliveryError = (message, permanent = false) =>
+  Object.assign(new Error(message), { permanent });
+
+// Параллельная доставка для очередей: задания одного получателя (ключа)
+// доставляются по очереди, разные получатели — параллельно, не больше
+// concurrency одновременно. Так зависший адрес занимает одно место и не
+// задерживает доставку остальным
+class DeliveryPool {
+  constructor({ concurrency = 10 } = {}) {
+    this.concurrency = concurrency;
+    this.activeKeys = new Set();
+  }
+
+  // Получатели, доставка которым идет с прошлого вызова, пропускаются:
+  // их новые задания попадут в следующий вызов
+  async run(items, keyOf, handler) {
+    const groups = new Map();
+    items.forEach((item) => {
+      const key = keyOf(item);
+      if (this.activeKeys.has(key)) return;
+      groups.set(key, [...(groups.get(key) || []), item]);
+    });
+
+    const pending = Array.from(groups.entries());
+    const worker = async () => {
+      for (let next = pending.shift(); next; next = pending.shift()) {
+        const [key, group] = next;
+        this.activeKeys.add(key);
+        try {
+          for (const item of group) {
+            await handler(item);
+          }
+        } finally {
+          this.activeKeys.delete(key);
+        }
+      }
+    };
+
+    const workers = Math.min(
+      pending.length,
+      Math.max(this.concurrency - this.activeKeys.size, 0)
+    );
+    await Promise.all(Array.from({ length: workers }, worker));
+  }
+}
+
+// Журнал уведомлений в консоли или JSONL-файле (локальная разработка, тесты)
+class LogTransport {
+  constructor({ file } = {}) {
+    this.file = file;
+  }
+
+  async send(subscription, notification) {
+    if (!this.file) {
+      console.log(
+        `🔔 Notification for ${subscription.userId}: ${notification.title} — ${notification.body}`
+      );
+      return;
+    }
+
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.appendFile(
+      this.file,
+      `${JSON.stringify({
+        subscriptionId: subscription.id,
+        userId: subscription.userId,
+        ...notification,
+        sentAt: new Date().toISOString(),
+      })}\n`
+    );
+  }
+}
+
+// POST уведомления в JSON на адрес подписки. Адреса во внутренней сети
+// отклоняются (allowPrivateUrls — только для локальной разработки)
+class WebhookTransport {
+  constructor({ timeoutMs = 5000, allowPrivateUrls = false } = {}) {
+    this.timeoutMs = timeoutMs;
+    this.allowPrivateUrls = allowPrivateUrls;
+  }
+
+  async send(subscription, notification) {
+    let response;
+    try {
+      response = await requestUrl(subscription.endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(notification),
+        timeoutMs: this.timeoutMs,
+        allowPrivateUrls: this.allowPrivateUrls,
+      });
+    } catch (error) {
+      // Запрещенный адрес не станет разрешенным — подписка удаляется
+      throw deliveryError(
+        `Webhook request failed: ${error.message}`,
+        error.code === "URL_NOT_ALLOWED"
+      );
+    }
+
+    response.resume();
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      throw deliveryError(
+        `Webhook responded with ${response.statusCode}`,
+        response.statusCode === 404 || response.statusCode === 410
+      );
+    }
+  }
+}
+
+// Web Push с VAPID-ключами (подписка браузера: endpoint и keys)
+class WebPushTransport {
+  constructor({ publicKey, privateKey, subject, ttlSeconds = 24 * 60 * 60 }) {
+    this.webPush = require("web-push");
+    this.publicKey = publicKey;
+    this.options = {
+      vapidDetails: { subject, publicKey, privateKey },
+      TTL: ttlSeconds,
+    };
+  }
+
+  async send(subscription, notification) {
+    try {
+      await this.webPush.sendNotification(
+        { endpoint: subscription.endpoint, keys: subscription.keys },
+        JSON.stringify(notification),
+        this.options
+      );
+    } catch (error) {
+      // 404/410 — браузер отозвал подписку
+      throw deliveryError(
+        error.message,
+        error.statusCode === 404 || error.statusCode === 410
+      );
+    }
+  }
+}
+
+// Очередь уведомлений. Задание — все недоставленные сообщения одного чата
+// для одного пользователя: новые сообщения дописываются в ожидающее задание,
+// а доставка откладывается на batchWindowMs, чтобы отправить одну сводку.
+// Неудачная доставка повторяется с растущей задержкой, после maxAttempts
+// задание переносится в deadLetters.
+//
+// Задание: { id, userId, chatId, messageIds, mentioned, createdAt,
+//            notBefore, attempts, nextAttemptAt, deliveredTo, lastError }
+class NotificationQueue {
+  constructor({
+    jobs,
+    deadLetters,
+    transports,
+    getSubscriptions,
+    removeSubscription,
+    shouldDeliver,
+    buildNotification,
+    batchWindowMs = 5000,
+    maxAttempts = 5,
+    retryBaseMs = 30 * 1000,
+    intervalMs = 1000,
+    concurrency = 10,
+  }) {
+    this.jobs = jobs;
+    this.deadLetters = deadLetters;
+    this.transports = transports;
+    this.getSubscriptions = getSubscriptions;
+    this.removeSubscription = removeSubscription;
+    this.shouldDeliver = shouldDeliver;
+    this.buildNotification = buildNotification;
+    this.batchWindowMs = batchWindowMs;
+    this.maxAttempts = maxAttempts;
+    this.retryBaseMs = retryBaseMs;
+    this.intervalMs = intervalMs;
+    this.pool = new DeliveryPool({ concurrency });
+  }
+
+  enqueue(userId, chatId, messageId, { mentioned = false } = {}) {
+    const id = `${userId}:${chatId}`;
+    const now = Date.now();
+    const job = this.jobs.get(id);
+
+    if (job) {
+      // Сводка обновилась — ее получат все подписки, в том числе уже получившие
+      job.messageIds.push(messageId);
+      job.mentioned = job.mentioned || mentioned;
+      job.deliveredTo = [];
+      return this.jobs.set(id, job);
+    }
+
+    return this.jobs.set(id, {
+      id,
+      userId,
+      chatId,
+      messageIds: [messageId],
+      mentioned,
+      createdAt: new Date(now).toISOString(),
+      notBefore: now + this.batchWindowMs,
+      attempts: 0,
+      nextAttemptAt: 0,
+      deliveredTo: [],
+      lastError: null,
+    });
+  }
+
+  start() {
+    this.timer = setInterval(() => {
+      this.process().catch((error) => {
+        console.error("Notification queue error:", error);
+      });
+    }, this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+  }
+
+  async process() {
+    const now = Date.now();
+    const due = this.jobs.filter(
+      (job) => job.notBefore <= now && job.nextAttemptAt <= now
+    );
+    await this.pool.run(
+      due,
+      (job) => job.userId,
+      (job) => this.deliver(job)
+    );
+  }
+
+  async deliver(job) {
+    if (!this.shouldDeliver(job)) {
+      this.jobs.delete(job.id);
+      return;
+    }
+
+    // Сообщения, пришедшие во время доставки, остаются в задании
+    const batchSize = job.messageIds.length;
+    const notification = this.buildNotification(job);
+    const subscriptions = this.getSubscriptions(job.userId).filter(
+      (subscription) => !job.deliveredTo.includes(subscription.id)
+    );
+    const errors = [];
+
+    // Подписки независимы: медленная не задерживает остальные
+    await Promise.all(
+      subscriptions.map(async (subscription) => {
+        const transport = this.transports[subscription.transport];
+        try {
+          if (!transport) {
+            throw deliveryError(
+              `Transport ${subscription.transport} is not configured`
+            );
+          }
+          await transport.send(subscription, notification);
+          job.deliveredTo.push(subscription.id);
+        } catch (error) {
+          if (error.permanent) {
+            this.removeSubscription(subscription.id);
+          } else {
+            errors.push(`${subscription.id}: ${error.message}`);
+          }
+        }
+      })
+    );
+
+    if (errors.length === 0) {
+      this.complete(job, batchSize);
+      return;
+    }
+
+    job.attempts += 1;
+    job.lastError = errors.join("; ");
+
+    if (job.attempts >= this.maxAttempts) {
+      this.jobs.delete(job.id);
+      this.deadLetters.set(crypto.randomUUID(), {
+        ...job,
+        failedAt: new Date().toISOString(),
+      });
+      console.warn(
+        `⚠️  Notification dead-lettered for ${job.userId} in ${job.chatId}: ${job.lastError}`
+      );
+      return;
+    }
+
+    job.nextAttemptAt = Date.now() + this.retryBaseMs * 2 ** (job.attempts - 1);
+    this.jobs.set(job.id, job);
+  }
+
+  complete(job, batchSize) {
+    if (job.messageIds.length === batchSize) {
+      this.jobs.delete(job.id);
+      return;
+    }
+
+    this.jobs.set(job.id, {
+      ...job,
+      messageIds: job.messageIds.slice(batchSize),
+      notBefore: Date.now() + this.batchWindowMs,
+      attempts: 0,
+      nextAttemptAt: 0,
+      deliveredTo: [],
+      lastError: null,
+    });
+  }
+}
+
+module.exports = {
+  DeliveryPool,
+  NotificationQueue,
+  LogTransport,
+  WebhookTransport,
+  WebPushTransport,
+  deliveryError,
+};
@@ -0,0 +1,89 @@
+// Курсорная пагинация истории чата (before / after / around)
+
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T/;
+
+// Индекс первого сообщения, отправленного не раньше (strict — строго позже) time.
+// История чата упорядочена по времени, поэтому используем бинарный поиск
+const findTimestampIndex = (chatMessages, time, strict = false) => {
+  let low = 0;
+  let high = chatMessages.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    const messageTime = new Date(chatMessages[middle].timestamp).getTime();
+    if (messageTime < time || (strict && messageTime === time)) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+};
+
+// Курсор — id сообщения или ISO-время. Возвращает { index, exact }:
+// exact = true, если курсор указывает на само сообщение; null — курсор не найден
+const resolveCursor = (chatMessages, cursor, strict) => {
+  const index = chatMessages.findIndex((m) => m.id === cursor);
+  if (index !== -1) return { index, exact: true };
+
+  if (ISO_TIMESTAMP_PATTERN.test(cursor)) {
+    const time = Date.parse(cursor);
+    if (!Number.isNaN(time)) {
+      return {
+        index: findTimestampIndex(chatMessages, time, strict),
+        exact: false,
+      };
+    }
+  }
+
+  return null;
+};
+
+// Страница истории относительно курсора:
+//   before — сообщения строго раньше курсора,
+//   after — строго позже курсора,
+//   around — окно вокруг курсора (само сообщение входит в страницу),
+//   без курсора — последние сообщения чата.
+// Границы страницы [start, end) не зависят от новых сообщений в конце истории
+const paginateMessages = (chatMessages, { before, after, around, limit }) => {
+  let start;
+  let end;
+
+  if (before) {
+    const cursor = resolveCursor(chatMessages, before);
+    if (!cursor) return null;
+    end = cursor.index;
+    start = Math.max(0, end - limit);
+  } else if (after) {
+    const cursor = resolveCursor(chatMessages, after, true);
+    if (!cursor) return null;
+    start = cursor.exact ? cursor.index + 1 : cursor.index;
+    end = Math.min(chatMessages.length, start + limit);
+  } else if (around) {
+    const cursor = resolveCursor(chatMessages, around);
+    if (!cursor) return null;
+    start = Math.max(0, cursor.index - Math.floor(limit / 2));
+    end = Math.min(chatMessages.length, start + limit);
+    start = Math.max(0, end - limit);
+  } else {
+    end = chatMessages.length;
+    start = Math.max(0, end - limit);
+  }
+
+  const page = chatMessages.slice(start, end);
+  const hasOlder = start > 0;
+  const hasNewer = end < chatMessages.length;
+
+  return {
+    page,
+    pagination: {
+      limit,
+      hasOlder,
+      hasNewer,
+      // Курсоры для запросов ?before=prevCursor и ?after=nextCursor
+      prevCursor: hasOlder && page.length > 0 ? page[0].id : null,
+      nextCursor: hasNewer && page.length > 0 ? page[page.length - 1].id : null,
+    },
+  };
+};
+
+module.exports = { paginateMessages, resolveCursor, findTimestampIndex };
@@ -0,0 +1,144 @@
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+
+// Запросы сервера к адресам, которые задают пользователи (вебхуки, превью
+// ссылок). Адреса локальной сети и самого сервера не запрашиваются:
+// проверяется и адрес в URL, и каждый адрес, полученный от DNS.
+
+const PRIVATE_IPV4 = [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+];
+
+const PRIVATE_IPV6 = [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["fec0::", 10], // site-local
+  ["ff00::", 8], // multicast
+  ["64:ff9b:1::", 48], // локальный NAT64
+  ["2001::", 32], // Teredo
+];
+
+// IPv6-адреса со встроенным IPv4 в последних 32 битах: IPv4-совместимые
+// (::a.b.c.d), IPv4-mapped (::ffff:a.b.c.d) и NAT64 (64:ff9b::a.b.c.d)
+const IPV4_EMBEDDING_PREFIXES = ["::", "::ffff:", "64:ff9b::"];
+
+const blockList = new net.BlockList();
+PRIVATE_IPV4.forEach(([address, prefix]) => {
+  blockList.addSubnet(address, prefix, "ipv4");
+  IPV4_EMBEDDING_PREFIXES.forEach((embedding) => {
+    blockList.addSubnet(`${embedding}${address}`, 96 + prefix, "ipv6");
+  });
+
+  // 6to4 (2002:aabb:ccdd::) — IPv4 в битах 16–48
+  const [a, b, c, d] = address.split(".").map(Number);
+  const hex = (high, low) => ((high << 8) | low).toString(16);
+  blockList.addSubnet(`2002:${hex(a, b)}:${hex(c, d)}::`, 16 + prefix, "ipv6");
+});
+PRIVATE_IPV6.forEach(([address, prefix]) => {
+  blockList.addSubnet(address, prefix, "ipv6");
+});
+
+// Не IP-адрес считается закрытым: проверять нечего
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return blockList.check(address, family === 4 ? "ipv4" : "ipv6");
+};
+
+const blockedUrlError = (message) =>
+  Object.assign(new Error(message), { code: "URL_NOT_ALLOWED" });
+
+const parseUrl = (url) => {
+  const target = new URL(url);
+  if (target.protocol !== "http:" && target.protocol !== "https:") {
+    throw blockedUrlError(`Unsupported protocol: ${target.protocol}`);
+  }
+  return target;
+};
+
+// Проверка адреса заранее (например, при сохранении вебхука), чтобы сразу
+// вернуть ошибку. Сам запрос все равно проверяет адрес в requestUrl
+const assertPublicUrl = async (url) => {
+  const { hostname } = parseUrl(url);
+  const host = hostname.replace(/^\[|\]$/g, "");
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.promises.lookup(host, { all: true });
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw blockedUrlError(`Private address is not allowed: ${hostname}`);
+  }
+};
+
+// lookup для http.request: соединение идет на те же адреса, что прошли
+// проверку, поэтому подмена ответа DNS между проверкой и запросом
+// (DNS rebinding) не помогает
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(
+        blockedUrlError(`Private address is not allowed: ${hostname}`)
+      );
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// HTTP(S)-запрос без редиректов. Ответ — http.IncomingMessage; тело нужно
+// прочитать или отбросить (response.resume()). timeoutMs ограничивает весь
+// запрос вместе с чтением тела. Ошибка с code = "URL_NOT_ALLOWED" —
+// адрес запрещен, повторять запрос бессмысленно
+const requestUrl = (
+  url,
+  {
+    method = "GET",
+    headers = {},
+    body,
+    timeoutMs = 5000,
+    allowPrivateUrls = false,
+  } = {}
+) =>
+  new Promise((resolve, reject) => {
+    const target = parseUrl(url);
+    const host = target.hostname.replace(/^\[|\]$/g, "");
+    if (!allowPrivateUrls && net.isIP(host) && isPrivateAddress(host)) {
+      throw blockedUrlError(
+        `Private address is not allowed: ${target.hostname}`
+      );
+    }
+
+    const client = target.protocol === "https:" ? https : http;
+    const request = client.request(
+      target,
+      {
+        method,
+        headers,
+        lookup: allowPrivateUrls ? undefined : publicLookup,
+        signal: AbortSignal.timeout(timeoutMs),
+      },
+      resolve
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+
+module.exports = {
+  isPrivateAddress,
+  assertPublicUrl,
+  requestUrl,
+};
@@ -0,0 +1,120 @@
+// Ограничение частоты запросов в памяти процесса.
+// RateLimiter считает события в фиксированном окне для каждого ключа,
+// LoginThrottle блокирует вход после серии ошибок с растущим временем блокировки.
+
+class RateLimiter {
+  constructor({ windowMs, max }) {
+    this.windowMs = windowMs;
+    this.max = max;
+    this.hits = new Map(); // key -> { count, resetAt }
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), windowMs);
+    this.cleanupTimer.unref();
+  }
+
+  // Учитывает cost событий; allowed = false, если они не помещаются
+  // в остаток лимита (тогда ничего не учитывается)
+  consume(key, cost = 1) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + this.windowMs };
+      this.hits.set(key, entry);
+    }
+
+    const allowed = entry.count + cost <= this.max;
+    if (allowed) entry.count += cost;
+
+    return {
+      allowed,
+      remaining: Math.max(0, this.max - entry.count),
+      retryAfter: allowed ? 0 : Math.ceil((entry.resetAt - now) / 1000),
+    };
+  }
+
+  reset(key) {
+    this.hits.delete(key);
+  }
+
+  cleanup() {
+    const now = Date.now();
+    this.hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) this.hits.delete(key);
+    });
+  }
+}
+
+class LoginThrottle {
+  constructor({ maxAttempts, baseLockoutMs, maxLockoutMs }) {
+    this.maxAttempts = maxAttempts;
+    this.baseLockoutMs = baseLockoutMs;
+    this.maxLockoutMs = maxLockoutMs;
+    this.attempts = new Map(); // key -> { failures, lockouts, lockedUntil }
+  }
+
+  // Сколько секунд осталось до конца блокировки (0 — вход разрешен)
+  check(key) {
+    const entry = this.attempts.get(key);
+    if (!entry || entry.lockedUntil <= Date.now()) return 0;
+    return Math.ceil((entry.lockedUntil - Date.now()) / 1000);
+  }
+
+  // Неудачная попытка; каждая следующая блокировка вдвое длиннее предыдущей
+  fail(key) {
+    const entry = this.attempts.get(key) || {
+      failures: 0,
+      lockouts: 0,
+      lockedUntil: 0,
+    };
+
+    entry.failures += 1;
+    if (entry.failures >= this.maxAttempts) {
+      const lockoutMs = Math.min(
+        this.baseLockoutMs * 2 ** entry.lockouts,
+        this.maxLockoutMs
+      );
+      entry.lockedUntil = Date.now() + lockoutMs;
+      entry.lockouts += 1;
+      entry.failures = 0;
+    }
+
+    this.attempts.set(key, entry);
+    return this.check(key);
+  }
+
+  succeed(key) {
+    this.attempts.delete(key);
+  }
+}
+
+// Express middleware: 429 с заголовком Retry-After при превышении лимита
+const rateLimit = (limiter, keyFn) => (req, res, next) => {
+  const { allowed, remaining, retryAfter } = limiter.consume(keyFn(req));
+
+  res.set("X-RateLimit-Limit", String(limiter.max));
+  res.set("X-RateLimit-Remaining", String(remaining));
+
+  if (!allowed) {
+    return sendRateLimited(res, retryAfter);
+  }
+
+  next();
+};
+
+const sendRateLimited = (
+  res,
+  retryAfter,
+  code = "RATE_LIMITED",
+  message = "Слишком много запросов, попробуйте позже"
+) => {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    code,
+    message,
+    retryAfter,
+  });
+};
+
+module.exports = { RateLimiter, LoginThrottle, rateLimit, sendRateLimited };
@@ -0,0 +1,75 @@
+const crypto = require("crypto");
+
+// Планировщик отложенных задач. Задания хранятся в коллекции хранилища,
+// поэтому переживают перезапуск: задания, срок которых наступил во время
+// простоя, выполняются при первой проверке после старта.
+//
+// Задание: { id, type, runAt, payload, createdAt }. Обработчик выбирается
+// по типу: handlers[type](job); ошибка обработчика записывается в лог,
+// повторно задание не выполняется.
+class Scheduler {
+  constructor({ jobs, handlers, intervalMs = 1000 }) {
+    this.jobs = jobs;
+    this.handlers = handlers;
+    this.intervalMs = intervalMs;
+    this.processing = false;
+  }
+
+  // runAt — Date, ISO-строка или время в мс; id задается, если задание
+  // нужно потом найти или отменить по известному ключу
+  schedule(type, runAt, payload, id = crypto.randomUUID()) {
+    return this.jobs.set(id, {
+      id,
+      type,
+      runAt: new Date(runAt).getTime(),
+      payload,
+      createdAt: new Date().toISOString(),
+    });
+  }
+
+  cancel(id) {
+    return this.jobs.delete(id);
+  }
+
+  start() {
+    this.timer = setInterval(() => {
+      this.process().catch((error) => {
+        console.error("Scheduler error:", error);
+      });
+    }, this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+  }
+
+  async process() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const now = Date.now();
+      const due = this.jobs
+        .filter((job) => job.runAt <= now)
+        .sort((a, b) => a.runAt - b.runAt);
+
+      for (const job of due) {
+        // Задание могли отменить, пока выполнялись предыдущие
+        if (!this.cancel(job.id)) continue;
+
+        try {
+          const handler = this.handlers[job.type];
+          if (!handler) throw new Error(`Unknown job type: ${job.type}`);
+          await handler(job);
+        } catch (error) {
+          console.error(`Scheduled job ${job.id} (${job.type}) failed:`, error);
+        }
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+}
+
+module.exports = { Scheduler };
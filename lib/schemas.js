@@ -0,0 +1,514 @@
+// Схемы входных данных для маршрутов и событий Socket.IO (см. lib/validation)
+
+const USERNAME = {
+  type: "string",
+  trim: true,
+  minLength: 3,
+  maxLength: 32,
+  pattern: /^[a-zA-Z0-9_]+$/,
+  message:
+    "Имя пользователя: от 3 до 32 символов, только латинские буквы, цифры и _",
+};
+const PASSWORD = {
+  type: "string",
+  minLength: 6,
+  maxLength: 128,
+  message: "Пароль должен содержать от 6 до 128 символов",
+};
+const EMAIL = { type: "string", trim: true, maxLength: 254, format: "email" };
+const DISPLAY_NAME = {
+  type: "string",
+  trim: true,
+  minLength: 1,
+  maxLength: 64,
+};
+const AVATAR = { type: "string", maxLength: 2048 };
+const HTTP_URL = {
+  type: "string",
+  maxLength: 2048,
+  pattern: /^https?:\/\/\S+$/,
+};
+const ID = { type: "string", minLength: 1, maxLength: 128 };
+const TOKEN = { type: "string", minLength: 1, maxLength: 512 };
+const CLIENT_MESSAGE_ID = { type: "string", minLength: 1, maxLength: 64 };
+const DATE_TIME = {
+  type: "string",
+  pattern: /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/,
+  message: "Дата должна быть в формате ISO 8601",
+};
+const SYNC_CURSOR = { type: "integer", min: 0 };
+const SYNC_LIMIT = { type: "integer", min: 1, max: 500 };
+
+const MESSAGE_CONTENT_MAX_LENGTH = 4000;
+const MESSAGE_PAGE_MAX_SIZE = 100;
+const MESSAGE_TYPES = ["text", "image", "video", "audio", "voice", "file"];
+const MESSAGE_MAX_ATTACHMENTS = 10;
+const MESSAGE_FORWARD_MAX = 20;
+// Срок жизни исчезающих сообщений: до 30 дней
+const MESSAGE_TTL_MAX_SECONDS = 30 * 24 * 60 * 60;
+const MESSAGE_TTL = { type: "integer", min: 1, max: MESSAGE_TTL_MAX_SECONDS };
+const ATTACHMENT_IDS = {
+  type: "array",
+  maxLength: MESSAGE_MAX_ATTACHMENTS,
+  items: ID,
+};
+const CHAT_TYPES = ["private", "group", "channel"];
+const NOTIFICATION_LEVELS = ["all", "mentions", "none"];
+
+// Боты: имя как у пользователя, но с окончанием bot
+const BOT_USERNAME = {
+  ...USERNAME,
+  pattern: /^[a-zA-Z0-9_]*bot$/i,
+  message:
+    "Имя бота: от 3 до 32 символов (латинские буквы, цифры и _), оканчивается на bot",
+};
+const BOT_MAX_COMMANDS = 100;
+// События чата, которые можно получать исходящим вебхуком
+const WEBHOOK_EVENTS = [
+  "new-message",
+  "message-edited",
+  "message-deleted",
+  "reaction-updated",
+  "pins-updated",
+  "chat-updated",
+];
+
+// Модерация
+const USER_ROLES = ["user", "moderator", "admin"];
+const REPORT_REASONS = ["spam", "abuse", "violence", "illegal", "other"];
+const REPORT_ACTIONS = [
+  "dismiss",
+  "delete_message",
+  "suspend_user",
+  "ban_user",
+];
+const ADMIN_PAGE = {
+  limit: { type: "integer", min: 1, max: 100 },
+  offset: { type: "integer", min: 0 },
+};
+const MODERATION_REASON = { type: "string", trim: true, maxLength: 500 };
+const SUSPEND_HOURS = { type: "integer", min: 1, max: 24 * 365 };
+
+// Приватность: кто видит онлайн-статус, кто может писать, виден ли в поиске
+const PRIVACY_VISIBILITY = ["everyone", "contacts", "nobody"];
+const DEFAULT_PRIVACY = {
+  lastSeen: "everyone",
+  messages: "everyone",
+  searchable: true,
+};
+
+const schemas = {
+  // Аутентификация
+  register: {
+    username: { ...USERNAME, required: true },
+    email: { ...EMAIL, required: true },
+    password: { ...PASSWORD, required: true },
+    displayName: DISPLAY_NAME,
+  },
+  login: {
+    username: {
+      type: "string",
+      trim: true,
+      maxLength: 64,
+      required: true,
+      requiredMessage: "Введите имя пользователя и пароль",
+    },
+    password: {
+      type: "string",
+      maxLength: 128,
+      required: true,
+      requiredMessage: "Введите имя пользователя и пароль",
+    },
+  },
+  refresh: {
+    refreshToken: { ...TOKEN, required: true },
+  },
+  changePassword: {
+    currentPassword: { type: "string", maxLength: 128, required: true },
+    newPassword: { ...PASSWORD, required: true },
+  },
+  forgotPassword: {
+    email: { ...EMAIL, required: true },
+  },
+  resetPassword: {
+    token: { ...TOKEN, required: true },
+    password: { ...PASSWORD, required: true },
+  },
+  verifyEmail: {
+    token: { ...TOKEN, required: true },
+  },
+  logout: {
+    allDevices: { type: "boolean" },
+  },
+  updateProfile: {
+    displayName: DISPLAY_NAME,
+    avatar: AVATAR,
+    status: { type: "string", trim: true, maxLength: 140 },
+    bio: { type: "string", trim: true, maxLength: 500 },
+  },
+
+  updatePrivacy: {
+    lastSeen: { type: "string", enum: PRIVACY_VISIBILITY },
+    messages: { type: "string", enum: ["everyone", "contacts"] },
+    searchable: { type: "boolean" },
+  },
+
+  // Контакты и блокировки
+  userReference: {
+    userId: { ...ID, required: true },
+  },
+
+  // Чаты
+  getChats: {
+    archived: { type: "boolean" },
+  },
+  updateChatSettings: {
+    muted: { type: "boolean" },
+    mutedUntil: DATE_TIME,
+    archived: { type: "boolean" },
+    pinned: { type: "boolean" },
+    notificationLevel: { type: "string", enum: NOTIFICATION_LEVELS },
+  },
+  pinMessage: {
+    messageId: { ...ID, required: true },
+  },
+  setMessageTtl: {
+    ttlSeconds: {
+      ...MESSAGE_TTL,
+      min: 0,
+      required: true,
+      requiredMessage: "Укажите срок жизни сообщений (0 — без удаления)",
+    },
+  },
+  createChat: {
+    type: { type: "string", enum: CHAT_TYPES, required: true },
+    username: USERNAME,
+    name: DISPLAY_NAME,
+    description: { type: "string", trim: true, maxLength: 500 },
+    isPublic: { type: "boolean" },
+  },
+  updateGroup: {
+    name: DISPLAY_NAME,
+    description: { type: "string", trim: true, maxLength: 500 },
+    avatar: AVATAR,
+    isPublic: { type: "boolean" },
+  },
+  createInvite: {
+    expiresInHours: { type: "integer", min: 1, max: 24 * 365 },
+    maxUses: { type: "integer", min: 1, max: 100000 },
+    requiresApproval: { type: "boolean" },
+  },
+  discoverChats: {
+    q: { type: "string", trim: true, maxLength: 64 },
+    limit: { type: "integer", min: 1, max: 50 },
+  },
+  addMembers: {
+    username: USERNAME,
+    usernames: { type: "array", minLength: 1, maxLength: 50, items: USERNAME },
+  },
+  transferOwnership: {
+    userId: { ...ID, required: true },
+  },
+  markRead: {
+    messageId: ID,
+  },
+
+  // Сообщения
+  getMessages: {
+    before: ID,
+    after: ID,
+    around: ID,
+    limit: { type: "integer", min: 1, max: MESSAGE_PAGE_MAX_SIZE },
+  },
+  searchMessages: {
+    q: {
+      type: "string",
+      trim: true,
+      minLength: 2,
+      maxLength: 200,
+      required: true,
+      requiredMessage: "Введите текст для поиска",
+    },
+    chatId: ID,
+    senderId: ID,
+    type: { type: "string", enum: [...MESSAGE_TYPES, "system"] },
+    from: DATE_TIME,
+    to: DATE_TIME,
+    before: ID,
+    limit: { type: "integer", min: 1, max: 50 },
+  },
+  sendMessage: {
+    // Без вложений текст обязателен (проверяется при отправке)
+    content: {
+      type: "string",
+      trim: true,
+      maxLength: MESSAGE_CONTENT_MAX_LENGTH,
+    },
+    type: { type: "string", enum: MESSAGE_TYPES },
+    clientMessageId: CLIENT_MESSAGE_ID,
+    replyTo: ID,
+    attachments: ATTACHMENT_IDS,
+    ttlSeconds: MESSAGE_TTL,
+  },
+  scheduleMessage: {
+    content: {
+      type: "string",
+      trim: true,
+      maxLength: MESSAGE_CONTENT_MAX_LENGTH,
+    },
+    type: { type: "string", enum: MESSAGE_TYPES },
+    replyTo: ID,
+    attachments: ATTACHMENT_IDS,
+    ttlSeconds: MESSAGE_TTL,
+    sendAt: {
+      ...DATE_TIME,
+      required: true,
+      requiredMessage: "Укажите время отправки",
+    },
+  },
+  forwardMessages: {
+    fromChatId: { ...ID, required: true },
+    messageIds: {
+      type: "array",
+      minLength: 1,
+      maxLength: MESSAGE_FORWARD_MAX,
+      items: ID,
+      required: true,
+    },
+  },
+  addReaction: {
+    emoji: {
+      type: "string",
+      maxLength: 32,
+      // Хотя бы один пиктографический символ: цифры и # тоже Emoji_Component
+      pattern:
+        /^(?=.*[\p{Extended_Pictographic}\p{Regional_Indicator}])[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]+$/u,
+      required: true,
+      message: "Реакция должна быть эмодзи",
+    },
+  },
+  editMessage: {
+    content: {
+      type: "string",
+      trim: true,
+      minLength: 1,
+      maxLength: MESSAGE_CONTENT_MAX_LENGTH,
+      required: true,
+      requiredMessage: "Сообщение не может быть пустым",
+    },
+  },
+
+  // Пользователи
+  searchUsers: {
+    q: { type: "string", trim: true, maxLength: 64 },
+  },
+
+  // Вложения
+  uploadAttachment: {
+    chatId: { ...ID, required: true },
+  },
+
+  // Упоминания
+  getMentions: {
+    before: ID,
+    limit: { type: "integer", min: 1, max: 50 },
+  },
+
+  // Уведомления
+  subscribeNotifications: {
+    transport: {
+      type: "string",
+      enum: ["webpush", "webhook", "log"],
+      required: true,
+    },
+    endpoint: {
+      ...HTTP_URL,
+      message: "endpoint должен быть URL-адресом http(s)",
+    },
+    keys: { type: "object" },
+  },
+
+  // Боты
+  createBot: {
+    username: { ...BOT_USERNAME, required: true },
+    displayName: { ...DISPLAY_NAME, required: true },
+    description: { type: "string", trim: true, maxLength: 500 },
+  },
+  updateBot: {
+    displayName: DISPLAY_NAME,
+    description: { type: "string", trim: true, maxLength: 500 },
+    avatar: AVATAR,
+  },
+  botSendMessage: {
+    content: {
+      type: "string",
+      trim: true,
+      minLength: 1,
+      maxLength: MESSAGE_CONTENT_MAX_LENGTH,
+      required: true,
+      requiredMessage: "Сообщение не может быть пустым",
+    },
+    replyTo: ID,
+    clientMessageId: CLIENT_MESSAGE_ID,
+  },
+  setBotCommands: {
+    commands: {
+      type: "array",
+      maxLength: BOT_MAX_COMMANDS,
+      required: true,
+      items: {
+        type: "object",
+        properties: {
+          command: {
+            type: "string",
+            trim: true,
+            pattern: /^[a-z0-9_]{1,32}$/,
+            required: true,
+            message:
+              "Команда: от 1 до 32 символов, строчные латинские буквы, цифры и _",
+          },
+          description: {
+            type: "string",
+            trim: true,
+            minLength: 1,
+            maxLength: 256,
+            required: true,
+          },
+        },
+      },
+    },
+  },
+  setBotWebhook: {
+    url: {
+      ...HTTP_URL,
+      required: true,
+      message: "url должен быть URL-адресом http(s)",
+    },
+  },
+
+  // Исходящие вебхуки чатов
+  createWebhook: {
+    url: {
+      ...HTTP_URL,
+      required: true,
+      message: "url должен быть URL-адресом http(s)",
+    },
+    events: {
+      type: "array",
+      minLength: 1,
+      maxLength: WEBHOOK_EVENTS.length,
+      items: { type: "string", enum: WEBHOOK_EVENTS },
+    },
+  },
+
+  // Модерация
+  createReport: {
+    chatId: { ...ID, required: true },
+    messageId: { ...ID, required: true },
+    reason: { type: "string", enum: REPORT_REASONS, required: true },
+    comment: { type: "string", trim: true, maxLength: 1000 },
+  },
+  adminListReports: {
+    status: { type: "string", enum: ["open", "resolved", "dismissed"] },
+    ...ADMIN_PAGE,
+  },
+  resolveReport: {
+    action: { type: "string", enum: REPORT_ACTIONS, required: true },
+    note: MODERATION_REASON,
+    suspendHours: SUSPEND_HOURS,
+  },
+  adminListUsers: {
+    q: { type: "string", trim: true, maxLength: 64 },
+    role: { type: "string", enum: USER_ROLES },
+    status: { type: "string", enum: ["active", "suspended", "banned"] },
+    ...ADMIN_PAGE,
+  },
+  adminListChats: {
+    q: { type: "string", trim: true, maxLength: 64 },
+    type: { type: "string", enum: CHAT_TYPES },
+    status: { type: "string", enum: ["active", "suspended"] },
+    ...ADMIN_PAGE,
+  },
+  suspendUser: {
+    hours: { ...SUSPEND_HOURS, required: true },
+    reason: MODERATION_REASON,
+  },
+  banUser: {
+    reason: MODERATION_REASON,
+  },
+  setRole: {
+    role: { type: "string", enum: USER_ROLES, required: true },
+  },
+  suspendChat: {
+    reason: MODERATION_REASON,
+  },
+
+  // Журнал аудита: action — событие ("auth.login") или категория ("auth")
+  auditLog: {
+    action: { type: "string", maxLength: 64, pattern: /^[a-z_]+(\.[a-z_]+)?$/ },
+    actorId: ID,
+    targetId: ID,
+    ip: { type: "string", trim: true, maxLength: 64 },
+    from: DATE_TIME,
+    to: DATE_TIME,
+    before: { type: "integer", min: 1 },
+    limit: { type: "integer", min: 1, max: 500 },
+    format: { type: "string", enum: ["json", "jsonl"] },
+  },
+
+  // Синхронизация
+  sync: {
+    since: SYNC_CURSOR,
+    limit: SYNC_LIMIT,
+  },
+
+  // События Socket.IO
+  socketAuthenticate: {
+    token: { ...TOKEN, required: true },
+    since: SYNC_CURSOR,
+  },
+  socketSync: {
+    since: { ...SYNC_CURSOR, required: true },
+    limit: SYNC_LIMIT,
+  },
+  socketChat: {
+    chatId: { ...ID, required: true },
+  },
+  socketMarkRead: {
+    chatId: { ...ID, required: true },
+    messageId: ID,
+  },
+  socketSendMessage: {
+    chatId: { ...ID, required: true },
+    // Без вложений текст обязателен (проверяется при отправке)
+    content: {
+      type: "string",
+      trim: true,
+      maxLength: MESSAGE_CONTENT_MAX_LENGTH,
+    },
+    type: { type: "string", enum: MESSAGE_TYPES },
+    clientMessageId: CLIENT_MESSAGE_ID,
+    replyTo: ID,
+    attachments: ATTACHMENT_IDS,
+    ttlSeconds: MESSAGE_TTL,
+  },
+  socketTyping: {
+    chatId: { ...ID, required: true },
+    isTyping: { type: "boolean", required: true },
+  },
+};
+
+module.exports = {
+  schemas,
+  MESSAGE_CONTENT_MAX_LENGTH,
+  MESSAGE_TYPES,
+  MESSAGE_MAX_ATTACHMENTS,
+  MESSAGE_FORWARD_MAX,
+  MESSAGE_TTL_MAX_SECONDS,
+  CHAT_TYPES,
+  NOTIFICATION_LEVELS,
+  WEBHOOK_EVENTS,
+  USER_ROLES,
+  PRIVACY_VISIBILITY,
+  DEFAULT_PRIVACY,
+};
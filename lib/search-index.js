@@ -0,0 +1,116 @@
+// Инвертированный индекс для полнотекстового поиска по сообщениям.
+// Для каждого слова хранится множество id сообщений, в которых оно встречается,
+// поэтому поиск не перебирает историю чатов, а пересекает списки.
+
+const WORD_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+const normalizeWord = (word) => word.toLowerCase().replace(/ё/g, "е");
+
+// Слова текста в нормализованном виде (регистр и ё не различаются)
+const tokenize = (text) => (text.match(WORD_PATTERN) || []).map(normalizeWord);
+
+class SearchIndex {
+  constructor() {
+    this.postings = new Map(); // слово -> Set(messageId)
+    this.documents = new Map(); // messageId -> { chatId, senderId, type, timestamp, words }
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  // Удаленные и пустые сообщения в индекс не попадают
+  add(message) {
+    if (message.deleted || !message.content) return;
+
+    const words = Array.from(new Set(tokenize(message.content)));
+    this.documents.set(message.id, {
+      chatId: message.chatId,
+      senderId: message.senderId,
+      type: message.type,
+      timestamp: message.timestamp,
+      words,
+    });
+
+    words.forEach((word) => {
+      if (!this.postings.has(word)) this.postings.set(word, new Set());
+      this.postings.get(word).add(message.id);
+    });
+  }
+
+  remove(messageId) {
+    const document = this.documents.get(messageId);
+    if (!document) return;
+
+    document.words.forEach((word) => {
+      const ids = this.postings.get(word);
+      ids.delete(messageId);
+      if (ids.size === 0) this.postings.delete(word);
+    });
+    this.documents.delete(messageId);
+  }
+
+  update(message) {
+    this.remove(message.id);
+    this.add(message);
+  }
+
+  getDocument(messageId) {
+    return this.documents.get(messageId);
+  }
+
+  // Id сообщений, содержащих все слова запроса (каждое — как префикс слова)
+  search(query) {
+    const queryWords = Array.from(new Set(tokenize(query)));
+    if (queryWords.length === 0) return [];
+
+    const matches = queryWords
+      .map((queryWord) => {
+        const ids = new Set();
+        this.postings.forEach((wordIds, word) => {
+          if (word.startsWith(queryWord)) {
+            wordIds.forEach((id) => ids.add(id));
+          }
+        });
+        return ids;
+      })
+      .sort((a, b) => a.size - b.size);
+
+    const [smallest, ...rest] = matches;
+    return Array.from(smallest).filter((id) =>
+      rest.every((ids) => ids.has(id))
+    );
+  }
+}
+
+// Фрагмент текста вокруг первого совпадения и позиции совпадений в нем
+// ({ start, end } — индексы в snippet), чтобы клиент сам выбрал оформление
+const buildSnippet = (content, query, radius = 60) => {
+  const queryWords = tokenize(query);
+  const ranges = [];
+
+  for (const match of content.matchAll(WORD_PATTERN)) {
+    const word = normalizeWord(match[0]);
+    if (queryWords.some((queryWord) => word.startsWith(queryWord))) {
+      ranges.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  const first = ranges[0] ? ranges[0].start : 0;
+  const start = Math.max(0, first - radius);
+  const end = Math.min(content.length, first + radius * 2);
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < content.length ? "…" : "";
+
+  return {
+    snippet: `${prefix}${content.slice(start, end)}${suffix}`,
+    highlights: ranges
+      .filter((range) => range.start >= start && range.end <= end)
+      .map((range) => ({
+        start: range.start - start + prefix.length,
+        end: range.end - start + prefix.length,
+      })),
+  };
+};
+
+module.exports = { SearchIndex, tokenize, buildSnippet };
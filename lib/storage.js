@@ -0,0 +1,191 @@
+const fs = require("fs");
+const path = require("path");
+
+// Коллекция — Map-подобный репозиторий с уведомлением хранилища об изменениях.
+// Маршруты работают только через этот интерфейс, поэтому драйвер хранилища
+// можно заменить, не трогая бизнес-логику.
+class Collection {
+  constructor(name, onChange) {
+    this.name = name;
+    this.items = new Map();
+    this.onChange = onChange;
+  }
+
+  get size() {
+    return this.items.size;
+  }
+
+  get(id) {
+    return this.items.get(id);
+  }
+
+  has(id) {
+    return this.items.has(id);
+  }
+
+  keys() {
+    return this.items.keys();
+  }
+
+  values() {
+    return this.items.values();
+  }
+
+  entries() {
+    return this.items.entries();
+  }
+
+  find(predicate) {
+    for (const value of this.items.values()) {
+      if (predicate(value)) return value;
+    }
+    return undefined;
+  }
+
+  filter(predicate) {
+    return Array.from(this.items.values()).filter(predicate);
+  }
+
+  set(id, value) {
+    this.items.set(id, value);
+    this.onChange(this.name);
+    return value;
+  }
+
+  delete(id) {
+    const deleted = this.items.delete(id);
+    if (deleted) this.onChange(this.name);
+    return deleted;
+  }
+
+  clear() {
+    this.items.clear();
+    this.onChange(this.name);
+  }
+
+  toJSON() {
+    return Array.from(this.items.entries());
+  }
+
+  load(entries) {
+    this.items = new Map(entries);
+  }
+}
+
+// Хранилище в памяти: данные теряются при перезапуске (удобно для тестов)
+class MemoryStore {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(
+        name,
+        new Collection(name, (changed) => this.handleChange(changed))
+      );
+    }
+    return this.collections.get(name);
+  }
+
+  isEmpty() {
+    return Array.from(this.collections.values()).every(
+      (collection) => collection.size === 0
+    );
+  }
+
+  handleChange() {}
+
+  async init() {}
+
+  flush() {}
+
+  close() {}
+}
+
+// Файловое хранилище: снимок всех коллекций сохраняется в JSON-файл.
+// Запись откладывается, чтобы серия изменений давала одну запись на диск.
+// Известное ограничение: каждая запись переписывает снимок целиком, включая
+// всю историю сообщений и журнал изменений (его размер ограничивает
+// pruneChanges по SYNC_RETENTION_DAYS). Для больших объемов данных нужен
+// драйвер с построчной записью, например на базе SQLite.
+class FileStore extends MemoryStore {
+  constructor({ file, flushDelay = 200 }) {
+    super();
+    this.file = file;
+    this.flushDelay = flushDelay;
+    this.flushTimer = null;
+    this.snapshot = {};
+  }
+
+  async init() {
+    if (!fs.existsSync(this.file)) return;
+
+    const raw = await fs.promises.readFile(this.file, "utf8");
+    this.snapshot = raw.trim() ? JSON.parse(raw) : {};
+
+    // Коллекции, открытые до загрузки файла, заполняем из снимка
+    this.collections.forEach((collection, name) => {
+      if (this.snapshot[name]) {
+        collection.load(this.snapshot[name]);
+        delete this.snapshot[name];
+      }
+    });
+  }
+
+  collection(name) {
+    const isNew = !this.collections.has(name);
+    const collection = super.collection(name);
+    if (isNew && this.snapshot[name]) {
+      collection.load(this.snapshot[name]);
+      delete this.snapshot[name];
+    }
+    return collection;
+  }
+
+  isEmpty() {
+    return Object.keys(this.snapshot).length === 0 && super.isEmpty();
+  }
+
+  handleChange() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+  }
+
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    // Коллекции, которые ещё не открывались, сохраняем как есть
+    const data = { ...this.snapshot };
+    this.collections.forEach((collection, name) => {
+      data[name] = collection.toJSON();
+    });
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(data));
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  close() {
+    this.flush();
+  }
+}
+
+const createStore = ({ driver = "file", file } = {}) => {
+  switch (driver) {
+    case "memory":
+      return new MemoryStore();
+    case "file":
+      return new FileStore({
+        file: file || path.join(process.cwd(), "data", "acto-db.json"),
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+module.exports = { Collection, MemoryStore, FileStore, createStore };
@@ -0,0 +1,188 @@
+// Простая схемная валидация входных данных.
+// Схема — объект { поле: правило }, где правило описывает тип и ограничения:
+//   type: "string" | "integer" | "boolean" | "array" | "object"
+//   required, trim, minLength, maxLength, pattern, format: "email",
+//   enum, min, max, items (правило для элементов массива),
+//   properties (схема полей объекта),
+//   message (текст любой ошибки поля), requiredMessage (текст для пустого поля)
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isMissing = (value) => value === undefined || value === null;
+
+const isBlank = (value) => typeof value === "string" && value.trim() === "";
+
+const checkValue = (field, rule, rawValue, source) => {
+  const fail = (message) => ({
+    error: { field, message: rule.message || message },
+  });
+  let value = rawValue;
+
+  switch (rule.type) {
+    case "string":
+      if (typeof value !== "string") {
+        return fail(`Поле "${field}" должно быть строкой`);
+      }
+      if (rule.trim) value = value.trim();
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return fail(
+          `Поле "${field}" должно содержать минимум ${rule.minLength} символов`
+        );
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return fail(
+          `Поле "${field}" должно содержать не более ${rule.maxLength} символов`
+        );
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return fail(`Поле "${field}" имеет недопустимый формат`);
+      }
+      if (rule.format === "email" && !EMAIL_PATTERN.test(value)) {
+        return fail("Некорректный email");
+      }
+      break;
+
+    case "integer":
+      // Параметры строки запроса приходят строками
+      if (source === "query" && typeof value === "string") {
+        value = Number(value);
+      }
+      if (!Number.isInteger(value)) {
+        return fail(`Поле "${field}" должно быть целым числом`);
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        return fail(`Поле "${field}" должно быть не меньше ${rule.min}`);
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        return fail(`Поле "${field}" должно быть не больше ${rule.max}`);
+      }
+      break;
+
+    case "boolean":
+      if (source === "query" && (value === "true" || value === "false")) {
+        value = value === "true";
+      }
+      if (typeof value !== "boolean") {
+        return fail(`Поле "${field}" должно быть логическим значением`);
+      }
+      break;
+
+    case "array":
+      if (!Array.isArray(value)) {
+        return fail(`Поле "${field}" должно быть массивом`);
+      }
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return fail(
+          `Поле "${field}" должно содержать минимум ${rule.minLength} элементов`
+        );
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return fail(
+          `Поле "${field}" должно содержать не более ${rule.maxLength} элементов`
+        );
+      }
+      if (rule.items) {
+        const items = [];
+        for (let i = 0; i < value.length; i++) {
+          const result = checkValue(
+            `${field}[${i}]`,
+            rule.items,
+            value[i],
+            source
+          );
+          if (result.error) return result;
+          items.push(result.value);
+        }
+        value = items;
+      }
+      break;
+
+    case "object":
+      if (typeof value !== "object" || Array.isArray(value)) {
+        return fail(`Поле "${field}" должно быть объектом`);
+      }
+      if (rule.properties) {
+        const result = validate(rule.properties, value, source);
+        if (result.errors.length > 0) {
+          const [first] = result.errors;
+          return {
+            error: {
+              field: `${field}.${first.field}`,
+              message: rule.message || first.message,
+            },
+          };
+        }
+        value = result.value;
+      }
+      break;
+
+    default:
+      throw new Error(`Unknown validation type: ${rule.type}`);
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail(
+      `Поле "${field}" должно быть одним из: ${rule.enum.join(", ")}`
+    );
+  }
+
+  return { value };
+};
+
+// Проверяет данные по схеме. Возвращает { value, errors }, где value
+// содержит только описанные в схеме поля (строки уже обрезаны)
+const validate = (schema, data, source = "body") => {
+  const input = data && typeof data === "object" ? data : {};
+  const value = {};
+  const errors = [];
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const rawValue = input[field];
+
+    // Отсутствующее поле — ошибка только для обязательных,
+    // пустая строка в обязательном поле считается отсутствующим значением
+    if (isMissing(rawValue) || (rule.required && isBlank(rawValue))) {
+      if (rule.required) {
+        errors.push({
+          field,
+          message:
+            rule.requiredMessage ||
+            rule.message ||
+            `Поле "${field}" обязательно`,
+        });
+      }
+      return;
+    }
+
+    const result = checkValue(field, rule, rawValue, source);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      value[field] = result.value;
+    }
+  });
+
+  return { value, errors };
+};
+
+const validationErrorBody = (errors) => ({
+  success: false,
+  code: "VALIDATION_ERROR",
+  message: errors[0].message,
+  errors,
+});
+
+// Проверка запроса внутри маршрута: при ошибке отправляет 400 и возвращает
+// false, иначе заменяет req[source] очищенным значением
+const validateRequest = (req, res, schema, source = "body") => {
+  const { value, errors } = validate(schema, req[source], source);
+  if (errors.length > 0) {
+    res.status(400).json(validationErrorBody(errors));
+    return false;
+  }
+
+  req[source] = value;
+  return true;
+};
+
+module.exports = { validate, validateRequest, validationErrorBody };
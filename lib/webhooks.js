@@ -0,0 +1,160 @@
+const crypto = require("crypto");
+const { DeliveryPool, deliveryError } = require("./notifications");
+const { requestUrl } = require("./public-url");
+
+// Исходящие вебхуки: событие отправляется POST-запросом в JSON
+// { id, event, createdAt, data }. Тело подписывается HMAC-SHA256 секретом
+// вебхука; получатель проверяет заголовок
+//   X-Acto-Signature: sha256=<hex от `${X-Acto-Timestamp}.${тело}`>
+// Неудачная доставка повторяется с растущей задержкой до maxAttempts раз.
+
+const signPayload = (secret, timestamp, body) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+// Очередь доставок: { id, webhookId, event, data, createdAt,
+//                     attempts, nextAttemptAt, lastError }
+class WebhookQueue {
+  constructor({
+    deliveries,
+    getWebhook,
+    onResult = () => {},
+    allowPrivateUrls = false,
+    maxAttempts = 6,
+    retryBaseMs = 10 * 1000,
+    timeoutMs = 5000,
+    intervalMs = 1000,
+    concurrency = 10,
+  }) {
+    this.deliveries = deliveries;
+    this.getWebhook = getWebhook;
+    this.onResult = onResult;
+    this.allowPrivateUrls = allowPrivateUrls;
+    this.maxAttempts = maxAttempts;
+    this.retryBaseMs = retryBaseMs;
+    this.timeoutMs = timeoutMs;
+    this.intervalMs = intervalMs;
+    this.pool = new DeliveryPool({ concurrency });
+  }
+
+  enqueue(webhookId, event, data) {
+    const id = crypto.randomUUID();
+    return this.deliveries.set(id, {
+      id,
+      webhookId,
+      event,
+      data,
+      createdAt: new Date().toISOString(),
+      attempts: 0,
+      nextAttemptAt: 0,
+      lastError: null,
+    });
+  }
+
+  start() {
+    this.timer = setInterval(() => {
+      this.process().catch((error) => {
+        console.error("Webhook queue error:", error);
+      });
+    }, this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+  }
+
+  // Доставки одного вебхука идут по порядку, разных вебхуков — параллельно
+  async process() {
+    const now = Date.now();
+    const due = this.deliveries
+      .filter((delivery) => delivery.nextAttemptAt <= now)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    await this.pool.run(
+      due,
+      (delivery) => delivery.webhookId,
+      (delivery) => this.deliver(delivery)
+    );
+  }
+
+  async deliver(delivery) {
+    // Вебхук могли удалить, пока доставка ждала очереди
+    const webhook = this.getWebhook(delivery.webhookId);
+    if (!webhook) {
+      this.deliveries.delete(delivery.id);
+      return;
+    }
+
+    try {
+      await this.send(webhook, delivery);
+      this.deliveries.delete(delivery.id);
+      this.onResult(webhook, null);
+      return;
+    } catch (error) {
+      delivery.attempts += 1;
+      delivery.lastError = error.message;
+
+      if (error.permanent || delivery.attempts >= this.maxAttempts) {
+        this.deliveries.delete(delivery.id);
+        this.onResult(webhook, error);
+        console.warn(
+          `⚠️  Webhook ${webhook.id} delivery ${delivery.id} (${delivery.event}) dropped: ${error.message}`
+        );
+        return;
+      }
+    }
+
+    delivery.nextAttemptAt =
+      Date.now() + this.retryBaseMs * 2 ** (delivery.attempts - 1);
+    this.deliveries.set(delivery.id, delivery);
+  }
+
+  async send(webhook, delivery) {
+    const body = JSON.stringify({
+      id: delivery.id,
+      event: delivery.event,
+      createdAt: delivery.createdAt,
+      data: delivery.data,
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    let response;
+    try {
+      response = await requestUrl(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "ACTO-uim-Webhook/1.0",
+          "X-Acto-Event": delivery.event,
+          "X-Acto-Delivery": delivery.id,
+          "X-Acto-Timestamp": String(timestamp),
+          "X-Acto-Signature": `sha256=${signPayload(
+            webhook.secret,
+            timestamp,
+            body
+          )}`,
+        },
+        body,
+        timeoutMs: this.timeoutMs,
+        allowPrivateUrls: this.allowPrivateUrls,
+      });
+    } catch (error) {
+      throw deliveryError(
+        `Webhook request failed: ${error.message}`,
+        error.code === "URL_NOT_ALLOWED"
+      );
+    }
+
+    response.resume();
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      throw deliveryError(
+        `Webhook responded with ${response.statusCode}`,
+        response.statusCode === 410
+      );
+    }
+  }
+}
+
+module.exports = { WebhookQueue, signPayload };
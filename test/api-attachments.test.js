@@ -0,0 +1,106 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+let api;
+let alice;
+let bob;
+let charlie;
+let chat;
+
+before(async () => {
+  api = await startServer();
+  alice = await api.login("alice");
+  bob = await api.login("bob");
+  charlie = await api.login("charlie");
+  const { body } = await api.request("POST", "/chats", {
+    token: alice.token,
+    body: { type: "private", username: "bob" },
+  });
+  chat = body.chat;
+});
+
+after(() => api.close());
+
+const upload = (user, { name, type, content, chatId = chat.id }) => {
+  const form = new FormData();
+  form.append("chatId", chatId);
+  form.append("file", new Blob([content], { type }), name);
+  return api.request("POST", "/attachments", { token: user.token, body: form });
+};
+
+test("uploaded files keep non-ASCII names", async () => {
+  const uploaded = await upload(alice, {
+    name: "отчёт за май.txt",
+    type: "text/plain",
+    content: "итоги",
+  });
+  assert.equal(uploaded.status, 201);
+  const { attachment } = uploaded.body;
+  assert.equal(attachment.name, "отчёт за май.txt");
+  assert.equal(attachment.kind, "file");
+
+  await api.request("POST", `/messages/${chat.id}`, {
+    token: alice.token,
+    body: { content: "", attachments: [attachment.id] },
+  });
+
+  const download = await api.request("GET", `/attachments/${attachment.id}`, {
+    token: bob.token,
+  });
+  assert.equal(download.status, 200);
+  assert.equal(download.body, "итоги");
+  assert.equal(
+    download.headers.get("content-disposition"),
+    `attachment; filename*=UTF-8''${encodeURIComponent("отчёт за май.txt")}`
+  );
+});
+
+test("only chat participants download attachments, and only after sending", async () => {
+  const { body } = await upload(alice, {
+    name: "draft.txt",
+    type: "text/plain",
+    content: "draft",
+  });
+  const url = `/attachments/${body.attachment.id}`;
+
+  assert.equal(
+    (await api.request("GET", url, { token: bob.token })).status,
+    404
+  );
+  assert.equal(
+    (await api.request("GET", url, { token: alice.token })).status,
+    200
+  );
+
+  await api.request("POST", `/messages/${chat.id}`, {
+    token: alice.token,
+    body: { content: "", attachments: [body.attachment.id] },
+  });
+  assert.equal(
+    (await api.request("GET", url, { token: bob.token })).status,
+    200
+  );
+  assert.equal(
+    (await api.request("GET", url, { token: charlie.token })).status,
+    404
+  );
+});
+
+test("uploads are checked for type and chat access", async () => {
+  const executable = await upload(alice, {
+    name: "run.sh",
+    type: "application/x-sh",
+    content: "#!/bin/sh",
+  });
+  assert.equal(executable.status, 415);
+  assert.equal(executable.body.code, "UNSUPPORTED_MEDIA_TYPE");
+
+  const foreign = await upload(charlie, {
+    name: "note.txt",
+    type: "text/plain",
+    content: "hi",
+  });
+  assert.equal(foreign.status, 403);
+  assert.equal(foreign.body.code, "CHAT_ACCESS_DENIED");
+});
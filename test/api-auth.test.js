@@ -0,0 +1,138 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, nextEvent } = require("./helpers");
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(() => api.close());
+
+const refresh = (refreshToken) =>
+  api.request("POST", "/auth/refresh", { body: { refreshToken } });
+
+test("refresh tokens rotate and a reused token ends the session", async () => {
+  const { token, refreshToken } = await api.login("alice");
+
+  const first = await refresh(refreshToken);
+  assert.equal(first.status, 200);
+  assert.notEqual(first.body.refreshToken, refreshToken);
+  assert.ok(first.body.token);
+
+  // Старый токен уже заменен: повтор считается утечкой
+  const reused = await refresh(refreshToken);
+  assert.equal(reused.status, 401);
+  assert.equal(reused.body.code, "INVALID_REFRESH_TOKEN");
+
+  // Сессия завершена целиком: не работают ни новый refresh, ни access токены
+  const rotated = await refresh(first.body.refreshToken);
+  assert.equal(rotated.status, 401);
+  assert.equal(rotated.body.code, "SESSION_REVOKED");
+  const profile = await api.request("GET", "/auth/profile", { token });
+  assert.equal(profile.status, 401);
+  assert.equal(profile.body.code, "SESSION_REVOKED");
+});
+
+test("logout revokes the access token and only the current session", async () => {
+  const phone = await api.login("bob");
+  const laptop = await api.login("bob");
+
+  const logout = await api.request("POST", "/auth/logout", {
+    token: phone.token,
+    body: {},
+  });
+  assert.equal(logout.status, 200);
+
+  const revoked = await api.request("GET", "/auth/profile", {
+    token: phone.token,
+  });
+  assert.equal(revoked.status, 401);
+  assert.equal(revoked.body.code, "TOKEN_REVOKED");
+  assert.equal((await refresh(phone.refreshToken)).status, 401);
+
+  const other = await api.request("GET", "/auth/profile", {
+    token: laptop.token,
+  });
+  assert.equal(other.status, 200);
+});
+
+test("revoking a session disconnects its sockets only", async () => {
+  const first = await api.login("charlie");
+  const second = await api.login("charlie");
+  const firstSocket = await api.connect(first.token);
+  const secondSocket = await api.connect(second.token);
+
+  const { body } = await api.request("GET", "/auth/sessions", {
+    token: second.token,
+  });
+  const target = body.sessions.find((session) => !session.current);
+  assert.equal(target.connections, 1);
+
+  const disconnected = nextEvent(firstSocket, "disconnect");
+  const result = await api.request("DELETE", `/auth/sessions/${target.id}`, {
+    token: second.token,
+  });
+  assert.equal(result.status, 200);
+  await disconnected;
+  assert.equal(secondSocket.connected, true);
+
+  // Чужую сессию завершить нельзя
+  const alice = await api.login("alice");
+  const foreign = await api.request(
+    "DELETE",
+    `/auth/sessions/${body.sessions.find((s) => s.current).id}`,
+    { token: alice.token }
+  );
+  assert.equal(foreign.status, 404);
+});
+
+// Письмо уходит в фоне: ждем, пока в файле появится новое
+const nextMail = async (sent) => {
+  while (api.mails().length === sent) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  return api.mails().pop();
+};
+
+test("password reset answers the same for unknown emails", async () => {
+  const sent = api.mails().length;
+  const known = await api.request("POST", "/auth/forgot", {
+    body: { email: "alice@acto.uim" },
+  });
+  const unknown = await api.request("POST", "/auth/forgot", {
+    body: { email: "nobody@acto.uim" },
+  });
+  assert.equal(known.status, 200);
+  assert.equal(unknown.status, known.status);
+  assert.deepEqual(unknown.body, known.body);
+  assert.equal((await nextMail(sent)).to, "alice@acto.uim");
+});
+
+test("password reset link sets a new password and ends sessions", async () => {
+  const session = await api.login("alice");
+  const sent = api.mails().length;
+  await api.request("POST", "/auth/forgot", {
+    body: { email: "alice@acto.uim" },
+  });
+  const mail = await nextMail(sent);
+  assert.equal(mail.to, "alice@acto.uim");
+  const token = mail.text.match(/token=([\w-]+)/)[1];
+
+  const reset = await api.request("POST", "/auth/reset", {
+    body: { token, password: "new-password" },
+  });
+  assert.equal(reset.status, 200);
+
+  const reused = await api.request("POST", "/auth/reset", {
+    body: { token, password: "another-password" },
+  });
+  assert.equal(reused.body.code, "RESET_TOKEN_INVALID");
+
+  const profile = await api.request("GET", "/auth/profile", {
+    token: session.token,
+  });
+  assert.equal(profile.status, 401);
+  await api.login("alice", "new-password");
+});
@@ -0,0 +1,147 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+let api;
+let alice;
+let bob;
+let charlie;
+
+before(async () => {
+  api = await startServer();
+  alice = await api.login("alice");
+  bob = await api.login("bob");
+  charlie = await api.login("charlie");
+});
+
+after(() => api.close());
+
+const createChat = async (owner, body) =>
+  (await api.request("POST", "/chats", { token: owner.token, body })).body.chat;
+
+const createInvite = async (chat, body = {}) =>
+  (
+    await api.request("POST", `/chats/${chat.id}/invites`, {
+      token: alice.token,
+      body,
+    })
+  ).body.invite;
+
+const join = (user, invite) =>
+  api.request("POST", `/invites/${invite.token}/join`, { token: user.token });
+
+const history = async (user, chatId) =>
+  (await api.request("GET", `/messages/${chatId}`, { token: user.token })).body
+    .messages;
+
+test("public channels are discoverable and only admins post", async () => {
+  const channel = await createChat(alice, {
+    type: "channel",
+    name: "Acto News",
+    isPublic: true,
+  });
+  await createChat(alice, { type: "group", name: "Acto Secret" });
+
+  const found = await api.request("GET", "/chats/discover?q=acto", {
+    token: bob.token,
+  });
+  assert.deepEqual(
+    found.body.chats.map((chat) => chat.id),
+    [channel.id]
+  );
+
+  const joined = await api.request("POST", `/chats/${channel.id}/join`, {
+    token: bob.token,
+  });
+  assert.equal(joined.status, 200);
+  assert.ok(joined.body.chat.participants.includes(bob.user.id));
+
+  const post = (user) =>
+    api.request("POST", `/messages/${channel.id}`, {
+      token: user.token,
+      body: { content: "news" },
+    });
+  const denied = await post(bob);
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.code, "FORBIDDEN");
+  assert.equal((await post(alice)).status, 200);
+
+  const messages = await history(bob, channel.id);
+  assert.deepEqual(
+    messages.map((message) => message.type),
+    ["system", "system", "text"]
+  );
+  assert.match(messages[1].content, /подписался/);
+});
+
+test("invite links respect max uses and revocation", async () => {
+  const group = await createChat(alice, { type: "group", name: "Invite only" });
+
+  const bySelf = await api.request("POST", `/chats/${group.id}/join`, {
+    token: bob.token,
+  });
+  assert.equal(bySelf.status, 404);
+
+  const invite = await createInvite(group, { maxUses: 1 });
+  const joined = await join(bob, invite);
+  assert.equal(joined.status, 200);
+  const [system] = (await history(bob, group.id)).slice(-1);
+  assert.match(system.content, /по ссылке/);
+
+  const exhausted = await join(charlie, invite);
+  assert.equal(exhausted.status, 410);
+  assert.equal(exhausted.body.code, "INVITE_INVALID");
+
+  const byMember = await api.request("POST", `/chats/${group.id}/invites`, {
+    token: bob.token,
+    body: {},
+  });
+  assert.equal(byMember.status, 403);
+
+  const revoked = await createInvite(group);
+  await api.request("DELETE", `/chats/${group.id}/invites/${revoked.token}`, {
+    token: alice.token,
+  });
+  assert.equal((await join(charlie, revoked)).status, 404);
+});
+
+test("join approval lets admins decide", async () => {
+  const group = await createChat(alice, { type: "group", name: "Approval" });
+  const invite = await createInvite(group, { requiresApproval: true });
+
+  const pending = await join(charlie, invite);
+  assert.equal(pending.status, 202);
+  assert.equal(pending.body.pending, true);
+  assert.equal(
+    (
+      await api.request("GET", `/chats/${group.id}/members`, {
+        token: charlie.token,
+      })
+    ).status,
+    403
+  );
+
+  const approved = await api.request(
+    "POST",
+    `/chats/${group.id}/join-requests/${charlie.user.id}/approve`,
+    { token: alice.token }
+  );
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.member.id, charlie.user.id);
+  assert.equal(approved.body.member.role, "member");
+});
+
+test("the group is removed when its last member leaves", async () => {
+  const group = await createChat(alice, { type: "group", name: "Short-lived" });
+  const invite = await createInvite(group);
+
+  await api.request("POST", `/chats/${group.id}/leave`, {
+    token: alice.token,
+  });
+
+  const members = await api.request("GET", `/chats/${group.id}/members`, {
+    token: alice.token,
+  });
+  assert.equal(members.status, 404);
+  assert.equal((await join(bob, invite)).status, 404);
+});
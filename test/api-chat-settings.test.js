@@ -0,0 +1,127 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+let api;
+let alice;
+let bob;
+let charlie;
+
+before(async () => {
+  api = await startServer();
+  alice = await api.login("alice");
+  bob = await api.login("bob");
+  charlie = await api.login("charlie");
+});
+
+after(() => api.close());
+
+const createChat = async (user, body) =>
+  (await api.request("POST", "/chats", { token: user.token, body })).body.chat;
+
+const send = async (user, chatId, content) =>
+  (
+    await api.request("POST", `/messages/${chatId}`, {
+      token: user.token,
+      body: { content },
+    })
+  ).body.message;
+
+const listChats = async (user, query = "") =>
+  (await api.request("GET", `/chats${query}`, { token: user.token })).body
+    .chats;
+
+const updateSettings = (user, chatId, body) =>
+  api.request("PUT", `/chats/${chatId}/settings`, { token: user.token, body });
+
+test("private chats are named after the other participant for each viewer", async () => {
+  const chat = await createChat(alice, { type: "private", username: "bob" });
+
+  const forAlice = (await listChats(alice)).find((item) => item.id === chat.id);
+  const forBob = (await listChats(bob)).find((item) => item.id === chat.id);
+  assert.equal(forAlice.name, bob.user.displayName);
+  assert.equal(forBob.name, alice.user.displayName);
+});
+
+test("pinned and archived chats are per user", async () => {
+  const group = await createChat(charlie, { type: "group", name: "Pinned" });
+  await api.request("POST", `/chats/${group.id}/members`, {
+    token: charlie.token,
+    body: { usernames: ["alice", "bob"] },
+  });
+  const chat = await createChat(bob, { type: "private", username: "charlie" });
+  await send(charlie, chat.id, "latest");
+
+  await updateSettings(bob, group.id, { pinned: true });
+  assert.equal((await listChats(bob))[0].id, group.id);
+  const forAlice = (await listChats(alice)).find(
+    (item) => item.id === group.id
+  );
+  assert.equal(forAlice.settings.pinned, false);
+
+  const archived = await updateSettings(bob, chat.id, { archived: true });
+  assert.equal(archived.body.settings.archived, true);
+  const ids = (chats) => chats.map((item) => item.id);
+  assert.ok(!ids(await listChats(bob)).includes(chat.id));
+  assert.deepEqual(ids(await listChats(bob, "?archived=true")), [chat.id]);
+  assert.ok(ids(await listChats(charlie)).includes(chat.id));
+});
+
+test("mute accepts only a future date", async () => {
+  const chat = await createChat(alice, {
+    type: "private",
+    username: "charlie",
+  });
+
+  const past = await updateSettings(alice, chat.id, {
+    mutedUntil: new Date(Date.now() - 1000).toISOString(),
+  });
+  assert.equal(past.status, 400);
+  assert.equal(past.body.code, "VALIDATION_ERROR");
+
+  const until = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const muted = await updateSettings(alice, chat.id, { mutedUntil: until });
+  assert.equal(muted.body.settings.muted, true);
+  assert.equal(muted.body.settings.mutedUntil, until);
+
+  const foreign = await updateSettings(bob, chat.id, { archived: true });
+  assert.equal(foreign.status, 403);
+});
+
+test("admins pin messages in groups, any participant in private chats", async () => {
+  const group = await createChat(alice, { type: "group", name: "Pins" });
+  await api.request("POST", `/chats/${group.id}/members`, {
+    token: alice.token,
+    body: { usernames: ["bob"] },
+  });
+  const message = await send(bob, group.id, "remember this");
+  const pin = (user, chatId, messageId) =>
+    api.request("POST", `/chats/${chatId}/pins`, {
+      token: user.token,
+      body: { messageId },
+    });
+
+  const byMember = await pin(bob, group.id, message.id);
+  assert.equal(byMember.status, 403);
+  assert.equal(byMember.body.code, "FORBIDDEN");
+  const byAdmin = await pin(alice, group.id, message.id);
+  assert.deepEqual(byAdmin.body.pinnedMessageIds, [message.id]);
+
+  const pins = await api.request("GET", `/chats/${group.id}/pins`, {
+    token: bob.token,
+  });
+  assert.deepEqual(
+    pins.body.messages.map((pinned) => pinned.content),
+    ["remember this"]
+  );
+
+  const chat = await createChat(bob, { type: "private", username: "charlie" });
+  const own = await send(charlie, chat.id, "address");
+  assert.equal((await pin(bob, chat.id, own.id)).status, 200);
+  const unpinned = await api.request(
+    "DELETE",
+    `/chats/${chat.id}/pins/${own.id}`,
+    { token: charlie.token }
+  );
+  assert.deepEqual(unpinned.body.pinnedMessageIds, []);
+});
@@ -0,0 +1,268 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, nextEvent, noEvent } = require("./helpers");
+
+let api;
+let alice;
+let bob;
+let charlie;
+
+before(async () => {
+  api = await startServer();
+  alice = await api.login("alice");
+  bob = await api.login("bob");
+  charlie = await api.login("charlie");
+});
+
+after(() => api.close());
+
+const privateChat = async (user, username) =>
+  (
+    await api.request("POST", "/chats", {
+      token: user.token,
+      body: { type: "private", username },
+    })
+  ).body.chat;
+
+const createGroup = async (owner, usernames) => {
+  const { body } = await api.request("POST", "/chats", {
+    token: owner.token,
+    body: { type: "group", name: "Team" },
+  });
+  if (usernames) {
+    await api.request("POST", `/chats/${body.chat.id}/members`, {
+      token: owner.token,
+      body: { usernames },
+    });
+  }
+  return body.chat;
+};
+
+const send = async (user, chatId, content) =>
+  (
+    await api.request("POST", `/messages/${chatId}`, {
+      token: user.token,
+      body: { content },
+    })
+  ).body.message;
+
+const unreadCount = async (user, chatId) => {
+  const { body } = await api.request("GET", "/chats", { token: user.token });
+  return body.chats.find((chat) => chat.id === chatId).unreadCount;
+};
+
+test("read cursors drive unread counts and read receipts", async () => {
+  const chat = await privateChat(alice, "bob");
+  const first = await send(alice, chat.id, "one");
+  await send(alice, chat.id, "two");
+  assert.equal(await unreadCount(bob, chat.id), 2);
+  assert.equal(await unreadCount(alice, chat.id), 0);
+
+  const read = await api.request("POST", `/chats/${chat.id}/read`, {
+    token: bob.token,
+    body: { messageId: first.id },
+  });
+  assert.equal(read.body.unreadCount, 1);
+
+  // Курсор не сдвигается назад
+  await api.request("POST", `/chats/${chat.id}/read`, {
+    token: bob.token,
+    body: {},
+  });
+  await api.request("POST", `/chats/${chat.id}/read`, {
+    token: bob.token,
+    body: { messageId: first.id },
+  });
+  assert.equal(await unreadCount(bob, chat.id), 0);
+
+  const { body } = await api.request("GET", `/messages/${chat.id}`, {
+    token: alice.token,
+  });
+  assert.deepEqual(
+    body.messages.map((message) => [message.status, message.readBy]),
+    [
+      ["read", [bob.user.id]],
+      ["read", [bob.user.id]],
+    ]
+  );
+
+  // Посторонний не может отметить прочтение
+  const denied = await api.request("POST", `/chats/${chat.id}/read`, {
+    token: charlie.token,
+    body: {},
+  });
+  assert.equal(denied.status, 403);
+});
+
+test("edits keep history and only the author may edit", async () => {
+  const chat = await privateChat(alice, "charlie");
+  const message = await send(alice, chat.id, "draft");
+
+  const edit = (user, content) =>
+    api.request("PATCH", `/messages/${chat.id}/${message.id}`, {
+      token: user.token,
+      body: { content },
+    });
+
+  const edited = await edit(alice, "final");
+  assert.equal(edited.status, 200);
+  assert.equal(edited.body.message.content, "final");
+  assert.equal(edited.body.message.edited, true);
+  assert.deepEqual(
+    edited.body.message.editHistory.map((entry) => entry.content),
+    ["draft"]
+  );
+
+  const foreign = await edit(charlie, "hacked");
+  assert.equal(foreign.status, 403);
+  assert.equal(foreign.body.code, "FORBIDDEN");
+
+  // Удаленное сообщение остается в истории без содержимого
+  const removed = await api.request(
+    "DELETE",
+    `/messages/${chat.id}/${message.id}`,
+    { token: charlie.token }
+  );
+  assert.equal(removed.status, 403);
+  await api.request("DELETE", `/messages/${chat.id}/${message.id}`, {
+    token: alice.token,
+  });
+  const { body } = await api.request("GET", `/messages/${chat.id}`, {
+    token: charlie.token,
+  });
+  const tombstone = body.messages.find((m) => m.id === message.id);
+  assert.equal(tombstone.deleted, true);
+  assert.equal(tombstone.content, "");
+  assert.deepEqual(tombstone.editHistory, []);
+  assert.equal((await edit(alice, "again")).status, 404);
+});
+
+test("group roles: admins manage members, only the owner manages admins", async () => {
+  const group = await createGroup(alice, ["bob", "charlie"]);
+  const url = `/chats/${group.id}`;
+
+  // Обычный участник не добавляет и не исключает
+  const add = await api.request("POST", `${url}/members`, {
+    token: bob.token,
+    body: { username: "alice" },
+  });
+  assert.equal(add.status, 403);
+  const kick = await api.request(
+    "DELETE",
+    `${url}/members/${charlie.user.id}`,
+    { token: bob.token }
+  );
+  assert.equal(kick.status, 403);
+
+  // Назначает администраторов только владелец
+  const promoteByMember = await api.request(
+    "POST",
+    `${url}/admins/${bob.user.id}`,
+    { token: charlie.token }
+  );
+  assert.equal(promoteByMember.status, 403);
+  const promote = await api.request("POST", `${url}/admins/${bob.user.id}`, {
+    token: alice.token,
+  });
+  assert.deepEqual(promote.body.chat.admins, [alice.user.id, bob.user.id]);
+
+  // Администратор не исключает владельца и других администраторов
+  const kickOwner = await api.request(
+    "DELETE",
+    `${url}/members/${alice.user.id}`,
+    { token: bob.token }
+  );
+  assert.equal(kickOwner.status, 403);
+  const kickMember = await api.request(
+    "DELETE",
+    `${url}/members/${charlie.user.id}`,
+    { token: bob.token }
+  );
+  assert.equal(kickMember.status, 200);
+  assert.deepEqual(kickMember.body.chat.participants, [
+    alice.user.id,
+    bob.user.id,
+  ]);
+
+  const transferByAdmin = await api.request("POST", `${url}/owner`, {
+    token: bob.token,
+    body: { userId: bob.user.id },
+  });
+  assert.equal(transferByAdmin.status, 403);
+});
+
+test("the owner leaving passes ownership to an admin", async () => {
+  const group = await createGroup(alice, ["bob", "charlie"]);
+  await api.request("POST", `/chats/${group.id}/admins/${charlie.user.id}`, {
+    token: alice.token,
+  });
+
+  await api.request("POST", `/chats/${group.id}/leave`, {
+    token: alice.token,
+  });
+
+  const { body } = await api.request("GET", `/chats/${group.id}/members`, {
+    token: bob.token,
+  });
+  const roles = Object.fromEntries(
+    body.members.map((member) => [member.username, member.role])
+  );
+  assert.deepEqual(roles, { bob: "member", charlie: "owner" });
+});
+
+test("events reach every socket of participants and nobody else", async () => {
+  const chat = await privateChat(bob, "charlie");
+  const bobPhone = await api.connect(bob.token);
+  const bobLaptop = await api.connect((await api.login("bob")).token);
+  const aliceSocket = await api.connect(alice.token);
+
+  const received = [
+    nextEvent(bobPhone, "new-message"),
+    nextEvent(bobLaptop, "new-message"),
+  ];
+  const leaked = noEvent(aliceSocket, "new-message");
+  const message = await send(charlie, chat.id, "hi bob");
+
+  for (const payload of await Promise.all(received)) {
+    assert.equal(payload.id, message.id);
+  }
+  await leaked;
+});
+
+test("socket send-message acks and deduplicates by clientMessageId", async () => {
+  const chat = await privateChat(alice, "bob");
+  const socket = await api.connect(alice.token);
+  const sendOverSocket = (payload) =>
+    new Promise((resolve) => socket.emit("send-message", payload, resolve));
+
+  const payload = { chatId: chat.id, content: "once", clientMessageId: "c-1" };
+  const first = await sendOverSocket(payload);
+  assert.equal(first.success, true);
+  assert.equal(first.duplicate, false);
+  assert.equal(first.clientMessageId, "c-1");
+
+  const retry = await sendOverSocket(payload);
+  assert.equal(retry.success, true);
+  assert.equal(retry.duplicate, true);
+  assert.equal(retry.id, first.id);
+
+  const { body } = await api.request("GET", `/messages/${chat.id}`, {
+    token: bob.token,
+  });
+  assert.equal(
+    body.messages.filter((message) => message.content === "once").length,
+    1
+  );
+
+  const foreign = await sendOverSocket({
+    chatId: (await createGroup(charlie)).id,
+    content: "x",
+  });
+  assert.equal(foreign.success, false);
+  assert.equal(foreign.code, "CHAT_ACCESS_DENIED");
+
+  const unauthenticated = await new Promise((resolve) =>
+    api.socket().emit("send-message", payload, resolve)
+  );
+  assert.equal(unauthenticated.code, "UNAUTHENTICATED");
+});
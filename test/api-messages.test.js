@@ -0,0 +1,161 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, nextEvent } = require("./helpers");
+
+let api;
+let alice;
+let bob;
+let charlie;
+
+before(async () => {
+  api = await startServer({ RATE_LIMIT_MESSAGES_MAX: "5" });
+  alice = await api.login("alice");
+  bob = await api.login("bob");
+  charlie = await api.login("charlie");
+});
+
+after(() => api.close());
+
+const privateChat = async (user, username) =>
+  (
+    await api.request("POST", "/chats", {
+      token: user.token,
+      body: { type: "private", username },
+    })
+  ).body.chat;
+
+const createGroup = async (owner, usernames) => {
+  const { body } = await api.request("POST", "/chats", {
+    token: owner.token,
+    body: { type: "group", name: "Team" },
+  });
+  await api.request("POST", `/chats/${body.chat.id}/members`, {
+    token: owner.token,
+    body: { usernames },
+  });
+  return body.chat;
+};
+
+const send = async (user, chatId, body) =>
+  api.request("POST", `/messages/${chatId}`, { token: user.token, body });
+
+const history = async (user, chatId) =>
+  (await api.request("GET", `/messages/${chatId}`, { token: user.token })).body
+    .messages;
+
+const forward = (user, chatId, fromChatId, messageIds) =>
+  api.request("POST", `/messages/${chatId}/forward`, {
+    token: user.token,
+    body: { fromChatId, messageIds },
+  });
+
+test("replies quote a parent from the same chat", async () => {
+  const chat = await privateChat(alice, "bob");
+  const other = await privateChat(alice, "charlie");
+  const parent = (await send(bob, chat.id, { content: "question" })).body
+    .message;
+
+  const reply = await send(alice, chat.id, {
+    content: "answer",
+    replyTo: parent.id,
+  });
+  assert.equal(reply.body.message.replyTo.messageId, parent.id);
+  assert.equal(reply.body.message.replyTo.content, "question");
+
+  const crossChat = await send(alice, other.id, {
+    content: "answer",
+    replyTo: parent.id,
+  });
+  assert.equal(crossChat.status, 404);
+  assert.equal(crossChat.body.code, "MESSAGE_NOT_FOUND");
+});
+
+test("forwarding keeps the original sender and checks the source chat", async () => {
+  const source = await privateChat(bob, "charlie");
+  const target = await privateChat(alice, "bob");
+  const original = (await send(charlie, source.id, { content: "news" })).body
+    .message;
+
+  const forwarded = await forward(bob, target.id, source.id, [original.id]);
+  assert.equal(forwarded.status, 200);
+  assert.deepEqual(forwarded.body.messages[0].forwardedFrom, {
+    chatId: source.id,
+    messageId: original.id,
+    senderId: charlie.user.id,
+    senderDisplayName: original.senderDisplayName,
+    timestamp: original.timestamp,
+  });
+
+  // Повторная пересылка указывает первоисточник
+  const again = await forward(alice, target.id, target.id, [
+    forwarded.body.messages[0].id,
+  ]);
+  assert.equal(again.body.messages[0].forwardedFrom.messageId, original.id);
+
+  const stranger = await forward(alice, target.id, source.id, [original.id]);
+  assert.equal(stranger.status, 403);
+  assert.equal(stranger.body.code, "CHAT_ACCESS_DENIED");
+});
+
+test("a forward that exceeds the message limit sends nothing", async () => {
+  const source = await privateChat(alice, "charlie");
+  const target = await createGroup(alice, ["bob", "charlie"]);
+  const ids = [];
+  for (const content of ["1", "2", "3"]) {
+    ids.push((await send(charlie, source.id, { content })).body.message.id);
+  }
+  await send(alice, target.id, { content: "hello" });
+  await send(alice, target.id, { content: "hello again" });
+
+  const sent = (await history(bob, target.id)).length;
+
+  // В лимите 5 сообщений: 2 уже отправлено, 3 пересланных помещаются,
+  // а следующее пересланное — уже нет
+  const tooMany = await forward(alice, target.id, source.id, [...ids, ids[0]]);
+  assert.equal(tooMany.status, 429);
+  assert.ok(Number(tooMany.headers.get("retry-after")) > 0);
+  assert.equal((await history(bob, target.id)).length, sent);
+
+  const fits = await forward(alice, target.id, source.id, ids);
+  assert.equal(fits.body.messages.length, 3);
+  const limited = await send(alice, target.id, { content: "one more" });
+  assert.equal(limited.status, 429);
+});
+
+test("reactions are aggregated per emoji and broadcast to participants", async () => {
+  const chat = await privateChat(alice, "bob");
+  const message = (await send(alice, chat.id, { content: "ship it" })).body
+    .message;
+  const url = `/messages/${chat.id}/${message.id}/reactions`;
+  const bobSocket = await api.connect(bob.token);
+
+  const updated = nextEvent(bobSocket, "reaction-updated");
+  await api.request("POST", url, {
+    token: alice.token,
+    body: { emoji: "👍" },
+  });
+  assert.equal((await updated).action, "added");
+
+  const both = await api.request("POST", url, {
+    token: bob.token,
+    body: { emoji: "👍" },
+  });
+  assert.deepEqual(both.body.reactions, [
+    { emoji: "👍", count: 2, userIds: [alice.user.id, bob.user.id] },
+  ]);
+
+  const removed = await api.request(
+    "DELETE",
+    `${url}/${encodeURIComponent("👍")}`,
+    { token: alice.token }
+  );
+  assert.deepEqual(removed.body.reactions, [
+    { emoji: "👍", count: 1, userIds: [bob.user.id] },
+  ]);
+
+  const stranger = await api.request("POST", url, {
+    token: charlie.token,
+    body: { emoji: "👎" },
+  });
+  assert.equal(stranger.status, 403);
+});
@@ -0,0 +1,125 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+let api;
+let alice;
+let bob;
+let charlie;
+
+before(async () => {
+  api = await startServer();
+  alice = await api.login("alice");
+  bob = await api.login("bob");
+  charlie = await api.login("charlie");
+});
+
+after(() => api.close());
+
+const setPrivacy = (user, privacy) =>
+  api.request("PUT", "/auth/privacy", { token: user.token, body: privacy });
+
+const search = async (user, q) =>
+  (
+    await api.request("GET", `/users/search?q=${q}`, { token: user.token })
+  ).body.users.map((found) => found.username);
+
+const openChat = (user, username) =>
+  api.request("POST", "/chats", {
+    token: user.token,
+    body: { type: "private", username },
+  });
+
+test("a block hides both users from each other and stops messages", async (t) => {
+  const chat = (await openChat(alice, "bob")).body.chat;
+  await api.request("POST", "/blocks", {
+    token: bob.token,
+    body: { userId: alice.user.id },
+  });
+  t.after(() =>
+    api.request("DELETE", `/blocks/${alice.user.id}`, { token: bob.token })
+  );
+
+  assert.deepEqual(await search(alice, "bob"), []);
+  assert.deepEqual(await search(bob, "alice"), []);
+
+  // Заблокированный не узнает о блокировке
+  const toBlocker = await api.request("POST", `/messages/${chat.id}`, {
+    token: alice.token,
+    body: { content: "hi" },
+  });
+  assert.equal(toBlocker.status, 403);
+  assert.equal(toBlocker.body.code, "PRIVACY_RESTRICTED");
+
+  const fromBlocker = await api.request("POST", `/messages/${chat.id}`, {
+    token: bob.token,
+    body: { content: "hi" },
+  });
+  assert.equal(fromBlocker.body.code, "USER_BLOCKED");
+
+  const { body } = await api.request("GET", "/chats", { token: alice.token });
+  const view = body.chats.find((item) => item.id === chat.id);
+  assert.equal(view.lastSeen, null);
+  assert.equal(view.isOnline, false);
+
+  const blocked = await api.request("GET", "/blocks", { token: bob.token });
+  assert.deepEqual(
+    blocked.body.users.map((user) => user.username),
+    ["alice"]
+  );
+});
+
+test("messages: contacts only lets contacts open a chat", async (t) => {
+  await setPrivacy(charlie, { messages: "contacts" });
+  t.after(() => setPrivacy(charlie, { messages: "everyone" }));
+
+  const denied = await openChat(alice, "charlie");
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.code, "PRIVACY_RESTRICTED");
+
+  await api.request("POST", "/contacts", {
+    token: charlie.token,
+    body: { userId: alice.user.id },
+  });
+  t.after(() =>
+    api.request("DELETE", `/contacts/${alice.user.id}`, {
+      token: charlie.token,
+    })
+  );
+  assert.equal((await openChat(alice, "charlie")).status, 200);
+});
+
+test("hidden users are found only by their contacts", async (t) => {
+  await setPrivacy(charlie, { searchable: false });
+  t.after(() => setPrivacy(charlie, { searchable: true }));
+
+  assert.deepEqual(await search(alice, "charlie"), []);
+  assert.deepEqual(await search(bob, "charlie"), []);
+
+  await api.request("POST", "/contacts", {
+    token: charlie.token,
+    body: { userId: bob.user.id },
+  });
+  t.after(() =>
+    api.request("DELETE", `/contacts/${bob.user.id}`, { token: charlie.token })
+  );
+  assert.deepEqual(await search(bob, "charlie"), ["charlie"]);
+});
+
+test("last seen follows the lastSeen setting", async (t) => {
+  const chat = (await openChat(charlie, "bob")).body.chat;
+  const lastSeen = async () => {
+    const { body } = await api.request("GET", "/chats", {
+      token: charlie.token,
+    });
+    return body.chats.find((item) => item.id === chat.id).lastSeen;
+  };
+  assert.equal(typeof (await lastSeen()), "string");
+
+  await setPrivacy(bob, { lastSeen: "nobody" });
+  t.after(() => setPrivacy(bob, { lastSeen: "everyone" }));
+  assert.equal(await lastSeen(), null);
+
+  const own = await api.request("GET", "/auth/privacy", { token: bob.token });
+  assert.equal(own.body.privacy.lastSeen, "nobody");
+});
@@ -0,0 +1,124 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, nextEvent } = require("./helpers");
+
+let api;
+let alice;
+let bob;
+let chatId;
+
+before(async () => {
+  api = await startServer();
+  alice = await api.login("alice");
+  bob = await api.login("bob");
+  const { body } = await api.request("POST", "/chats", {
+    token: alice.token,
+    body: { type: "private", username: "bob" },
+  });
+  chatId = body.chat.id;
+});
+
+after(() => api.close());
+
+const sync = async (user, query) =>
+  (await api.request("GET", `/sync?${query}`, { token: user.token })).body;
+
+test("changes after the cursor are returned in order", async () => {
+  const { cursor: start } = await sync(bob, "since=0");
+
+  await api.request("POST", `/messages/${chatId}`, {
+    token: alice.token,
+    body: { content: "first" },
+  });
+  const { body: sent } = await api.request("POST", `/messages/${chatId}`, {
+    token: alice.token,
+    body: { content: "second" },
+  });
+  await api.request("PATCH", `/messages/${chatId}/${sent.message.id}`, {
+    token: alice.token,
+    body: { content: "second, edited" },
+  });
+
+  const result = await sync(bob, `since=${start}`);
+  assert.equal(result.success, true);
+  assert.equal(result.resetRequired, false);
+  assert.equal(result.hasMore, false);
+  assert.deepEqual(
+    result.changes.map((change) => change.event),
+    ["new-message", "new-message", "message-edited"]
+  );
+  assert.equal(result.changes[0].payload.content, "first");
+  assert.equal(result.changes[2].payload.id, sent.message.id);
+  assert.equal(result.changes[2].payload.content, "second, edited");
+  assert.ok(
+    result.changes.every(
+      (change, i, list) => i === 0 || list[i - 1].seq < change.seq
+    )
+  );
+  assert.equal(result.cursor, result.changes[2].seq);
+
+  // С новым курсором изменений нет
+  const again = await sync(bob, `since=${result.cursor}`);
+  assert.deepEqual(again.changes, []);
+  assert.equal(again.cursor, result.cursor);
+});
+
+test("sync pages with limit and hasMore", async () => {
+  const { cursor: start } = await sync(bob, "since=0");
+  for (const content of ["one", "two", "three"]) {
+    await api.request("POST", `/messages/${chatId}`, {
+      token: alice.token,
+      body: { content },
+    });
+  }
+
+  const first = await sync(bob, `since=${start}&limit=2`);
+  assert.equal(first.changes.length, 2);
+  assert.equal(first.hasMore, true);
+  assert.equal(first.cursor, first.changes[1].seq);
+
+  const second = await sync(bob, `since=${first.cursor}&limit=2`);
+  assert.deepEqual(
+    second.changes.map((change) => change.payload.content),
+    ["three"]
+  );
+  assert.equal(second.hasMore, false);
+});
+
+test("users only get changes of their own chats", async () => {
+  const charlie = await api.login("charlie");
+  const { cursor: start } = await sync(charlie, "since=0");
+
+  await api.request("POST", `/messages/${chatId}`, {
+    token: alice.token,
+    body: { content: "not for charlie" },
+  });
+
+  const result = await sync(charlie, `since=${start}`);
+  assert.deepEqual(result.changes, []);
+});
+
+test("a cursor from another database requires a full reload", async () => {
+  const { cursor } = await sync(bob, "since=0");
+  const result = await sync(bob, `since=${cursor + 1000}`);
+  assert.equal(result.resetRequired, true);
+});
+
+test("socket clients get missed changes on authenticate", async () => {
+  const { cursor } = await sync(bob, "since=0");
+  await api.request("POST", `/messages/${chatId}`, {
+    token: alice.token,
+    body: { content: "while offline" },
+  });
+
+  const socket = api.socket();
+  const synced = nextEvent(socket, "sync");
+  socket.emit("authenticate", { token: bob.token, since: cursor });
+  const result = await synced;
+
+  assert.deepEqual(
+    result.changes.map((change) => change.payload.content),
+    ["while offline"]
+  );
+  assert.equal(result.cursor, result.changes[0].seq);
+});
@@ -0,0 +1,75 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+let api;
+let alice;
+let bob;
+let group;
+
+before(async () => {
+  api = await startServer();
+  alice = await api.login("alice");
+  bob = await api.login("bob");
+  const { body } = await api.request("POST", "/chats", {
+    token: alice.token,
+    body: { type: "group", name: "Hooks" },
+  });
+  group = body.chat;
+  await api.request("POST", `/chats/${group.id}/members`, {
+    token: alice.token,
+    body: { username: "bob" },
+  });
+});
+
+after(() => api.close());
+
+const PRIVATE_URLS = [
+  "http://127.0.0.1:8080/hook",
+  "http://[::ffff:10.0.0.1]/hook",
+  "http://169.254.169.254/latest/meta-data",
+  "http://2130706433/hook",
+];
+
+const createWebhook = (user, url) =>
+  api.request("POST", `/chats/${group.id}/webhooks`, {
+    token: user.token,
+    body: { url },
+  });
+
+test("chat webhooks must point to a public address", async () => {
+  for (const url of PRIVATE_URLS) {
+    const { status, body } = await createWebhook(alice, url);
+    assert.equal(status, 400, url);
+    assert.equal(body.code, "VALIDATION_ERROR");
+  }
+
+  const created = await createWebhook(alice, "https://93.184.215.14/hook");
+  assert.equal(created.status, 201);
+  assert.equal(typeof created.body.secret, "string");
+
+  const byMember = await createWebhook(bob, "https://93.184.215.14/hook");
+  assert.equal(byMember.status, 403);
+});
+
+test("bot webhooks must point to a public address", async () => {
+  const { body } = await api.request("POST", "/bots", {
+    token: alice.token,
+    body: { username: "hook_bot", displayName: "Hook bot" },
+  });
+  const setWebhook = (url) =>
+    api.request("PUT", "/bot/webhook", {
+      headers: { Authorization: `Bot ${body.token}` },
+      body: { url },
+    });
+
+  for (const url of PRIVATE_URLS) {
+    const rejected = await setWebhook(url);
+    assert.equal(rejected.status, 400, url);
+    assert.equal(rejected.body.code, "VALIDATION_ERROR");
+  }
+
+  const accepted = await setWebhook("https://93.184.215.14/bot");
+  assert.equal(accepted.status, 200);
+  assert.deepEqual(accepted.body.webhook.events, ["command", "mention"]);
+});
@@ -0,0 +1,106 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {
+  MemoryAuditLog,
+  FileAuditLog,
+  createAuditLog,
+} = require("../lib/audit-log");
+const { tempDir } = require("./helpers");
+
+const tempFile = (t) => path.join(tempDir(t, "acto-audit-"), "a.jsonl");
+
+test("entries get sequence numbers and cannot be changed", () => {
+  const log = new MemoryAuditLog();
+  const first = log.append({ action: "auth.login", actorId: "u1" });
+  const second = log.append({ action: "auth.logout", actorId: "u1" });
+
+  assert.equal(first.seq, 1);
+  assert.equal(second.seq, 2);
+  assert.ok(first.id);
+  assert.ok(first.timestamp);
+
+  assert.equal(Reflect.set(first, "action", "auth.register"), false);
+  assert.equal(Reflect.deleteProperty(first, "actorId"), false);
+  assert.equal(log.entries[0].action, "auth.login");
+});
+
+test("entry fields cannot override seq, id or timestamp", () => {
+  const log = new MemoryAuditLog();
+  log.append({ action: "auth.login" });
+  const entry = log.append({
+    action: "auth.logout",
+    seq: 100,
+    id: "forged",
+    timestamp: "2000-01-01T00:00:00.000Z",
+  });
+  assert.equal(entry.seq, 2);
+  assert.notEqual(entry.id, "forged");
+  assert.notEqual(entry.timestamp, "2000-01-01T00:00:00.000Z");
+});
+
+test("query returns newest first with a cursor", () => {
+  const log = new MemoryAuditLog();
+  for (let i = 1; i <= 5; i++) {
+    log.append({ action: i % 2 ? "auth.login" : "chat.created" });
+  }
+  const isLogin = (entry) => entry.action === "auth.login";
+
+  const page = log.query(isLogin, { limit: 2 });
+  assert.deepEqual(
+    page.entries.map((entry) => entry.seq),
+    [5, 3]
+  );
+  assert.equal(page.hasMore, true);
+
+  const next = log.query(isLogin, { before: 3, limit: 2 });
+  assert.deepEqual(
+    next.entries.map((entry) => entry.seq),
+    [1]
+  );
+  assert.equal(next.hasMore, false);
+});
+
+test("filter returns matching entries in chronological order", () => {
+  const log = new MemoryAuditLog();
+  log.append({ action: "auth.login" });
+  log.append({ action: "chat.created" });
+  log.append({ action: "auth.logout" });
+
+  assert.deepEqual(
+    log.filter((entry) => entry.action.startsWith("auth.")).map((e) => e.seq),
+    [1, 3]
+  );
+});
+
+test("file log appends JSON lines and reloads them", async (t) => {
+  const file = tempFile(t);
+  const log = new FileAuditLog({ file });
+  await log.init();
+  log.append({ action: "auth.login" });
+  log.append({ action: "admin.user_banned" });
+
+  const lines = fs.readFileSync(file, "utf8").trim().split("\n");
+  assert.equal(lines.length, 2);
+  assert.equal(JSON.parse(lines[1]).action, "admin.user_banned");
+
+  // Поврежденная строка пропускается, нумерация продолжается
+  fs.appendFileSync(file, "not json\n");
+  t.mock.method(console, "warn", () => {});
+  const reopened = new FileAuditLog({ file });
+  await reopened.init();
+  assert.equal(reopened.entries.length, 2);
+  assert.equal(console.warn.mock.callCount(), 1);
+  assert.ok(Object.isFrozen(reopened.entries[0]));
+  assert.equal(reopened.append({ action: "auth.logout" }).seq, 3);
+});
+
+test("createAuditLog selects the driver", (t) => {
+  assert.ok(createAuditLog({ driver: "memory" }) instanceof MemoryAuditLog);
+  assert.ok(
+    createAuditLog({ driver: "file", file: tempFile(t) }) instanceof
+      FileAuditLog
+  );
+  assert.throws(() => createAuditLog({ driver: "db" }), /Unknown audit/);
+});
@@ -0,0 +1,67 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseEntities } = require("../lib/entities");
+
+const pick = (content, type) =>
+  parseEntities(content)
+    .filter((entity) => entity.type === type)
+    .map((entity) => content.substr(entity.offset, entity.length));
+
+test("empty content has no entities", () => {
+  assert.deepEqual(parseEntities(""), []);
+  assert.deepEqual(parseEntities(undefined), []);
+});
+
+test("mentions, hashtags and urls are found with offsets", () => {
+  const content = "Привет @Alice, смотри #Релиз на https://example.com/a.";
+
+  assert.deepEqual(parseEntities(content), [
+    { type: "mention", offset: 7, length: 6, username: "alice" },
+    { type: "hashtag", offset: 22, length: 6, tag: "релиз" },
+    {
+      type: "url",
+      offset: 32,
+      length: 21,
+      url: "https://example.com/a",
+    },
+  ]);
+});
+
+test("emails and url fragments are not mentions or hashtags", () => {
+  const content = "mail bob@example.com or https://site.io/#top and @carol";
+
+  assert.deepEqual(pick(content, "mention"), ["@carol"]);
+  assert.deepEqual(pick(content, "hashtag"), []);
+});
+
+test("markup describes the text between markers", () => {
+  const content = "**bold** and _italic_ and ~~gone~~";
+
+  assert.deepEqual(pick(content, "bold"), ["bold"]);
+  assert.deepEqual(pick(content, "italic"), ["italic"]);
+  assert.deepEqual(pick(content, "strikethrough"), ["gone"]);
+});
+
+test("nothing is parsed inside code", () => {
+  const content = "`@alice #tag` and ```\nhttps://x.io **b**\n```";
+
+  assert.deepEqual(
+    parseEntities(content).map((entity) => entity.type),
+    ["code", "pre"]
+  );
+});
+
+test("a leading command is parsed with the optional bot username", () => {
+  const [command] = parseEntities("/Deploy@CI_bot prod");
+  assert.deepEqual(command, {
+    type: "command",
+    offset: 0,
+    length: 14,
+    command: "deploy",
+    username: "ci_bot",
+  });
+
+  assert.deepEqual(pick("run /deploy", "command"), []);
+  // @username в команде не считается упоминанием
+  assert.deepEqual(pick("/deploy@ci_bot", "mention"), []);
+});
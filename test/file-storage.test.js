@@ -0,0 +1,58 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createFileStorage } = require("../lib/file-storage");
+const { tempDir } = require("./helpers");
+
+const tempStorage = (t) => {
+  const dir = tempDir(t, "acto-uploads-");
+  return { dir, storage: createFileStorage({ dir }) };
+};
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+test("saves, reads and deletes files by key", async (t) => {
+  const { dir, storage } = tempStorage(t);
+
+  await storage.save("a1/photo.jpg", Buffer.from("data"));
+  assert.equal(await storage.exists("a1/photo.jpg"), true);
+  assert.equal(
+    await readStream(storage.createReadStream("a1/photo.jpg")),
+    "data"
+  );
+
+  await storage.delete("a1/photo.jpg");
+  assert.equal(await storage.exists("a1/photo.jpg"), false);
+  // Опустевший каталог вложения удален
+  assert.equal(fs.existsSync(path.join(dir, "a1")), false);
+});
+
+test("keeps the attachment directory while it has files", async (t) => {
+  const { dir, storage } = tempStorage(t);
+
+  await storage.save("a1/original.png", Buffer.from("1"));
+  await storage.save("a1/thumb.jpg", Buffer.from("2"));
+  await storage.delete("a1/thumb.jpg");
+
+  assert.equal(fs.existsSync(path.join(dir, "a1", "original.png")), true);
+});
+
+test("rejects keys outside the storage directory", async (t) => {
+  const { storage } = tempStorage(t);
+
+  await assert.rejects(
+    storage.save("../escape.txt", Buffer.from("x")),
+    /Invalid storage key/
+  );
+  assert.throws(() => storage.createReadStream("/etc/passwd"), /Invalid/);
+  assert.equal(await storage.exists("../../etc/passwd"), false);
+});
+
+test("unknown drivers are rejected", () => {
+  assert.throws(() => createFileStorage({ driver: "s3" }), /Unknown file/);
+});
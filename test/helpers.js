@@ -0,0 +1,152 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { io: ioClient } = require("socket.io-client");
+
+// Общие помощники тестов
+
+// Временный каталог, который удаляется после теста
+const tempDir = (t, prefix = "acto-") => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+// Управляемые часы: тесты сдвигают время вместо ожидания
+const useClock = (t, start = 1_000_000) => {
+  let now = start;
+  t.mock.method(Date, "now", () => now);
+  return (ms) => {
+    now += ms;
+  };
+};
+
+// Сервер для интеграционных тестов: хранилище в памяти, письма — в файл,
+// порт выбирает система. acto-backend.js читает окружение при загрузке,
+// поэтому сервер один на файл тестов (каждый файл — отдельный процесс)
+const startServer = async (env = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "acto-api-"));
+  Object.assign(process.env, {
+    STORAGE_DRIVER: "memory",
+    JWT_SECRET: "test-secret",
+    MAIL_TRANSPORT: "file",
+    MAIL_FILE: path.join(dir, "mail.jsonl"),
+    UPLOADS_DIR: path.join(dir, "uploads"),
+    LINK_PREVIEW_FETCHER: "none",
+    RATE_LIMIT_AUTH_MAX: "1000",
+    ...env,
+  });
+
+  // Журнал запросов сервера в выводе тестов не нужен; ошибки остаются
+  console.log = () => {};
+
+  const { server, io, bootstrap } = require("../acto-backend");
+  await bootstrap();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const sockets = [];
+
+  // Ответ: { status, headers, body } (body — JSON или текст)
+  const request = async (method, url, { token, body, headers = {} } = {}) => {
+    const isForm = body instanceof FormData;
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...(body && !isForm && { "Content-Type": "application/json" }),
+        ...headers,
+      },
+      body: body && !isForm ? JSON.stringify(body) : body,
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      // Не JSON (например, файл вложения)
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  };
+
+  // Вход демо-пользователя: { token, refreshToken, user, ... }
+  const login = async (username, password = "123456") => {
+    const { status, body } = await request("POST", "/auth/login", {
+      body: { username, password },
+    });
+    if (status !== 200) {
+      throw new Error(`Login ${username} failed: ${status}`);
+    }
+    return body;
+  };
+
+  // Сокет без аутентификации
+  const socket = () => {
+    const client = ioClient(baseUrl, {
+      transports: ["websocket"],
+      forceNew: true,
+      reconnection: false,
+    });
+    sockets.push(client);
+    return client;
+  };
+
+  // Аутентифицированный сокет
+  const connect = async (token) => {
+    const client = socket();
+    const authenticated = nextEvent(client, "authenticated");
+    client.emit("authenticate", { token });
+    const result = await authenticated;
+    if (!result.success) throw new Error(`Socket auth failed: ${result.code}`);
+    return client;
+  };
+
+  // Письмо может дописываться в момент чтения: берутся только строки,
+  // завершенные переводом строки
+  const mails = () => {
+    const file = process.env.MAIL_FILE;
+    if (!fs.existsSync(file)) return [];
+    const lines = fs.readFileSync(file, "utf8").split("\n");
+    return lines.slice(0, -1).map((line) => JSON.parse(line));
+  };
+
+  const close = async () => {
+    sockets.forEach((socket) => socket.close());
+    await new Promise((resolve) => io.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  return { baseUrl, request, login, socket, connect, mails, close };
+};
+
+// Следующее событие сокета: аргументы обработчика (payload первым)
+const nextEvent = (socket, event, timeoutMs = 2000) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, handler);
+      reject(new Error(`No ${event} event within ${timeoutMs} ms`));
+    }, timeoutMs);
+    const handler = (payload) => {
+      clearTimeout(timer);
+      resolve(payload);
+    };
+    socket.once(event, handler);
+  });
+
+// Событие не пришло за waitMs
+const noEvent = (socket, event, waitMs = 200) =>
+  new Promise((resolve, reject) => {
+    const handler = () => reject(new Error(`Unexpected ${event} event`));
+    socket.once(event, handler);
+    setTimeout(() => {
+      socket.off(event, handler);
+      resolve();
+    }, waitMs);
+  });
+
+module.exports = {
+  tempDir,
+  useClock,
+  startServer,
+  nextEvent,
+  noEvent,
+};
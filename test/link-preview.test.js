@@ -0,0 +1,48 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const {
+  HttpFetcher,
+  StubFetcher,
+  createLinkPreviewFetcher,
+} = require("../lib/link-preview");
+
+test("http fetcher refuses private addresses before requesting", async (t) => {
+  let requests = 0;
+  const server = http.createServer((req, res) => {
+    requests += 1;
+    res.end("<title>internal</title>");
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+  const { port } = server.address();
+
+  for (const url of [
+    "http://169.254.169.254/latest",
+    `http://[::ffff:127.0.0.1]:${port}/`,
+    `http://[::127.0.0.1]:${port}/`,
+    `http://localhost:${port}/`,
+  ]) {
+    await assert.rejects(new HttpFetcher().fetch(url), /Private/, url);
+  }
+  assert.equal(requests, 0);
+});
+
+test("stub fetcher uses the host name as the title", async () => {
+  assert.deepEqual(await new StubFetcher().fetch("https://example.com/page"), {
+    url: "https://example.com/page",
+    title: "example.com",
+    description: "",
+    image: null,
+    siteName: "example.com",
+  });
+});
+
+test("createLinkPreviewFetcher selects the driver", () => {
+  assert.ok(createLinkPreviewFetcher() instanceof HttpFetcher);
+  assert.ok(
+    createLinkPreviewFetcher({ driver: "stub" }) instanceof StubFetcher
+  );
+  assert.equal(createLinkPreviewFetcher({ driver: "none" }), null);
+  assert.throws(() => createLinkPreviewFetcher({ driver: "x" }), /Unknown/);
+});
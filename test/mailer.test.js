@@ -0,0 +1,44 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { Mailer, createMailer } = require("../lib/mailer");
+const { tempDir } = require("./helpers");
+
+test("mailer adds the sender address", async () => {
+  const sent = [];
+  const mailer = new Mailer({
+    transport: { send: async (mail) => sent.push(mail) },
+    from: "ACTO <no-reply@example.com>",
+  });
+
+  await mailer.send({ to: "bob@example.com", subject: "Hi", text: "Hello" });
+
+  assert.deepEqual(sent, [
+    {
+      from: "ACTO <no-reply@example.com>",
+      to: "bob@example.com",
+      subject: "Hi",
+      text: "Hello",
+    },
+  ]);
+});
+
+test("file transport appends one JSON line per mail", async (t) => {
+  const file = path.join(tempDir(t, "acto-mail-"), "outbox", "mail.jsonl");
+  const mailer = createMailer({ transport: "file", file });
+
+  await mailer.send({ to: "a@example.com", subject: "One", text: "1" });
+  await mailer.send({ to: "b@example.com", subject: "Two", text: "2" });
+
+  const lines = fs.readFileSync(file, "utf8").trim().split("\n");
+  assert.equal(lines.length, 2);
+  const first = JSON.parse(lines[0]);
+  assert.equal(first.to, "a@example.com");
+  assert.equal(first.subject, "One");
+  assert.ok(first.sentAt);
+});
+
+test("createMailer rejects unknown transports", () => {
+  assert.throws(() => createMailer({ transport: "smtp" }), /Unknown mail/);
+});
@@ -0,0 +1,65 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const {
+  THUMBNAIL_SIZE,
+  getAttachmentKind,
+  decodeFileName,
+  processImage,
+} = require("../lib/media");
+
+test("attachment kind is derived from the MIME type", () => {
+  assert.equal(getAttachmentKind("image/png"), "image");
+  assert.equal(getAttachmentKind("audio/ogg"), "audio");
+  assert.equal(getAttachmentKind("application/pdf"), "file");
+  assert.equal(getAttachmentKind("application/x-msdownload"), null);
+});
+
+test("file names sent as UTF-8 are decoded", () => {
+  const latin1 = (name) => Buffer.from(name, "utf8").toString("latin1");
+
+  assert.equal(decodeFileName(latin1("отчёт.txt")), "отчёт.txt");
+  assert.equal(decodeFileName(latin1("日本.pdf")), "日本.pdf");
+  assert.equal(decodeFileName("report.txt"), "report.txt");
+  // Уже декодированное и настоящее latin1-имя не портятся
+  assert.equal(decodeFileName("отчёт.txt"), "отчёт.txt");
+  assert.equal(decodeFileName("caf\u00e9.txt"), "café.txt");
+});
+
+test("images get dimensions and a bounded JPEG thumbnail", async () => {
+  const png = await sharp({
+    create: {
+      width: 800,
+      height: 400,
+      channels: 3,
+      background: { r: 200, g: 10, b: 10 },
+    },
+  })
+    .png()
+    .toBuffer();
+
+  const result = await processImage(png);
+
+  assert.equal(result.width, 800);
+  assert.equal(result.height, 400);
+  assert.equal(result.thumbnail.width, THUMBNAIL_SIZE);
+  assert.equal(result.thumbnail.height, THUMBNAIL_SIZE / 2);
+  const metadata = await sharp(result.thumbnail.buffer).metadata();
+  assert.equal(metadata.format, "jpeg");
+});
+
+test("small images are not enlarged", async () => {
+  const png = await sharp({
+    create: { width: 50, height: 30, channels: 4, background: "#00ff00" },
+  })
+    .png()
+    .toBuffer();
+
+  const { thumbnail } = await processImage(png);
+  assert.equal(thumbnail.width, 50);
+  assert.equal(thumbnail.height, 30);
+});
+
+test("non-image data returns null", async () => {
+  assert.equal(await processImage(Buffer.from("not an image")), null);
+});
@@ -0,0 +1,56 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { MemoryStore } = require("../lib/storage");
+const { migrations, runMigrations } = require("../lib/migrations");
+
+const latestVersion = migrations[migrations.length - 1].version;
+
+test("migrations seed demo users into an empty store", async () => {
+  const store = new MemoryStore();
+  await runMigrations(store);
+
+  const users = store.collection("users");
+  assert.deepEqual(Array.from(users.keys()).sort(), [
+    "demo_alice",
+    "demo_bob",
+    "demo_charlie",
+  ]);
+  const alice = users.get("demo_alice");
+  assert.equal(alice.role, "user");
+  assert.ok(alice.privacy);
+  assert.notEqual(alice.password, "123456");
+  assert.equal(store.collection("meta").get("schemaVersion"), latestVersion);
+});
+
+test("migrations upgrade existing records and skip seeding", async () => {
+  const store = new MemoryStore();
+  store.collection("users").set("u1", { id: "u1", username: "old" });
+  store.collection("chats").set("c1", {
+    id: "c1",
+    type: "private",
+    isOnline: true,
+    lastSeen: "2024-01-01T00:00:00.000Z",
+  });
+
+  await runMigrations(store);
+
+  const user = store.collection("users").get("u1");
+  assert.equal(store.collection("users").size, 1);
+  assert.equal(user.emailVerified, false);
+  assert.equal(user.role, "user");
+  assert.ok(user.privacy);
+  assert.deepEqual(store.collection("chats").get("c1"), {
+    id: "c1",
+    type: "private",
+  });
+});
+
+test("applied migrations are not run again", async () => {
+  const store = new MemoryStore();
+  store.collection("meta").set("schemaVersion", latestVersion);
+  store.collection("users").set("u1", { id: "u1" });
+
+  await runMigrations(store);
+
+  assert.deepEqual(store.collection("users").get("u1"), { id: "u1" });
+});
@@ -0,0 +1,240 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { MemoryStore } = require("../lib/storage");
+const {
+  DeliveryPool,
+  NotificationQueue,
+  WebhookTransport,
+  deliveryError,
+} = require("../lib/notifications");
+const { useClock } = require("./helpers");
+
+const createQueue = (overrides = {}) => {
+  const store = new MemoryStore();
+  const sent = [];
+  const removed = [];
+  const subscriptions = [{ id: "s1", userId: "u1", transport: "test" }];
+  const queue = new NotificationQueue({
+    jobs: store.collection("jobs"),
+    deadLetters: store.collection("deadLetters"),
+    transports: {
+      test: { send: async (subscription, n) => sent.push(n) },
+    },
+    getSubscriptions: (userId) =>
+      subscriptions.filter((subscription) => subscription.userId === userId),
+    removeSubscription: (id) => removed.push(id),
+    shouldDeliver: () => true,
+    buildNotification: (job) => ({ count: job.messageIds.length }),
+    batchWindowMs: 5_000,
+    maxAttempts: 3,
+    retryBaseMs: 1_000,
+    ...overrides,
+  });
+  return { queue, sent, removed, store };
+};
+
+test("messages in one chat are batched into one notification", async (t) => {
+  const advance = useClock(t);
+  const { queue, sent } = createQueue();
+
+  queue.enqueue("u1", "c1", "m1");
+  queue.enqueue("u1", "c1", "m2");
+  await queue.process();
+  assert.deepEqual(sent, []);
+
+  advance(5_000);
+  await queue.process();
+  assert.deepEqual(sent, [{ count: 2 }]);
+  assert.equal(queue.jobs.size, 0);
+});
+
+test("failed deliveries retry with backoff and then dead-letter", async (t) => {
+  const advance = useClock(t);
+  const { queue, store } = createQueue({
+    transports: {
+      test: {
+        send: async () => {
+          throw deliveryError("temporarily down");
+        },
+      },
+    },
+  });
+
+  queue.enqueue("u1", "c1", "m1");
+  advance(5_000);
+  await queue.process();
+  const job = queue.jobs.get("u1:c1");
+  assert.equal(job.attempts, 1);
+  assert.equal(job.nextAttemptAt, Date.now() + 1_000);
+
+  // До nextAttemptAt повторной попытки нет
+  await queue.process();
+  assert.equal(queue.jobs.get("u1:c1").attempts, 1);
+
+  advance(1_000);
+  await queue.process();
+  assert.equal(queue.jobs.get("u1:c1").nextAttemptAt, Date.now() + 2_000);
+
+  advance(2_000);
+  await queue.process();
+  assert.equal(queue.jobs.size, 0);
+  const [deadLetter] = store.collection("deadLetters").values();
+  assert.equal(deadLetter.attempts, 3);
+  assert.match(deadLetter.lastError, /s1: temporarily down/);
+});
+
+test("permanent errors remove the subscription without retrying", async (t) => {
+  const advance = useClock(t);
+  const { queue, removed } = createQueue({
+    transports: {
+      test: {
+        send: async () => {
+          throw deliveryError("gone", true);
+        },
+      },
+    },
+  });
+
+  queue.enqueue("u1", "c1", "m1");
+  advance(5_000);
+  await queue.process();
+
+  assert.deepEqual(removed, ["s1"]);
+  assert.equal(queue.jobs.size, 0);
+});
+
+test("jobs are dropped when the user no longer needs them", async (t) => {
+  const advance = useClock(t);
+  const { queue, sent } = createQueue({ shouldDeliver: () => false });
+
+  queue.enqueue("u1", "c1", "m1");
+  advance(5_000);
+  await queue.process();
+
+  assert.deepEqual(sent, []);
+  assert.equal(queue.jobs.size, 0);
+});
+
+test("delivery pool runs keys in parallel and one key at a time", async () => {
+  const pool = new DeliveryPool({ concurrency: 2 });
+  const events = [];
+  const release = {};
+  const handler = (item) =>
+    new Promise((resolve) => {
+      events.push(`start ${item.id}`);
+      release[item.id] = () => {
+        events.push(`end ${item.id}`);
+        resolve();
+      };
+    });
+  const items = [
+    { id: "a1", key: "a" },
+    { id: "a2", key: "a" },
+    { id: "b1", key: "b" },
+    { id: "c1", key: "c" },
+  ];
+
+  const running = pool.run(items, (item) => item.key, handler);
+  assert.deepEqual(events, ["start a1", "start b1"]);
+
+  // Пока ключи a и b заняты, новый вызов их пропускает, а мест больше нет
+  await pool.run(items, (item) => item.key, handler);
+  assert.deepEqual(events, ["start a1", "start b1"]);
+
+  release.a1();
+  await new Promise(setImmediate);
+  assert.deepEqual(events.slice(2), ["end a1", "start a2"]);
+
+  release.b1();
+  await new Promise(setImmediate);
+  assert.deepEqual(events.slice(4), ["end b1", "start c1"]);
+
+  release.a2();
+  release.c1();
+  await running;
+  assert.equal(pool.activeKeys.size, 0);
+});
+
+test("a slow subscription does not delay other users", async (t) => {
+  const advance = useClock(t);
+  const sent = [];
+  let finishSlow;
+  const { queue } = createQueue({
+    transports: {
+      test: {
+        send: async (subscription) => {
+          if (subscription.userId === "u1") {
+            await new Promise((resolve) => (finishSlow = resolve));
+          }
+          sent.push(subscription.userId);
+        },
+      },
+    },
+    getSubscriptions: (userId) => [
+      { id: `s-${userId}`, userId, transport: "test" },
+    ],
+  });
+
+  queue.enqueue("u1", "c1", "m1");
+  queue.enqueue("u2", "c1", "m1");
+  advance(5_000);
+  const processing = queue.process();
+  await new Promise(setImmediate);
+  assert.deepEqual(sent, ["u2"]);
+  assert.equal(queue.jobs.has("u2:c1"), false);
+
+  finishSlow();
+  await processing;
+  assert.deepEqual(sent, ["u2", "u1"]);
+});
+
+const listen = (handler) =>
+  new Promise((resolve) => {
+    const server = http.createServer(handler);
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+
+test("webhook transport rejects private addresses permanently", async () => {
+  const transport = new WebhookTransport();
+
+  for (const endpoint of [
+    "http://127.0.0.1:9/hook",
+    "http://169.254.169.254/latest/meta-data",
+    "http://[::1]/hook",
+    "http://[::ffff:127.0.0.1]:9/hook",
+    "http://localhost:9/hook",
+  ]) {
+    await assert.rejects(
+      transport.send({ endpoint }, { title: "t" }),
+      (error) => error.permanent === true
+    );
+  }
+});
+
+test("webhook transport posts JSON and does not follow redirects", async (t) => {
+  const requests = [];
+  const server = await listen((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ url: req.url, body });
+      if (req.url === "/redirect") {
+        res.writeHead(302, { Location: "/target" });
+      }
+      res.end();
+    });
+  });
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const transport = new WebhookTransport({ allowPrivateUrls: true });
+
+  await transport.send({ endpoint: `${base}/hook` }, { title: "Hi" });
+  assert.deepEqual(requests, [{ url: "/hook", body: '{"title":"Hi"}' }]);
+
+  await assert.rejects(
+    transport.send({ endpoint: `${base}/redirect` }, { title: "Hi" }),
+    /responded with 302/
+  );
+  assert.equal(requests.length, 2);
+});
@@ -0,0 +1,91 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { paginateMessages, resolveCursor } = require("../lib/pagination");
+
+// m1..m10 с интервалом в минуту
+const history = Array.from({ length: 10 }, (_, i) => ({
+  id: `m${i + 1}`,
+  timestamp: new Date(Date.UTC(2024, 0, 1, 12, i)).toISOString(),
+}));
+
+const ids = (result) => result.page.map((message) => message.id);
+
+test("without a cursor returns the latest messages", () => {
+  const result = paginateMessages(history, { limit: 3 });
+
+  assert.deepEqual(ids(result), ["m8", "m9", "m10"]);
+  assert.deepEqual(result.pagination, {
+    limit: 3,
+    hasOlder: true,
+    hasNewer: false,
+    prevCursor: "m8",
+    nextCursor: null,
+  });
+});
+
+test("before and after exclude the cursor message", () => {
+  assert.deepEqual(ids(paginateMessages(history, { before: "m8", limit: 3 })), [
+    "m5",
+    "m6",
+    "m7",
+  ]);
+  assert.deepEqual(ids(paginateMessages(history, { after: "m2", limit: 3 })), [
+    "m3",
+    "m4",
+    "m5",
+  ]);
+});
+
+test("pages chain through prevCursor and nextCursor", () => {
+  const first = paginateMessages(history, { before: "m3", limit: 5 });
+  assert.deepEqual(ids(first), ["m1", "m2"]);
+  assert.equal(first.pagination.hasOlder, false);
+  assert.equal(first.pagination.prevCursor, null);
+
+  const next = paginateMessages(history, {
+    after: first.pagination.nextCursor,
+    limit: 5,
+  });
+  assert.deepEqual(ids(next), ["m3", "m4", "m5", "m6", "m7"]);
+});
+
+test("around centers the window and stays inside the history", () => {
+  assert.deepEqual(ids(paginateMessages(history, { around: "m5", limit: 3 })), [
+    "m4",
+    "m5",
+    "m6",
+  ]);
+  assert.deepEqual(
+    ids(paginateMessages(history, { around: "m10", limit: 4 })),
+    ["m7", "m8", "m9", "m10"]
+  );
+});
+
+test("timestamp cursors use message time", () => {
+  // Ровно время m4: before — строго раньше, after — строго позже
+  const time = history[3].timestamp;
+  assert.deepEqual(ids(paginateMessages(history, { before: time, limit: 2 })), [
+    "m2",
+    "m3",
+  ]);
+  assert.deepEqual(ids(paginateMessages(history, { after: time, limit: 2 })), [
+    "m5",
+    "m6",
+  ]);
+
+  // Время между сообщениями
+  const between = "2024-01-01T12:04:30.000Z";
+  assert.deepEqual(
+    ids(paginateMessages(history, { after: between, limit: 1 })),
+    ["m6"]
+  );
+});
+
+test("unknown cursors return null", () => {
+  assert.equal(
+    paginateMessages(history, { before: "missing", limit: 5 }),
+    null
+  );
+  assert.equal(resolveCursor(history, "2024-13-45T00:00:00Z"), null);
+  assert.deepEqual(resolveCursor(history, "m3"), { index: 2, exact: true });
+});
@@ -0,0 +1,144 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const {
+  isPrivateAddress,
+  assertPublicUrl,
+  requestUrl,
+} = require("../lib/public-url");
+
+const listen = (handler) =>
+  new Promise((resolve) => {
+    const server = http.createServer(handler);
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+
+test("private, loopback and reserved addresses are detected", () => {
+  for (const address of [
+    "10.1.2.3",
+    "127.0.0.1",
+    "169.254.169.254",
+    "172.20.0.1",
+    "192.168.1.1",
+    "100.64.0.1",
+    "0.0.0.0",
+    "224.0.0.1",
+    "::",
+    "::1",
+    "fd00::1",
+    "fe80::1",
+    "fec0::1",
+    "ff02::1",
+    "::ffff:7f00:1",
+    "::ffff:a00:1",
+    "::7f00:1",
+    "64:ff9b::a9fe:a9fe",
+    "2002:c0a8:101::1",
+    "not-an-ip",
+  ]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+
+  for (const address of [
+    "8.8.8.8",
+    "172.32.0.1",
+    "2606:4700::1111",
+    "::ffff:808:808",
+    "64:ff9b::808:808",
+  ]) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test("assertPublicUrl rejects private hosts in every URL form", async () => {
+  await assert.rejects(assertPublicUrl("ftp://example.com"), /protocol/);
+
+  for (const url of [
+    "http://127.0.0.1/",
+    "http://2130706433/",
+    "http://0x7f.1/",
+    "http://[::1]:8080/",
+    "http://[::ffff:127.0.0.1]/",
+    "http://[::ffff:10.0.0.1]/",
+    "http://[::127.0.0.1]/",
+    "http://[fec0::1]/",
+    "http://[64:ff9b::169.254.169.254]/",
+    "http://[2002:7f00:1::]/",
+    "http://localhost/",
+  ]) {
+    await assert.rejects(assertPublicUrl(url), /Private/, url);
+  }
+
+  await assertPublicUrl("https://93.184.216.34/");
+  await assertPublicUrl("http://[::ffff:8.8.8.8]/");
+});
+
+test("requestUrl does not connect to private addresses", async (t) => {
+  let requests = 0;
+  const server = await listen((req, res) => {
+    requests += 1;
+    res.end("ok");
+  });
+  t.after(() => server.close());
+  const { port } = server.address();
+
+  // localhost проверяется по ответу DNS, остальные — по адресу в URL
+  for (const url of [
+    `http://127.0.0.1:${port}/`,
+    `http://[::ffff:127.0.0.1]:${port}/`,
+    `http://localhost:${port}/`,
+  ]) {
+    await assert.rejects(
+      requestUrl(url),
+      (error) => error.code === "URL_NOT_ALLOWED",
+      url
+    );
+  }
+  assert.equal(requests, 0);
+
+  const response = await requestUrl(`http://localhost:${port}/`, {
+    allowPrivateUrls: true,
+  });
+  response.resume();
+  assert.equal(response.statusCode, 200);
+  assert.equal(requests, 1);
+});
+
+test("requestUrl sends the body and does not follow redirects", async (t) => {
+  const requests = [];
+  const server = await listen((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ method: req.method, url: req.url, body });
+      res.writeHead(302, { Location: "/target" });
+      res.end();
+    });
+  });
+  t.after(() => server.close());
+
+  const response = await requestUrl(
+    `http://127.0.0.1:${server.address().port}/hook`,
+    { method: "POST", body: "{}", allowPrivateUrls: true }
+  );
+  response.resume();
+
+  assert.equal(response.statusCode, 302);
+  assert.deepEqual(requests, [{ method: "POST", url: "/hook", body: "{}" }]);
+});
+
+test("requestUrl gives up after timeoutMs", async (t) => {
+  const server = await listen(() => {});
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  await assert.rejects(
+    requestUrl(`http://127.0.0.1:${server.address().port}/`, {
+      timeoutMs: 100,
+      allowPrivateUrls: true,
+    }),
+    /abort|timeout/i
+  );
+});
@@ -0,0 +1,122 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { RateLimiter, LoginThrottle, rateLimit } = require("../lib/rate-limit");
+const { useClock } = require("./helpers");
+
+const mockResponse = () => ({
+  headers: {},
+  set(name, value) {
+    this.headers[name] = value;
+  },
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+test("rate limiter allows max events per window and key", (t) => {
+  const advance = useClock(t);
+  const limiter = new RateLimiter({ windowMs: 10_000, max: 2 });
+
+  assert.deepEqual(limiter.consume("a"), {
+    allowed: true,
+    remaining: 1,
+    retryAfter: 0,
+  });
+  assert.equal(limiter.consume("a").allowed, true);
+  assert.equal(limiter.consume("b").allowed, true);
+
+  advance(4_000);
+  assert.deepEqual(limiter.consume("a"), {
+    allowed: false,
+    remaining: 0,
+    retryAfter: 6,
+  });
+
+  // Новое окно начинается после resetAt
+  advance(6_000);
+  assert.equal(limiter.consume("a").allowed, true);
+});
+
+test("rate limiter charges a batch only if it fits", (t) => {
+  useClock(t);
+  const limiter = new RateLimiter({ windowMs: 10_000, max: 5 });
+
+  assert.equal(limiter.consume("a", 3).remaining, 2);
+  assert.deepEqual(limiter.consume("a", 3), {
+    allowed: false,
+    remaining: 2,
+    retryAfter: 10,
+  });
+  assert.equal(limiter.consume("a", 2).allowed, true);
+  assert.equal(limiter.consume("a").allowed, false);
+});
+
+test("rate limiter reset and cleanup drop keys", (t) => {
+  const advance = useClock(t);
+  const limiter = new RateLimiter({ windowMs: 1_000, max: 1 });
+
+  limiter.consume("a");
+  limiter.reset("a");
+  assert.equal(limiter.consume("a").allowed, true);
+
+  advance(1_000);
+  limiter.cleanup();
+  assert.equal(limiter.hits.size, 0);
+});
+
+test("login throttle locks out with doubling duration", (t) => {
+  const advance = useClock(t);
+  const throttle = new LoginThrottle({
+    maxAttempts: 3,
+    baseLockoutMs: 60_000,
+    maxLockoutMs: 100_000,
+  });
+
+  assert.equal(throttle.fail("ip:alice"), 0);
+  assert.equal(throttle.fail("ip:alice"), 0);
+  assert.equal(throttle.fail("ip:alice"), 60);
+  assert.equal(throttle.check("ip:alice"), 60);
+
+  advance(60_000);
+  assert.equal(throttle.check("ip:alice"), 0);
+
+  throttle.fail("ip:alice");
+  throttle.fail("ip:alice");
+  // Вторая блокировка вдвое длиннее, но не больше maxLockoutMs
+  assert.equal(throttle.fail("ip:alice"), 100);
+});
+
+test("successful login clears the throttle", () => {
+  const throttle = new LoginThrottle({
+    maxAttempts: 2,
+    baseLockoutMs: 60_000,
+    maxLockoutMs: 60_000,
+  });
+
+  throttle.fail("key");
+  throttle.succeed("key");
+  assert.equal(throttle.fail("key"), 0);
+});
+
+test("middleware sets limit headers and answers 429", () => {
+  const limiter = new RateLimiter({ windowMs: 60_000, max: 1 });
+  const middleware = rateLimit(limiter, (req) => req.ip);
+  let nextCalls = 0;
+
+  const first = mockResponse();
+  middleware({ ip: "1.2.3.4" }, first, () => nextCalls++);
+  assert.equal(nextCalls, 1);
+  assert.equal(first.headers["X-RateLimit-Remaining"], "0");
+
+  const second = mockResponse();
+  middleware({ ip: "1.2.3.4" }, second, () => nextCalls++);
+  assert.equal(nextCalls, 1);
+  assert.equal(second.statusCode, 429);
+  assert.equal(second.body.code, "RATE_LIMITED");
+  assert.equal(second.headers["Retry-After"], "60");
+});
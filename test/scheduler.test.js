@@ -0,0 +1,105 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { MemoryStore } = require("../lib/storage");
+const { Scheduler } = require("../lib/scheduler");
+const { useClock } = require("./helpers");
+
+test("due jobs run once in runAt order", async (t) => {
+  const advance = useClock(t);
+  const ran = [];
+  const scheduler = new Scheduler({
+    jobs: new MemoryStore().collection("jobs"),
+    handlers: { note: (job) => ran.push(job.payload.text) },
+  });
+
+  scheduler.schedule("note", Date.now() + 2_000, { text: "second" });
+  scheduler.schedule("note", Date.now() + 1_000, { text: "first" });
+  scheduler.schedule("note", Date.now() + 60_000, { text: "later" });
+
+  await scheduler.process();
+  assert.deepEqual(ran, []);
+
+  advance(2_000);
+  await scheduler.process();
+  await scheduler.process();
+  assert.deepEqual(ran, ["first", "second"]);
+  assert.equal(scheduler.jobs.size, 1);
+});
+
+test("jobs can be cancelled by a known id", async (t) => {
+  const advance = useClock(t);
+  const ran = [];
+  const scheduler = new Scheduler({
+    jobs: new MemoryStore().collection("jobs"),
+    handlers: { note: (job) => ran.push(job.id) },
+  });
+
+  const job = scheduler.schedule("note", Date.now(), {}, "expire:m1");
+  assert.equal(job.id, "expire:m1");
+  assert.equal(scheduler.cancel("expire:m1"), true);
+  assert.equal(scheduler.cancel("expire:m1"), false);
+
+  advance(1_000);
+  await scheduler.process();
+  assert.deepEqual(ran, []);
+});
+
+test("a job cancelled by an earlier handler does not run", async (t) => {
+  useClock(t);
+  const ran = [];
+  const scheduler = new Scheduler({
+    jobs: new MemoryStore().collection("jobs"),
+    handlers: {
+      cancel: (job) => {
+        ran.push(job.id);
+        scheduler.cancel(job.payload.target);
+      },
+      note: (job) => ran.push(job.id),
+    },
+  });
+
+  scheduler.schedule("cancel", Date.now() - 2, { target: "b" }, "a");
+  scheduler.schedule("note", Date.now() - 1, {}, "b");
+
+  await scheduler.process();
+  assert.deepEqual(ran, ["a"]);
+});
+
+test("failing and unknown jobs are logged and dropped", async (t) => {
+  useClock(t);
+  t.mock.method(console, "error", () => {});
+  const scheduler = new Scheduler({
+    jobs: new MemoryStore().collection("jobs"),
+    handlers: {
+      fail: async () => {
+        throw new Error("boom");
+      },
+    },
+  });
+
+  scheduler.schedule("fail", Date.now(), {});
+  scheduler.schedule("missing", Date.now(), {});
+  await scheduler.process();
+
+  assert.equal(scheduler.jobs.size, 0);
+  assert.equal(console.error.mock.callCount(), 2);
+});
+
+test("jobs survive a restart through the store", async (t) => {
+  const advance = useClock(t);
+  const store = new MemoryStore();
+  new Scheduler({ jobs: store.collection("jobs"), handlers: {} }).schedule(
+    "note",
+    new Date(Date.now() + 1_000).toISOString(),
+    { text: "after restart" }
+  );
+
+  const ran = [];
+  const restarted = new Scheduler({
+    jobs: store.collection("jobs"),
+    handlers: { note: (job) => ran.push(job.payload.text) },
+  });
+  advance(5_000);
+  await restarted.process();
+  assert.deepEqual(ran, ["after restart"]);
+});
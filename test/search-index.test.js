@@ -0,0 +1,65 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { SearchIndex, tokenize, buildSnippet } = require("../lib/search-index");
+
+const message = (id, content, extra = {}) => ({
+  id,
+  chatId: "c1",
+  senderId: "u1",
+  type: "text",
+  timestamp: "2024-01-01T12:00:00.000Z",
+  content,
+  ...extra,
+});
+
+test("tokenize ignores case, punctuation and ё", () => {
+  assert.deepEqual(tokenize("Ёлка, ПРИВЕТ! test_1"), [
+    "елка",
+    "привет",
+    "test_1",
+  ]);
+});
+
+test("search matches all query words as prefixes", () => {
+  const index = new SearchIndex();
+  index.add(message("m1", "Встреча завтра в офисе"));
+  index.add(message("m2", "Завтра выходной"));
+  index.add(message("m3", "Офисный чат"));
+
+  assert.deepEqual(index.search("завт").sort(), ["m1", "m2"]);
+  assert.deepEqual(index.search("офис завтра"), ["m1"]);
+  assert.deepEqual(index.search("!!!"), []);
+  assert.equal(index.size, 3);
+});
+
+test("deleted and empty messages are not indexed", () => {
+  const index = new SearchIndex();
+  index.add(message("m1", "скрытый", { deleted: true }));
+  index.add(message("m2", ""));
+  assert.equal(index.size, 0);
+});
+
+test("update and remove keep postings consistent", () => {
+  const index = new SearchIndex();
+  index.add(message("m1", "старый текст"));
+
+  index.update(message("m1", "новый текст"));
+  assert.deepEqual(index.search("старый"), []);
+  assert.deepEqual(index.search("новый"), ["m1"]);
+  assert.equal(index.getDocument("m1").chatId, "c1");
+
+  index.remove("m1");
+  assert.deepEqual(index.search("текст"), []);
+  assert.equal(index.postings.size, 0);
+});
+
+test("snippet is cut around the first match with highlights", () => {
+  const content = `${"а".repeat(100)} искомое слово ${"б".repeat(100)}`;
+  const { snippet, highlights } = buildSnippet(content, "иском", 10);
+
+  assert.ok(snippet.startsWith("…"));
+  assert.ok(snippet.endsWith("…"));
+  assert.equal(highlights.length, 1);
+  const [{ start, end }] = highlights;
+  assert.equal(snippet.slice(start, end), "искомое");
+});
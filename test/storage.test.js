@@ -0,0 +1,112 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { MemoryStore, FileStore, createStore } = require("../lib/storage");
+const { tempDir } = require("./helpers");
+
+const tempFile = (t) => path.join(tempDir(t, "acto-store-"), "db.json");
+
+test("collection behaves like a Map", () => {
+  const users = new MemoryStore().collection("users");
+
+  assert.deepEqual(users.set("a", { id: "a", name: "Alice" }), {
+    id: "a",
+    name: "Alice",
+  });
+  users.set("b", { id: "b", name: "Bob" });
+
+  assert.equal(users.size, 2);
+  assert.equal(users.get("a").name, "Alice");
+  assert.equal(users.has("b"), true);
+  assert.equal(users.find((user) => user.name === "Bob").id, "b");
+  assert.deepEqual(
+    users.filter((user) => user.id !== "a").map((user) => user.id),
+    ["b"]
+  );
+  assert.equal(users.delete("a"), true);
+  assert.equal(users.delete("a"), false);
+  assert.deepEqual(Array.from(users.keys()), ["b"]);
+});
+
+test("store returns the same collection for the same name", () => {
+  const store = new MemoryStore();
+  assert.equal(store.collection("chats"), store.collection("chats"));
+  assert.equal(store.isEmpty(), true);
+
+  store.collection("chats").set("c1", { id: "c1" });
+  assert.equal(store.isEmpty(), false);
+});
+
+test("file store persists collections across instances", async (t) => {
+  const file = tempFile(t);
+  const store = new FileStore({ file });
+  await store.init();
+  store.collection("users").set("a", { id: "a" });
+  store.collection("meta").set("schemaVersion", 3);
+  store.close();
+
+  const reopened = new FileStore({ file });
+  await reopened.init();
+  assert.deepEqual(reopened.collection("users").get("a"), { id: "a" });
+  assert.equal(reopened.collection("meta").get("schemaVersion"), 3);
+  assert.equal(reopened.isEmpty(), false);
+});
+
+test("file store keeps collections that were never opened", async (t) => {
+  const file = tempFile(t);
+  const store = new FileStore({ file });
+  await store.init();
+  store.collection("users").set("a", { id: "a" });
+  store.collection("chats").set("c1", { id: "c1" });
+  store.close();
+
+  // Открываем только users: chats должен сохраниться при следующей записи
+  const partial = new FileStore({ file });
+  await partial.init();
+  partial.collection("users").set("b", { id: "b" });
+  partial.close();
+
+  const reopened = new FileStore({ file });
+  await reopened.init();
+  assert.equal(reopened.collection("users").size, 2);
+  assert.deepEqual(reopened.collection("chats").get("c1"), { id: "c1" });
+});
+
+test("file store loads collections opened before init", async (t) => {
+  const file = tempFile(t);
+  const store = new FileStore({ file });
+  store.collection("users").set("a", { id: "a" });
+  store.close();
+
+  const reopened = new FileStore({ file });
+  const users = reopened.collection("users");
+  await reopened.init();
+  assert.deepEqual(users.get("a"), { id: "a" });
+});
+
+test("file store debounces writes", async (t) => {
+  const file = tempFile(t);
+  const store = new FileStore({ file, flushDelay: 20 });
+  await store.init();
+  store.collection("users").set("a", { id: "a" });
+  store.collection("users").set("b", { id: "b" });
+  assert.equal(fs.existsSync(file), false);
+
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  assert.equal(JSON.parse(fs.readFileSync(file, "utf8")).users.length, 2);
+});
+
+test("file store rejects a corrupt snapshot", async (t) => {
+  const file = tempFile(t);
+  fs.writeFileSync(file, "{not json");
+  await assert.rejects(new FileStore({ file }).init(), SyntaxError);
+});
+
+test("createStore selects the driver", (t) => {
+  assert.ok(createStore({ driver: "memory" }) instanceof MemoryStore);
+  assert.ok(
+    createStore({ driver: "file", file: tempFile(t) }) instanceof FileStore
+  );
+  assert.throws(() => createStore({ driver: "redis" }), /Unknown storage/);
+});
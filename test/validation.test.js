@@ -0,0 +1,138 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { validate, validateRequest } = require("../lib/validation");
+const { schemas } = require("../lib/schemas");
+
+test("valid data keeps only schema fields with trimmed strings", () => {
+  const { value, errors } = validate(schemas.register, {
+    username: "  alice_1 ",
+    email: "alice@example.com",
+    password: "secret1",
+    isAdmin: true,
+  });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, {
+    username: "alice_1",
+    email: "alice@example.com",
+    password: "secret1",
+  });
+});
+
+test("missing and blank required fields are reported", () => {
+  const { errors } = validate(schemas.register, {
+    username: "   ",
+    password: "secret1",
+  });
+
+  assert.deepEqual(
+    errors.map((error) => error.field),
+    ["username", "email"]
+  );
+});
+
+test("rule messages override generic ones", () => {
+  const { errors } = validate(schemas.register, {
+    username: "a!",
+    email: "not-an-email",
+    password: "123",
+  });
+
+  assert.equal(
+    errors[0].message,
+    "Имя пользователя: от 3 до 32 символов, только латинские буквы, цифры и _"
+  );
+  assert.equal(errors[1].message, "Некорректный email");
+  assert.equal(
+    errors[2].message,
+    "Пароль должен содержать от 6 до 128 символов"
+  );
+});
+
+test("query strings are coerced to integers and booleans", () => {
+  const schema = {
+    limit: { type: "integer", min: 1, max: 50 },
+    all: { type: "boolean" },
+  };
+
+  assert.deepEqual(validate(schema, { limit: "20", all: "true" }, "query"), {
+    value: { limit: 20, all: true },
+    errors: [],
+  });
+  assert.equal(validate(schema, { limit: "20" }).errors.length, 1);
+  assert.match(
+    validate(schema, { limit: "99" }, "query").errors[0].message,
+    /не больше 50/
+  );
+  assert.match(
+    validate(schema, { limit: "2.5" }, "query").errors[0].message,
+    /целым числом/
+  );
+});
+
+test("enum and array item rules are checked", () => {
+  const schema = {
+    type: { type: "string", enum: ["text", "image"] },
+    ids: { type: "array", maxLength: 2, items: { type: "string" } },
+  };
+
+  assert.match(validate(schema, { type: "video" }).errors[0].message, /text/);
+  assert.equal(validate(schema, { ids: ["a", 1] }).errors[0].field, "ids[1]");
+  assert.equal(
+    validate(schema, { ids: ["a", "b", "c"] }).errors[0].field,
+    "ids"
+  );
+});
+
+test("unknown rule types are a programming error", () => {
+  assert.throws(
+    () => validate({ field: { type: "date" } }, { field: "x" }),
+    /Unknown validation type/
+  );
+});
+
+test("validateRequest replaces the source or sends 400", () => {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+
+  const req = { body: { username: " bob ", password: "x", extra: 1 } };
+  assert.equal(validateRequest(req, res, schemas.login), true);
+  assert.deepEqual(req.body, { username: "bob", password: "x" });
+
+  assert.equal(validateRequest({ body: {} }, res, schemas.login), false);
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, "VALIDATION_ERROR");
+  assert.equal(res.body.message, "Введите имя пользователя и пароль");
+});
+
+test("nested object properties are validated and cleaned", () => {
+  const schema = {
+    command: {
+      type: "object",
+      properties: {
+        name: { type: "string", trim: true, required: true },
+        hidden: { type: "boolean" },
+      },
+    },
+  };
+
+  assert.deepEqual(
+    validate(schema, { command: { name: " start ", extra: 1 } }).value,
+    { command: { name: "start" } }
+  );
+  assert.deepEqual(validate(schema, { command: {} }).errors, [
+    { field: "command.name", message: 'Поле "name" обязательно' },
+  ]);
+  assert.equal(
+    validate(schema, { command: [] }).errors[0].message,
+    'Поле "command" должно быть объектом'
+  );
+});
@@ -0,0 +1,204 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const { MemoryStore } = require("../lib/storage");
+const { WebhookQueue, signPayload } = require("../lib/webhooks");
+
+const listen = (handler) =>
+  new Promise((resolve) => {
+    const server = http.createServer(handler);
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+
+const readBody = (req) =>
+  new Promise((resolve) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => resolve(body));
+  });
+
+const createQueue = (webhook, options = {}) => {
+  const results = [];
+  const queue = new WebhookQueue({
+    deliveries: new MemoryStore().collection("deliveries"),
+    getWebhook: (id) => (id === webhook.id ? webhook : undefined),
+    onResult: (hook, error) => results.push(error ? error.message : null),
+    allowPrivateUrls: true,
+    maxAttempts: 2,
+    retryBaseMs: 0,
+    ...options,
+  });
+  return { queue, results };
+};
+
+test("signature is an HMAC of timestamp and body", () => {
+  const expected = crypto
+    .createHmac("sha256", "secret")
+    .update('1700000000.{"a":1}')
+    .digest("hex");
+  assert.equal(signPayload("secret", 1700000000, '{"a":1}'), expected);
+  assert.notEqual(signPayload("other", 1700000000, '{"a":1}'), expected);
+});
+
+test("delivery is signed and carries event headers", async (t) => {
+  const received = [];
+  const server = await listen(async (req, res) => {
+    received.push({ headers: req.headers, body: await readBody(req) });
+    res.end();
+  });
+  t.after(() => server.close());
+
+  const webhook = {
+    id: "w1",
+    secret: "s3cret",
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+  };
+  const { queue, results } = createQueue(webhook);
+  const delivery = queue.enqueue("w1", "message.created", { text: "hi" });
+  await queue.process();
+
+  assert.equal(received.length, 1);
+  const [{ headers, body }] = received;
+  assert.equal(headers["x-acto-event"], "message.created");
+  assert.equal(headers["x-acto-delivery"], delivery.id);
+  assert.equal(
+    headers["x-acto-signature"],
+    `sha256=${signPayload("s3cret", headers["x-acto-timestamp"], body)}`
+  );
+  assert.deepEqual(JSON.parse(body).data, { text: "hi" });
+  assert.deepEqual(results, [null]);
+  assert.equal(queue.deliveries.size, 0);
+});
+
+test("failed deliveries are retried up to maxAttempts", async (t) => {
+  let calls = 0;
+  const server = await listen((req, res) => {
+    calls += 1;
+    res.statusCode = 500;
+    res.end();
+  });
+  t.after(() => server.close());
+  t.mock.method(console, "warn", () => {});
+
+  const webhook = {
+    id: "w1",
+    secret: "s",
+    url: `http://127.0.0.1:${server.address().port}/`,
+  };
+  const { queue, results } = createQueue(webhook);
+  queue.enqueue("w1", "message.created", {});
+
+  await queue.process();
+  assert.equal(queue.deliveries.size, 1);
+  assert.deepEqual(results, []);
+
+  await queue.process();
+  assert.equal(calls, 2);
+  assert.equal(queue.deliveries.size, 0);
+  assert.deepEqual(results, ["Webhook responded with 500"]);
+});
+
+test("410 Gone is not retried", async (t) => {
+  const server = await listen((req, res) => {
+    res.statusCode = 410;
+    res.end();
+  });
+  t.after(() => server.close());
+  t.mock.method(console, "warn", () => {});
+
+  const webhook = {
+    id: "w1",
+    secret: "s",
+    url: `http://127.0.0.1:${server.address().port}/`,
+  };
+  const { queue, results } = createQueue(webhook, { maxAttempts: 5 });
+  queue.enqueue("w1", "message.created", {});
+  await queue.process();
+
+  assert.equal(queue.deliveries.size, 0);
+  assert.equal(results.length, 1);
+});
+
+test("private urls are rejected unless allowed", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const webhook = { id: "w1", secret: "s", url: "http://127.0.0.1:9/" };
+  const { queue, results } = createQueue(webhook, {
+    allowPrivateUrls: false,
+    maxAttempts: 5,
+  });
+  queue.enqueue("w1", "message.created", {});
+  await queue.process();
+
+  assert.equal(queue.deliveries.size, 0);
+  assert.match(results[0], /Private address/);
+});
+
+test("deliveries of removed webhooks are dropped", async () => {
+  const { queue, results } = createQueue({ id: "w1" });
+  queue.enqueue("deleted", "message.created", {});
+  await queue.process();
+
+  assert.equal(queue.deliveries.size, 0);
+  assert.deepEqual(results, []);
+});
+
+test("a hanging endpoint does not hold up other webhooks", async (t) => {
+  let hanging = 0;
+  const stuck = await listen(() => {
+    hanging += 1;
+  });
+  const received = [];
+  const healthy = await listen(async (req, res) => {
+    received.push(JSON.parse(await readBody(req)).event);
+    res.end();
+  });
+  t.after(() => {
+    stuck.closeAllConnections();
+    stuck.close();
+    healthy.close();
+  });
+
+  const hooks = {
+    slow: {
+      id: "slow",
+      secret: "s",
+      url: `http://127.0.0.1:${stuck.address().port}/`,
+    },
+    fast: {
+      id: "fast",
+      secret: "s",
+      url: `http://127.0.0.1:${healthy.address().port}/`,
+    },
+  };
+  const queue = new WebhookQueue({
+    deliveries: new MemoryStore().collection("deliveries"),
+    getWebhook: (id) => hooks[id],
+    allowPrivateUrls: true,
+    retryBaseMs: 0,
+    timeoutMs: 10_000,
+  });
+  const slow = queue.enqueue("slow", "message.created", {});
+  queue.enqueue("fast", "message.created", {});
+  queue.enqueue("fast", "message.deleted", {});
+
+  const processing = queue.process();
+  while (received.length < 2) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.deepEqual(received, ["message.created", "message.deleted"]);
+  while (queue.deliveries.filter((d) => d.webhookId === "fast").length > 0) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+
+  // Следующий проход не отправляет повторно доставку, которая еще идет
+  queue.enqueue("fast", "message.updated", {});
+  await queue.process();
+  assert.equal(hanging, 1);
+  assert.equal(received.length, 3);
+  assert.equal(queue.deliveries.get(slow.id).attempts, 0);
+
+  stuck.closeAllConnections();
+  await processing;
+  assert.equal(queue.deliveries.get(slow.id).attempts, 1);
+});